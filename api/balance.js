@@ -0,0 +1,42 @@
+import { getGroupBalances } from "../lib/settlement.js";
+import { authenticateGroupMember } from "../lib/auth.js";
+
+export default async function handler(req, res) {
+    if (req.method !== "GET") {
+        return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const { groupId } = req.query;
+
+    if (!groupId) {
+        return res.status(400).json({
+            success: false,
+            error: "groupId is required"
+        });
+    }
+
+    try {
+        const auth = await authenticateGroupMember(req, groupId);
+        if (auth.error) {
+            return res.status(auth.status).json({
+                success: false,
+                error: auth.error
+            });
+        }
+
+        const { balances, transfers } = await getGroupBalances(groupId);
+
+        res.status(200).json({
+            success: true,
+            balances,
+            transfers
+        });
+
+    } catch (err) {
+        console.error("Error computing group balances:", err);
+        res.status(500).json({
+            success: false,
+            error: "Internal server error"
+        });
+    }
+}
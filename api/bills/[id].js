@@ -0,0 +1,82 @@
+import { authenticateGroupMember } from "../../lib/auth.js";
+import { updateBill, cancelBill, closeBill, getBillAuditLog } from "../../lib/billActions.js";
+import { findBill } from "../../lib/repositories/bills.js";
+
+// GET    /api/bills/:id  - bill with its audit trail
+// PATCH  /api/bills/:id  - update title, amount or participants
+// DELETE /api/bills/:id  - cancel the bill
+// POST   /api/bills/:id  - { action: "close" } force-closes the bill
+export default async function handler(req, res) {
+    if (!["GET", "PATCH", "DELETE", "POST"].includes(req.method)) {
+        return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const billId = Number(req.query.id);
+
+    if (!Number.isInteger(billId) || billId <= 0) {
+        return res.status(400).json({
+            success: false,
+            error: "Invalid bill ID"
+        });
+    }
+
+    try {
+        const bill = await findBill(billId);
+
+        if (!bill) {
+            return res.status(404).json({
+                success: false,
+                error: "Bill not found"
+            });
+        }
+
+        const auth = await authenticateGroupMember(req, bill.group_id);
+        if (auth.error) {
+            return res.status(auth.status).json({
+                success: false,
+                error: auth.error
+            });
+        }
+
+        if (req.method === "GET") {
+            return res.status(200).json({
+                success: true,
+                bill,
+                audit: await getBillAuditLog(billId)
+            });
+        }
+
+        let result;
+        if (req.method === "PATCH") {
+            result = await updateBill(billId, auth.userId, req.body || {});
+        } else if (req.method === "DELETE") {
+            result = await cancelBill(billId, auth.userId);
+        } else if (req.body?.action === "close") {
+            result = await closeBill(billId, auth.userId);
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: "Unknown action. Use { action: \"close\" }"
+            });
+        }
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            bill: result.bill
+        });
+
+    } catch (err) {
+        console.error("Error changing bill:", err);
+        res.status(500).json({
+            success: false,
+            error: "Internal server error"
+        });
+    }
+}
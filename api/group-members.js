@@ -1,4 +1,5 @@
-import pool from "../lib/db.js";
+import { authenticateGroupMember } from "../lib/auth.js";
+import { listActiveMembers } from "../lib/repositories/members.js";
 
 export default async function handler(req, res) {
     if (req.method !== "GET") {
@@ -15,18 +16,19 @@ export default async function handler(req, res) {
     }
 
     try {
-        const result = await pool.query(
-            `SELECT gm.user_id, u.display_name
-             FROM group_members gm
-             JOIN users u ON u.user_id = gm.user_id
-             WHERE gm.group_id = $1
-             ORDER BY u.display_name`,
-            [groupId]
-        );
+        const auth = await authenticateGroupMember(req, groupId);
+        if (auth.error) {
+            return res.status(auth.status).json({
+                success: false,
+                error: auth.error
+            });
+        }
+
+        const members = await listActiveMembers(groupId);
 
         res.status(200).json({
             success: true,
-            members: result.rows
+            members
         });
 
     } catch (err) {
@@ -0,0 +1,58 @@
+import { getBillPromptPayShares, renderPromptPayQR, verifyQRRequest } from "../lib/promptPayQr.js";
+
+export default async function handler(req, res) {
+    if (req.method !== "GET") {
+        return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const { billId, userId, sig } = req.query;
+
+    if (!billId || !userId) {
+        return res.status(400).json({
+            success: false,
+            error: "billId and userId are required"
+        });
+    }
+
+    // Signatures made without a secret would be trivial to forge
+    if (!process.env.CHANNEL_SECRET) {
+        console.error("CHANNEL_SECRET is not set; refusing to serve PromptPay QR codes");
+        return res.status(500).json({
+            success: false,
+            error: "PromptPay QR codes are not configured"
+        });
+    }
+
+    if (!verifyQRRequest(billId, userId, sig)) {
+        return res.status(403).json({
+            success: false,
+            error: "Invalid signature"
+        });
+    }
+
+    try {
+        const promptPay = await getBillPromptPayShares(billId);
+        const share = promptPay?.shares.find(s => s.user_id === userId);
+
+        if (!share) {
+            return res.status(404).json({
+                success: false,
+                error: "No outstanding PromptPay share for this participant"
+            });
+        }
+
+        // Always encode what is owed now, not the amount in the (possibly old) URL
+        const png = await renderPromptPayQR(promptPay.creditor.promptpay_id, Number(share.amount_due));
+
+        res.setHeader("Content-Type", "image/png");
+        res.setHeader("Cache-Control", "public, max-age=300");
+        res.status(200).send(png);
+
+    } catch (err) {
+        console.error("Error generating PromptPay QR:", err);
+        res.status(500).json({
+            success: false,
+            error: "Internal server error"
+        });
+    }
+}
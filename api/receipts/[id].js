@@ -0,0 +1,56 @@
+import { authenticateGroupMember } from "../../lib/auth.js";
+import { findReceipt } from "../../lib/repositories/receipts.js";
+
+// GET /api/receipts/:id - items read from a receipt photo, to pre-fill the itemized bill form
+export default async function handler(req, res) {
+    if (req.method !== "GET") {
+        return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const receiptId = Number(req.query.id);
+
+    if (!Number.isInteger(receiptId) || receiptId <= 0) {
+        return res.status(400).json({
+            success: false,
+            error: "Invalid receipt ID"
+        });
+    }
+
+    try {
+        const receipt = await findReceipt(receiptId);
+
+        if (!receipt) {
+            return res.status(404).json({
+                success: false,
+                error: "Receipt not found"
+            });
+        }
+
+        const auth = await authenticateGroupMember(req, receipt.group_id);
+        if (auth.error) {
+            return res.status(auth.status).json({
+                success: false,
+                error: auth.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            receipt: {
+                receiptId: receipt.receipt_id,
+                merchant: receipt.merchant,
+                items: receipt.items,
+                serviceChargePercent: Number(receipt.service_charge_percent),
+                vatPercent: Number(receipt.vat_percent),
+                total: receipt.total === null ? null : Number(receipt.total)
+            }
+        });
+
+    } catch (err) {
+        console.error("Error loading receipt:", err);
+        res.status(500).json({
+            success: false,
+            error: "Internal server error"
+        });
+    }
+}
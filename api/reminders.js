@@ -0,0 +1,44 @@
+import crypto from "crypto";
+import { client } from "../lib/line.js";
+import { runScheduledReminders } from "../lib/reminders.js";
+
+// Invoked hourly by Vercel Cron (see vercel.json)
+export default async function handler(req, res) {
+    if (req.method !== "GET") {
+        return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    // Without a secret anyone could trigger pushes to every group
+    if (!process.env.CRON_SECRET) {
+        console.error("CRON_SECRET is not set; refusing to send reminders");
+        return res.status(500).json({ error: "Reminders are not configured" });
+    }
+
+    // Vercel Cron sends the project's CRON_SECRET as a bearer token
+    if (!isCronRequest(req.headers.authorization)) {
+        return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    try {
+        const sent = await runScheduledReminders(client);
+
+        res.status(200).json({
+            success: true,
+            ...sent
+        });
+
+    } catch (err) {
+        console.error("Error sending reminders:", err);
+        res.status(500).json({
+            success: false,
+            error: "Internal server error"
+        });
+    }
+}
+
+function isCronRequest(authorization) {
+    const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET}`);
+    const actual = Buffer.from(authorization || "");
+
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
@@ -1,6 +1,21 @@
-import { client, blobClient, config, validateSignature } from "../lib/line.js";
-import pool from "../lib/db.js";
-import { handleImage } from "../lib/imageService.js";
+import { client, blobClient, config as lineConfig, validateSignature } from "../lib/line.js";
+import { readRawBody } from "../lib/rawBody.js";
+import { handleImage, handleSlipSelection, handleSlipReview } from "../lib/imageService.js";
+import { registerAccount, listAccounts, removeAccount, maskAccountNumber } from "../lib/accounts.js";
+import { getGroupBalances } from "../lib/settlement.js";
+import { sendGroupReminder, getReminderSettings, updateReminderSettings } from "../lib/reminders.js";
+import { createBill, billCreatedMessages, cancelBill, closeBill } from "../lib/billActions.js";
+import { handlePaidCommand, handleCashClaim, handleCashReview } from "../lib/cashPayments.js";
+import { claimEvent, markEventProcessed, markEventFailed } from "../lib/eventLog.js";
+import { registerMember, addMembers, markMembersLeft, handleBotJoined, handleBotLeft, syncGroupMembers } from "../lib/members.js";
+import { getBillStatus, getOpenBillStatuses, getSettledBills } from "../lib/repositories/bills.js";
+import { listActiveMembers } from "../lib/repositories/members.js";
+import { billStatusFlex } from "../lib/billFlex.js";
+import { parseCommand, helpText, mentionedUserIds } from "../lib/commands.js";
+import { parseQuickBill, QUICK_BILL_USAGE } from "../lib/quickBill.js";
+
+// LINE signs the exact bytes it sends, so the body is read raw and parsed only after verification
+export const config = { api: { bodyParser: false } };
 
 export default async function handler(req, res) {
     if (req.method !== "POST") {
@@ -9,20 +24,76 @@ export default async function handler(req, res) {
 
     // Verify LINE signature
     const signature = req.headers["x-line-signature"];
-    const body = JSON.stringify(req.body);
+    const rawBody = await readRawBody(req);
 
-    if (!validateSignature(body, config.channelSecret, signature)) {
+    if (!signature || !validateSignature(rawBody, lineConfig.channelSecret, signature)) {
         return res.status(401).json({ error: "Invalid signature" });
     }
 
-    const events = req.body.events;
+    let body;
+    try {
+        body = JSON.parse(rawBody.toString("utf8"));
+    } catch {
+        return res.status(400).json({ error: "Invalid JSON body" });
+    }
+
+    const events = body.events || [];
+
+    // Record every event before handling any. One that cannot be recorded would be lost,
+    // so fail the request and let LINE redeliver it once the database is back.
+    const claims = await Promise.allSettled(events.map(event => claimEvent(event)));
+    const claimFailure = claims.find(claim => claim.status === "rejected");
+
+    if (claimFailure) {
+        console.error("Failed to record webhook events:", claimFailure.reason);
+
+        // Release the events that were claimed so the redelivery handles them too
+        await Promise.allSettled(events
+            .filter((_, i) => claims[i].value)
+            .map(event => markEventFailed(event, claimFailure.reason)));
+
+        return res.status(500).json({ error: "Failed to record events" });
+    }
+
+    events
+        .filter((_, i) => !claims[i].value)
+        .forEach(event => console.log(`Skipping already handled event ${event.webhookEventId}` +
+            (event.deliveryContext?.isRedelivery ? " (redelivery)" : "")));
+
+    // Each event succeeds or fails on its own; failures stay in the event log for replay
+    const results = await Promise.allSettled(events
+        .filter((_, i) => claims[i].value)
+        .map(event => processEvent(event)));
+
+    results
+        .filter(result => result.status === "rejected")
+        .forEach(result => console.error("Webhook event error:", result.reason));
+
+    res.status(200).json({ success: true });
+}
+
+// Handle a claimed event, recording whether it succeeded
+async function processEvent(event) {
+    try {
+        await handleEvent(event);
+    } catch (err) {
+        await markEventFailed(event, err);
+        throw err;
+    }
+
+    await markEventProcessed(event);
+}
 
+// Tell the sender a command failed. Callers rethrow afterwards so the event is logged
+// as failed and can be replayed.
+async function replyFailure(event, text) {
     try {
-        await Promise.all(events.map(event => handleEvent(event)));
-        res.status(200).json({ success: true });
+        await client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{ type: "text", text }]
+        });
     } catch (err) {
-        console.error("Webhook error:", err);
-        res.status(500).json({ error: "Internal server error" });
+        console.error("Failed to send error reply:", err);
     }
 }
 
@@ -36,6 +107,23 @@ async function handleEvent(event) {
         return handleImage(event, client, blobClient);
     }
 
+    // Handle the bot or members joining and leaving groups
+    if (["join", "leave", "memberJoined", "memberLeft"].includes(event.type)) {
+        return handleMembershipEvent(event);
+    }
+
+    // Blocking the bot only ends the one-to-one chat. The bot never messages people
+    // directly, and the user is still in their groups, so membership is left alone.
+    if (event.type === "unfollow") {
+        console.log(`User ${event.source.userId} blocked the bot`);
+        return null;
+    }
+
+    // Handle postback actions (quick replies and buttons)
+    if (event.type === "postback") {
+        return handlePostback(event);
+    }
+
     // Handle text messages
     if (event.type !== "message" || event.message.type !== "text") {
         return Promise.resolve(null);
@@ -53,19 +141,154 @@ async function handleEvent(event) {
         });
     }
 
-    if (text === "/create-bill") {
-        return handleOpenWeb(event);
+    const command = parseCommand(text);
+    if (!command) {
+        return Promise.resolve(null);
+    }
+
+    const handle = COMMAND_HANDLERS[command.name];
+    if (!handle) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: `I don't know ${command.word}. Type /help to see what I can do.`
+            }]
+        });
+    }
+
+    return handle(event, command.args);
+}
+
+const COMMAND_HANDLERS = {
+    "help": handleHelp,
+    "create-bill": event => handleOpenWeb(event),
+    "status": (event, args) => args ? handleBillDetail(event, args) : handleStatus(event),
+    "bill": handleBillCommand,
+    "history": handleHistory,
+    "balance": event => handleBalance(event),
+    "paid": (event, args) => handlePaidCommand(event, client, args),
+    "remind": handleRemind,
+    "account": handleAccount,
+    "member-list": event => handleMemberList(event),
+    "sync-members": event => handleSyncMembers(event)
+};
+
+function handleHelp(event) {
+    return client.replyMessage({
+        replyToken: event.replyToken,
+        messages: [{
+            type: "text",
+            text: helpText()
+        }]
+    });
+}
+
+async function handlePostback(event) {
+    const params = new URLSearchParams(event.postback.data);
+
+    if (params.get("action") === "apply-slip") {
+        return handleSlipSelection(event, client, params);
     }
 
-    if (text === "/member-list") {
-        return handleMemberList(event);
+    if (params.get("action") === "review-slip") {
+        return handleSlipReview(event, client, params);
     }
 
-    if (text === "/status") {
-        return handleStatus(event);
+    if (params.get("action") === "claim-cash") {
+        return handleCashClaim(event, client, params);
     }
 
-    return Promise.resolve(null);
+    if (params.get("action") === "review-cash") {
+        return handleCashReview(event, client, params);
+    }
+
+    if (params.get("action") === "cancel-bill" || params.get("action") === "close-bill") {
+        return handleBillAction(event, params);
+    }
+
+    console.warn("Unknown postback action:", event.postback.data);
+    return null;
+}
+
+const BILL_ACTIONS = {
+    "cancel-bill": {
+        run: cancelBill,
+        confirm: "Cancel",
+        prompt: "Nobody will owe anything on it, and payments so far become credit.",
+        done: "🚫 Bill cancelled"
+    },
+    "close-bill": {
+        run: closeBill,
+        confirm: "Close",
+        prompt: "Remaining balances will be treated as settled.",
+        done: "🔒 Bill closed"
+    }
+};
+
+// Cancel or close a bill from its status card, asking for confirmation first
+async function handleBillAction(event, params) {
+    const actionName = params.get("action");
+    const action = BILL_ACTIONS[actionName];
+    const billId = params.get("billId");
+
+    if (!/^\d+$/.test(billId || "")) {
+        console.warn("Invalid bill action postback:", event.postback.data);
+        return null;
+    }
+
+    try {
+        const status = await getBillStatus(event.source.groupId, Number(billId));
+
+        if (!status) {
+            return client.replyMessage({
+                replyToken: event.replyToken,
+                messages: [{ type: "text", text: `Bill #${billId} not found in this group` }]
+            });
+        }
+
+        if (params.get("confirm") !== "1") {
+            return client.replyMessage({
+                replyToken: event.replyToken,
+                messages: [{
+                    type: "template",
+                    altText: `${action.confirm} bill #${billId}?`,
+                    template: {
+                        type: "confirm",
+                        text: `${action.confirm} bill #${billId} "${status.bill.title}"? ${action.prompt}`.slice(0, 240),
+                        actions: [
+                            {
+                                type: "postback",
+                                label: action.confirm,
+                                data: `action=${actionName}&billId=${billId}&confirm=1`
+                            },
+                            {
+                                type: "message",
+                                label: "Keep",
+                                text: `/bill ${billId}`
+                            }
+                        ]
+                    }
+                }]
+            });
+        }
+
+        const result = await action.run(Number(billId), event.source.userId);
+
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: result.error
+                    ? `❌ ${result.error}`
+                    : `${action.done}: #${billId} ${result.bill.title}`
+            }]
+        });
+    } catch (err) {
+        console.error(`Error handling ${actionName}:`, err);
+        await replyFailure(event, "Failed to update the bill");
+        throw err;
+    }
 }
 
 async function autoRegisterMember(event) {
@@ -75,58 +298,173 @@ async function autoRegisterMember(event) {
     if (!groupId || !userId) return;
 
     try {
-        const exists = await pool.query(
-            `SELECT 1 FROM group_members
-             WHERE group_id = $1 AND user_id = $2`,
-            [groupId, userId]
-        );
+        await registerMember(client, groupId, userId);
+    } catch (err) {
+        console.error("Error auto-registering member:", err);
+    }
+}
+
+// Keep group membership in step with LINE's join/leave events
+async function handleMembershipEvent(event) {
+    const groupId = event.source.groupId;
+    if (!groupId) return null;
+
+    if (event.type === "join") {
+        const result = await handleBotJoined(client, groupId);
+        console.log(`Joined group ${groupId}:`, result);
+        return null;
+    }
+
+    if (event.type === "leave") {
+        return handleBotLeft(groupId);
+    }
+
+    if (event.type === "memberJoined") {
+        return addMembers(client, groupId, event.joined.members.map(m => m.userId));
+    }
+
+    return markMembersLeft(groupId, event.left.members.map(m => m.userId));
+}
+
+const MAX_CAROUSEL_BUBBLES = 12;
+const HISTORY_PAGE_SIZE = 10;
 
-        if (exists.rowCount > 0) return;
+async function handleStatus(event) {
+    const groupId = event.source.groupId;
+
+    if (!groupId) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "This command only works in groups"
+            }]
+        });
+    }
 
-        let displayName = null;
-        let groupName = null;
+    try {
+        const statuses = await getOpenBillStatuses(groupId);
 
-        try {
-            const profile = await client.getGroupMemberProfile(groupId, userId);
-            displayName = profile.displayName;
-        } catch (profileError) {
-            console.warn("Could not fetch profile:", profileError.message);
+        if (statuses.length === 0) {
+            return client.replyMessage({
+                replyToken: event.replyToken,
+                messages: [{
+                    type: "text",
+                    text: "No open bills in this group. Type /history to see settled bills."
+                }]
+            });
         }
 
-        try {
-            const groupSummary = await client.getGroupSummary(groupId);
-            groupName = groupSummary.groupName;
-        } catch (groupError) {
-            console.warn("Could not fetch group name:", groupError.message);
+        const messages = [{
+            type: "flex",
+            altText: `Open Bills (${statuses.length})`,
+            contents: statuses.length === 1
+                ? billStatusFlex(statuses[0])
+                : {
+                    type: "carousel",
+                    contents: statuses.slice(0, MAX_CAROUSEL_BUBBLES).map(billStatusFlex)
+                }
+        }];
+
+        if (statuses.length > MAX_CAROUSEL_BUBBLES) {
+            messages.push({
+                type: "text",
+                text: `Showing the ${MAX_CAROUSEL_BUBBLES} newest of ${statuses.length} open bills. Use /bill <id> to see any bill.`
+            });
         }
 
-        // Upsert group
-        await pool.query(
-            `INSERT INTO groups (group_id, group_name) VALUES ($1, $2)
-             ON CONFLICT (group_id) DO UPDATE SET group_name = EXCLUDED.group_name`,
-            [groupId, groupName]
-        );
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages
+        });
+    } catch (err) {
+        console.error("Error fetching status:", err);
+        await replyFailure(event, "Failed to retrieve bill status");
+        throw err;
+    }
+}
 
-        // Upsert user
-        await pool.query(
-            `INSERT INTO users (user_id, display_name) VALUES ($1, $2)
-             ON CONFLICT (user_id) DO UPDATE SET display_name = EXCLUDED.display_name`,
-            [userId, displayName]
-        );
+// "/bill 12" shows bill #12; "/bill 600 Dinner @A @B" creates one
+function handleBillCommand(event, args) {
+    if (!args || /^#?\d+$/.test(args) || !/^\S+\s+\S/.test(args)) {
+        return handleBillDetail(event, args);
+    }
 
-        // Link user to group
-        await pool.query(
-            `INSERT INTO group_members (group_id, user_id) VALUES ($1, $2)`,
-            [groupId, userId]
-        );
+    return handleQuickBill(event);
+}
+
+async function handleQuickBill(event) {
+    const { groupId, userId } = event.source;
+
+    if (!groupId) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "This command only works in groups"
+            }]
+        });
+    }
+
+    const parsed = parseQuickBill(event.message);
 
-        console.log(`Registered new member: ${displayName || userId}`);
+    if (parsed.error) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: `${parsed.error}\n\n${QUICK_BILL_USAGE}`
+            }]
+        });
+    }
+
+    try {
+        let memberIds = parsed.memberIds;
+
+        if (parsed.everyone) {
+            memberIds = (await listActiveMembers(groupId)).map(m => m.user_id);
+        } else {
+            // Mentioned members may never have spoken, so make sure the group knows them
+            for (const memberId of memberIds) {
+                await registerMember(client, groupId, memberId);
+            }
+        }
+
+        const result = await createBill(groupId, userId, {
+            title: parsed.title,
+            payType: "equal",
+            amount: parsed.amount,
+            memberIds,
+            payers: [{ userId }]
+        });
+
+        if (result.error) {
+            return client.replyMessage({
+                replyToken: event.replyToken,
+                messages: [{
+                    type: "text",
+                    text: result.error
+                }]
+            });
+        }
+
+        const baseUrl = process.env.PUBLIC_BASE_URL || `https://${process.env.VERCEL_URL}`;
+        const messages = await billCreatedMessages(groupId, result.billId, baseUrl);
+
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: messages.length > 0
+                ? messages
+                : [{ type: "text", text: `Bill #${result.billId} created` }]
+        });
     } catch (err) {
-        console.error("Error auto-registering member:", err);
+        console.error("Error creating quick bill:", err);
+        await replyFailure(event, "Failed to create bill");
+        throw err;
     }
 }
 
-async function handleStatus(event) {
+async function handleBillDetail(event, billIdText) {
     const groupId = event.source.groupId;
 
     if (!groupId) {
@@ -139,15 +477,27 @@ async function handleStatus(event) {
         });
     }
 
+    const billId = Number(billIdText.replace(/^#/, ""));
+
+    if (!Number.isInteger(billId) || billId <= 0) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "Usage: /bill <id> (e.g. /bill 12)"
+            }]
+        });
+    }
+
     try {
-        const status = await getLatestBillStatus(groupId);
+        const status = await getBillStatus(groupId, billId);
 
         if (!status) {
             return client.replyMessage({
                 replyToken: event.replyToken,
                 messages: [{
                     type: "text",
-                    text: "No bills found for this group"
+                    text: `Bill #${billId} was not found in this group`
                 }]
             });
         }
@@ -156,57 +506,88 @@ async function handleStatus(event) {
             replyToken: event.replyToken,
             messages: [{
                 type: "flex",
-                altText: "Bill Status",
+                altText: `Bill #${billId}`,
                 contents: billStatusFlex(status)
             }]
         });
     } catch (err) {
-        console.error("Error fetching status:", err);
+        console.error("Error fetching bill:", err);
+        await replyFailure(event, "Failed to retrieve bill");
+        throw err;
+    }
+}
+
+async function handleHistory(event, pageText) {
+    const groupId = event.source.groupId;
+
+    if (!groupId) {
         return client.replyMessage({
             replyToken: event.replyToken,
             messages: [{
                 type: "text",
-                text: "Failed to retrieve bill status"
+                text: "This command only works in groups"
             }]
         });
     }
-}
 
-async function getLatestBillStatus(groupId) {
-    try {
-        const billResult = await pool.query(
-            `SELECT bill_id, title, total_pay_amount
-             FROM bills
-             WHERE group_id = $1
-             ORDER BY created_at DESC
-             LIMIT 1`,
-            [groupId]
-        );
+    const page = pageText ? Number(pageText) : 1;
 
-        if (billResult.rowCount === 0) return null;
+    if (!Number.isInteger(page) || page <= 0) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "Usage: /history [page] (e.g. /history 2)"
+            }]
+        });
+    }
 
-        const bill = billResult.rows[0];
+    try {
+        const history = await getSettledBills(groupId, page, HISTORY_PAGE_SIZE);
 
-        const participantsResult = await pool.query(
-            `SELECT u.display_name, bp.pay_amount, bp.pay_at
-             FROM bill_participants bp
-             JOIN users u ON u.user_id = bp.user_id
-             WHERE bp.bill_id = $1
-             ORDER BY u.display_name`,
-            [bill.bill_id]
-        );
+        if (history.bills.length === 0) {
+            return client.replyMessage({
+                replyToken: event.replyToken,
+                messages: [{
+                    type: "text",
+                    text: page === 1 ? "No settled bills yet" : `No settled bills on page ${page}`
+                }]
+            });
+        }
 
-        return {
-            bill,
-            participants: participantsResult.rows
-        };
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "flex",
+                altText: `Bill History (page ${page})`,
+                contents: historyFlex(history, page)
+            }]
+        });
     } catch (err) {
-        console.error("Error getting latest bill status:", err);
-        return null;
+        console.error("Error fetching history:", err);
+        await replyFailure(event, "Failed to retrieve bill history");
+        throw err;
     }
 }
 
-function billStatusFlex(status) {
+function historyFlex(history, page) {
+    const footer = page < history.totalPages
+        ? {
+            type: "box",
+            layout: "vertical",
+            contents: [{
+                type: "button",
+                style: "link",
+                height: "sm",
+                action: {
+                    type: "message",
+                    label: "Next page",
+                    text: `/history ${page + 1}`
+                }
+            }]
+        }
+        : undefined;
+
     return {
         type: "bubble",
         body: {
@@ -216,14 +597,13 @@ function billStatusFlex(status) {
             contents: [
                 {
                     type: "text",
-                    text: status.bill.title,
+                    text: "Settled Bills",
                     weight: "bold",
-                    size: "lg",
-                    wrap: true
+                    size: "lg"
                 },
                 {
                     type: "text",
-                    text: `Total: ${status.bill.total_pay_amount}`,
+                    text: `Page ${page} of ${history.totalPages}`,
                     color: "#666666",
                     size: "sm"
                 },
@@ -231,36 +611,291 @@ function billStatusFlex(status) {
                     type: "separator",
                     margin: "md"
                 },
-                ...status.participants.map(p => ({
+                ...history.bills.map(b => ({
                     type: "box",
                     layout: "horizontal",
                     margin: "md",
                     contents: [
                         {
                             type: "text",
-                            text: p.pay_at ? "✅" : "❌",
+                            text: `#${b.bill_id}`,
                             size: "sm",
+                            color: "#999999",
                             flex: 0
                         },
                         {
                             type: "text",
-                            text: p.display_name || "(unknown)",
-                            flex: 2,
-                            margin: "md"
+                            text: b.title,
+                            flex: 3,
+                            margin: "md",
+                            wrap: true
                         },
                         {
                             type: "text",
-                            text: `${p.pay_amount}`,
+                            text: `${b.total_pay_amount}`,
                             align: "end",
                             flex: 1
                         }
                     ]
                 }))
             ]
+        },
+        footer
+    };
+}
+
+async function handleBalance(event) {
+    const groupId = event.source.groupId;
+
+    if (!groupId) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "This command only works in groups"
+            }]
+        });
+    }
+
+    try {
+        const { transfers } = await getGroupBalances(groupId);
+
+        if (transfers.length === 0) {
+            return client.replyMessage({
+                replyToken: event.replyToken,
+                messages: [{
+                    type: "text",
+                    text: "Everyone is settled up!"
+                }]
+            });
+        }
+
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "flex",
+                altText: "Who Owes Whom",
+                contents: balanceFlex(transfers)
+            }]
+        });
+    } catch (err) {
+        console.error("Error computing balances:", err);
+        await replyFailure(event, "Failed to calculate balances");
+        throw err;
+    }
+}
+
+function balanceFlex(transfers) {
+    return {
+        type: "bubble",
+        body: {
+            type: "box",
+            layout: "vertical",
+            spacing: "md",
+            contents: [
+                {
+                    type: "text",
+                    text: "Who Owes Whom",
+                    weight: "bold",
+                    size: "lg"
+                },
+                {
+                    type: "text",
+                    text: `${transfers.length} transfer${transfers.length === 1 ? "" : "s"} to settle all open bills`,
+                    color: "#666666",
+                    size: "sm"
+                },
+                {
+                    type: "separator",
+                    margin: "md"
+                },
+                ...transfers.map(t => ({
+                    type: "box",
+                    layout: "horizontal",
+                    margin: "md",
+                    contents: [
+                        {
+                            type: "text",
+                            text: `${t.from_name || "(unknown)"} → ${t.to_name || "(unknown)"}`,
+                            flex: 3,
+                            wrap: true
+                        },
+                        {
+                            type: "text",
+                            text: t.amount.toFixed(2),
+                            align: "end",
+                            weight: "bold",
+                            flex: 1
+                        }
+                    ]
+                }))
+            ]
         }
     };
 }
 
+const REMIND_USAGE =
+    "Usage:\n" +
+    "/remind - remind unpaid members now\n" +
+    "/remind @member - remind only them\n" +
+    "/remind on | off\n" +
+    "/remind every <hours>\n" +
+    "/remind quiet <start>-<end> (e.g. 22-8)\n" +
+    "/remind settings";
+
+async function handleRemind(event, args) {
+    const groupId = event.source.groupId;
+
+    if (!groupId) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "This command only works in groups"
+            }]
+        });
+    }
+
+    const [subcommand, value] = args.split(/\s+/).filter(Boolean);
+    const mentioned = mentionedUserIds(event.message);
+    let changes = null;
+
+    try {
+        if (mentioned.length > 0) {
+            const count = await sendGroupReminder(client, groupId, { userIds: mentioned, replyToken: event.replyToken });
+            if (count > 0) return null;
+
+            return client.replyMessage({
+                replyToken: event.replyToken,
+                messages: [{
+                    type: "text",
+                    text: "They have nothing left to pay."
+                }]
+            });
+        }
+
+        if (!subcommand) {
+            const count = await sendGroupReminder(client, groupId, { replyToken: event.replyToken });
+            if (count > 0) return null;
+
+            return client.replyMessage({
+                replyToken: event.replyToken,
+                messages: [{
+                    type: "text",
+                    text: "Everyone has paid. Nothing to remind!"
+                }]
+            });
+        }
+
+        if (subcommand === "on" || subcommand === "off") {
+            changes = { enabled: subcommand === "on" };
+        } else if (subcommand === "every" && /^\d+$/.test(value || "") && Number(value) >= 1) {
+            changes = { interval_hours: Number(value) };
+        } else if (subcommand === "quiet" && /^\d{1,2}-\d{1,2}$/.test(value || "")) {
+            const [start, end] = value.split("-").map(Number);
+            if (start <= 23 && end <= 23) changes = { quiet_start: start, quiet_end: end };
+        } else if (subcommand === "settings") {
+            changes = {};
+        }
+
+        if (!changes) {
+            return client.replyMessage({
+                replyToken: event.replyToken,
+                messages: [{ type: "text", text: REMIND_USAGE }]
+            });
+        }
+
+        const settings = Object.keys(changes).length > 0
+            ? await updateReminderSettings(groupId, changes)
+            : await getReminderSettings(groupId);
+
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text:
+                    `Reminders: ${settings.enabled ? "on" : "off"}\n` +
+                    `Every: ${settings.interval_hours} hours (more often for bills older than 3 days)\n` +
+                    `Quiet hours: ${settings.quiet_start}:00-${settings.quiet_end}:00`
+            }]
+        });
+    } catch (err) {
+        console.error("Error handling reminders:", err);
+        await replyFailure(event, "Failed to send reminder");
+        throw err;
+    }
+}
+
+const ACCOUNT_USAGE =
+    "Usage:\n" +
+    "/account - list your accounts\n" +
+    "/account add promptpay <id> [name]\n" +
+    "/account add bank <number> [name]\n" +
+    "/account remove <no.>";
+
+async function handleAccount(event, args) {
+    const userId = event.source.userId;
+    const [subcommand, ...rest] = args.split(/\s+/).filter(Boolean);
+
+    try {
+        if (!subcommand) {
+            const accounts = await listAccounts(userId);
+
+            const text = accounts.length === 0
+                ? "You have no registered accounts.\n\n" + ACCOUNT_USAGE
+                : "Your accounts\n\n" + accounts.map(a =>
+                    `${a.account_id}. ${a.account_type === "promptpay" ? "PromptPay" : "Bank"} ` +
+                    `${maskAccountNumber(a.account_number)}${a.account_name ? ` (${a.account_name})` : ""}`
+                ).join("\n");
+
+            return client.replyMessage({
+                replyToken: event.replyToken,
+                messages: [{ type: "text", text }]
+            });
+        }
+
+        if (subcommand === "add" && rest.length >= 2) {
+            const [type, number, ...nameParts] = rest;
+            const result = await registerAccount(userId, {
+                type: type.toLowerCase(),
+                number,
+                name: nameParts.join(" ") || null
+            });
+
+            return client.replyMessage({
+                replyToken: event.replyToken,
+                messages: [{
+                    type: "text",
+                    text: result.error
+                        ? result.error
+                        : `Registered ${result.account.account_type === "promptpay" ? "PromptPay" : "bank account"} ${maskAccountNumber(result.account.account_number)}. Slips for bills you pay will be checked against it.`
+                }]
+            });
+        }
+
+        if (subcommand === "remove" && rest.length === 1 && /^\d+$/.test(rest[0])) {
+            const removed = await removeAccount(userId, Number(rest[0]));
+
+            return client.replyMessage({
+                replyToken: event.replyToken,
+                messages: [{
+                    type: "text",
+                    text: removed ? "Account removed." : "No such account. Type /account to see yours."
+                }]
+            });
+        }
+
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{ type: "text", text: ACCOUNT_USAGE }]
+        });
+    } catch (err) {
+        console.error("Error managing accounts:", err);
+        await replyFailure(event, "Failed to update accounts");
+        throw err;
+    }
+}
+
 async function handleMemberList(event) {
     const groupId = event.source.groupId;
 
@@ -275,16 +910,9 @@ async function handleMemberList(event) {
     }
 
     try {
-        const result = await pool.query(
-            `SELECT u.display_name
-             FROM group_members gm
-             JOIN users u ON u.user_id = gm.user_id
-             WHERE gm.group_id = $1
-             ORDER BY u.display_name`,
-            [groupId]
-        );
+        const members = await listActiveMembers(groupId);
 
-        if (result.rowCount === 0) {
+        if (members.length === 0) {
             return client.replyMessage({
                 replyToken: event.replyToken,
                 messages: [{
@@ -294,7 +922,7 @@ async function handleMemberList(event) {
             });
         }
 
-        const lines = result.rows.map((m, i) =>
+        const lines = members.map((m, i) =>
             `${i + 1}. ${m.display_name || "(unknown)"}`
         );
 
@@ -305,19 +933,60 @@ async function handleMemberList(event) {
                 text:
                     "Members in this group\n\n" +
                     lines.join("\n") +
-                    "\n\nOnly members who have sent at least one message are shown."
+                    "\n\nOnly members who have sent at least one message are shown. " +
+                    "Use /sync-members to look for the rest."
             }]
         });
     } catch (err) {
         console.error("Error fetching member list:", err);
+        await replyFailure(event, "Failed to retrieve member list");
+        throw err;
+    }
+}
+
+async function handleSyncMembers(event) {
+    const groupId = event.source.groupId;
+
+    if (!groupId) {
         return client.replyMessage({
             replyToken: event.replyToken,
             messages: [{
                 type: "text",
-                text: "Failed to retrieve member list"
+                text: "This command only works in groups"
             }]
         });
     }
+
+    try {
+        const result = await syncGroupMembers(client, groupId);
+
+        const lines = [
+            "Members synced",
+            `Added: ${result.added}`,
+            `Left: ${result.left}`,
+            `Names refreshed: ${result.refreshed}`
+        ];
+
+        if (result.unchecked > 0) {
+            lines.push(`Not checked: ${result.unchecked} (LINE did not answer; try again later)`);
+        }
+
+        if (!result.complete) {
+            lines.push("", "LINE only lets this bot see members who have sent a message, so anyone else will appear once they do.");
+        }
+
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: lines.join("\n")
+            }]
+        });
+    } catch (err) {
+        console.error("Error syncing members:", err);
+        await replyFailure(event, "Failed to sync members");
+        throw err;
+    }
 }
 
 function handleOpenWeb(event) {
@@ -356,4 +1025,4 @@ function handleOpenWeb(event) {
 }
 
 // Export for Vercel to send notifications from bill.js
-export { client, getLatestBillStatus, billStatusFlex };
+export { client, handleEvent };
@@ -0,0 +1,149 @@
+import {
+    upsertPaymentAccount, listPaymentAccounts, deletePaymentAccount, listBillPayerAccounts
+} from "./repositories/accounts.js";
+
+export const ACCOUNT_TYPES = ["promptpay", "bank"];
+
+// Fewest unmasked digits a slip must show before we treat it as evidence
+const MIN_VISIBLE_DIGITS = 3;
+
+// Honorifics that Thai slips print before the receiver's name
+const NAME_PREFIXES = /^(นาย|นางสาว|นาง|น\.ส\.|ด\.ช\.|ด\.ญ\.|mr\.?|mrs\.?|ms\.?|miss)\s*/i;
+
+/**
+ * Register a payout account (PromptPay ID or bank account) for a member
+ * @param {string} userId - LINE user ID
+ * @param {Object} account
+ * @param {string} account.type - 'promptpay' or 'bank'
+ * @param {string} account.number - Account number or PromptPay ID (dashes allowed)
+ * @param {string|null} [account.name] - Account holder name as printed on slips
+ * @returns {Promise<{error: string}|{account: Object}>}
+ */
+export async function registerAccount(userId, { type, number, name = null }) {
+    if (!ACCOUNT_TYPES.includes(type)) {
+        return { error: `Account type must be one of: ${ACCOUNT_TYPES.join(", ")}` };
+    }
+
+    const digits = String(number || "").replace(/[\s-]/g, "");
+
+    if (!/^\d+$/.test(digits)) {
+        return { error: "Account number must contain only digits" };
+    }
+
+    if (type === "promptpay" && ![10, 13, 15].includes(digits.length)) {
+        return { error: "PromptPay ID must be a 10-digit phone number, 13-digit national ID or 15-digit e-wallet ID" };
+    }
+
+    if (type === "bank" && (digits.length < 10 || digits.length > 12)) {
+        return { error: "Bank account number must be 10 to 12 digits" };
+    }
+
+    return { account: await upsertPaymentAccount(userId, type, digits, name) };
+}
+
+/**
+ * List a member's registered accounts
+ * @param {string} userId - LINE user ID
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listAccounts(userId) {
+    return listPaymentAccounts(userId);
+}
+
+/**
+ * Remove one of a member's registered accounts
+ * @param {string} userId - LINE user ID
+ * @param {number} accountId - Account ID from listAccounts
+ * @returns {Promise<boolean>} Whether an account was removed
+ */
+export async function removeAccount(userId, accountId) {
+    return deletePaymentAccount(userId, accountId);
+}
+
+/**
+ * Registered accounts of everyone who fronted the given bills, keyed by bill
+ * @param {Array<number>} billIds - Bill IDs
+ * @returns {Promise<Map<string, Array<Object>>>} billId -> creditor accounts
+ */
+export async function getCreditorAccounts(billIds) {
+    const byBill = new Map();
+    for (const row of await listBillPayerAccounts(billIds)) {
+        const key = String(row.bill_id);
+        if (!byBill.has(key)) byBill.set(key, []);
+        byBill.get(key).push(row);
+    }
+    return byBill;
+}
+
+/**
+ * Check a slip's receiver text against a creditor's registered accounts
+ * @param {string|null} receiver - Receiver as extracted from the slip
+ * @param {Array<Object>} accounts - Creditor's registered accounts
+ * @returns {'verified'|'mismatch'|'unverifiable'} 'unverifiable' when there is
+ *   nothing to compare (no accounts registered)
+ */
+export function verifyReceiver(receiver, accounts) {
+    if (!accounts || accounts.length === 0) return "unverifiable";
+    if (!receiver) return "mismatch";
+
+    const matched = accounts.some(account =>
+        extractMaskedNumbers(receiver).some(masked => maskedNumberMatches(masked, account.account_number)) ||
+        nameMatches(receiver, account.account_name)
+    );
+
+    return matched ? "verified" : "mismatch";
+}
+
+/**
+ * Whether a masked number from a slip (e.g. "xxx-x-x5678-x") fits a full number.
+ * Both are right-aligned and every visible digit must agree.
+ * @param {string} masked - Masked number using x, X or * for hidden digits
+ * @param {string} full - Full account number or PromptPay ID
+ * @returns {boolean}
+ */
+export function maskedNumberMatches(masked, full) {
+    const pattern = masked.replace(/[^0-9xX*]/g, "").toLowerCase().replace(/\*/g, "x");
+    const digits = String(full).replace(/\D/g, "");
+
+    if (pattern.length === 0 || pattern.length > digits.length) return false;
+
+    const visible = pattern.replace(/x/g, "").length;
+    if (visible < MIN_VISIBLE_DIGITS) return false;
+
+    const offset = digits.length - pattern.length;
+    for (let i = 0; i < pattern.length; i++) {
+        if (pattern[i] !== "x" && pattern[i] !== digits[offset + i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Mask an account number for display, keeping the last 4 digits
+ * @param {string} number
+ * @returns {string}
+ */
+export function maskAccountNumber(number) {
+    return `${"x".repeat(Math.max(0, number.length - 4))}${number.slice(-4)}`;
+}
+
+// Runs of digits/mask characters that look like an account number or PromptPay ID
+function extractMaskedNumbers(text) {
+    return (text.match(/[0-9xX*][0-9xX*\s-]{6,}[0-9xX*]/g) || [])
+        .filter(token => /\d/.test(token));
+}
+
+function nameMatches(receiver, accountName) {
+    if (!accountName) return false;
+
+    const normalize = name => name.trim().replace(NAME_PREFIXES, "").replace(/\s+/g, " ").toLowerCase();
+    const expected = normalize(accountName);
+    const actual = normalize(receiver.replace(/[0-9xX*-]{4,}/g, ""));
+
+    // Slips often truncate the surname ("สมชาย ใ."), so compare the first name
+    // and the first letter of the surname
+    const [expectedFirst, expectedLast = ""] = expected.split(" ");
+    const [actualFirst, actualLast = ""] = actual.split(" ");
+
+    if (!expectedFirst || expectedFirst !== actualFirst) return false;
+    return !expectedLast || !actualLast || expectedLast[0] === actualLast[0];
+}
@@ -0,0 +1,74 @@
+import { isActiveMember } from "./repositories/members.js";
+
+const VERIFY_ID_TOKEN_URL = "https://api.line.me/oauth2/v2.1/verify";
+
+/**
+ * Authenticate a LIFF request and check the caller belongs to the group.
+ * The LIFF page sends `Authorization: Bearer <ID token>` from liff.getIDToken().
+ * @param {Object} req - Vercel request
+ * @param {string} groupId - Group the caller wants to act on
+ * @returns {Promise<{status: number, error: string}|{userId: string}>}
+ */
+export async function authenticateGroupMember(req, groupId) {
+    const token = getBearerToken(req);
+
+    if (!token) {
+        return { status: 401, error: "Missing LIFF ID token" };
+    }
+
+    const verified = await verifyIdToken(token);
+    if (verified.error) {
+        return { status: 401, error: verified.error };
+    }
+
+    if (!(await isActiveMember(groupId, verified.userId))) {
+        return { status: 403, error: "You are not a member of this group" };
+    }
+
+    return { userId: verified.userId };
+}
+
+/**
+ * Verify a LIFF ID token with LINE and return the user it belongs to
+ * @param {string} idToken - JWT from liff.getIDToken()
+ * @returns {Promise<{error: string}|{userId: string, name: string|null}>}
+ */
+export async function verifyIdToken(idToken) {
+    // Reject anything that is not a three-part JWT before calling LINE
+    if (!/^[\w-]+\.[\w-]+\.[\w-]+$/.test(idToken)) {
+        return { error: "Malformed ID token" };
+    }
+
+    try {
+        const response = await fetch(VERIFY_ID_TOKEN_URL, {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            body: new URLSearchParams({
+                id_token: idToken,
+                client_id: process.env.LIFF_CHANNEL_ID || ""
+            })
+        });
+
+        const payload = await response.json();
+
+        if (!response.ok) {
+            return { error: payload.error_description || "Invalid ID token" };
+        }
+
+        // LINE checks the signature, audience and expiry; double-check the claims we rely on
+        if (payload.aud !== process.env.LIFF_CHANNEL_ID || !payload.sub) {
+            return { error: "ID token was not issued for this app" };
+        }
+
+        return { userId: payload.sub, name: payload.name || null };
+    } catch (err) {
+        console.error("Error verifying ID token:", err);
+        return { error: "Could not verify ID token" };
+    }
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
@@ -0,0 +1,348 @@
+import { allocate, computeShares, normalizePayers, roundMoney } from "./split.js";
+import { getBillPromptPayShares } from "./promptPayQr.js";
+import { billStatusFlex, promptPayFlex } from "./billFlex.js";
+import { withTransaction } from "./repositories/transaction.js";
+import { findBillableMembers } from "./repositories/members.js";
+import {
+    insertBill, insertBillPayers, insertBillItems, findBill, updateBillTitle, updateBillSplit,
+    getBillPayers, replaceBillPayers, replaceBillItems, setBillStatus as saveBillStatus, getBillStatus, insertAuditLog
+} from "./repositories/bills.js";
+import {
+    insertParticipants, saveParticipantShare, removeParticipantsExcept, getParticipantPayments,
+    snapshotParticipants, markShareSettled
+} from "./repositories/participants.js";
+import { insertPayment, insertMemberCredit, getCreditBalances } from "./repositories/payments.js";
+
+export { getBillAuditLog } from "./repositories/bills.js";
+
+/**
+ * Create a bill from the same fields the bill form posts, validating the split,
+ * who fronted the money and that everyone involved is a current member
+ * @param {string} groupId - LINE group ID
+ * @param {string} userId - Creator's LINE user ID
+ * @param {Object} request - title, payType, amount, memberIds, weights, amounts, items,
+ *   payers, serviceChargePercent, vatPercent
+ * @returns {Promise<{status: number, error: string}|{billId: number, memberIds: Array<string>,
+ *   shares: Object<string, number>, total: number}>}
+ */
+export async function createBill(groupId, userId, request) {
+    const { title, payType, items } = request;
+
+    const split = computeShares(request);
+    if (split.error) return { status: 400, error: split.error };
+
+    const { memberIds, shares, total } = split;
+
+    const payerCheck = normalizePayers(request.payers, total);
+    if (payerCheck.error) return { status: 400, error: payerCheck.error };
+
+    const { payers } = payerCheck;
+
+    return withTransaction(async dbClient => {
+        const involvedIds = [...new Set([...memberIds, ...payers.map(p => p.userId)])];
+        const members = await findBillableMembers(groupId, involvedIds, dbClient);
+
+        if (members.length !== involvedIds.length) {
+            return { status: 400, error: "One or more selected members do not exist in this group" };
+        }
+
+        const billId = await insertBill({
+            groupId,
+            title,
+            payType,
+            total,
+            serviceChargePercent: payType === "itemized" ? Number(request.serviceChargePercent ?? 0) : 0,
+            vatPercent: payType === "itemized" ? Number(request.vatPercent ?? 0) : 0,
+            createdBy: userId
+        }, dbClient);
+
+        await insertBillPayers(billId, payers, dbClient);
+        if (payType === "itemized") await insertBillItems(billId, items, dbClient);
+        await insertParticipants(billId, memberIds, shares, dbClient);
+
+        // What a payer fronted covers their own share before anything else
+        const covered = payerCoverage(payers, shares);
+        for (const [payerId, amount] of Object.entries(covered)) {
+            await insertPayment({ billId, userId: payerId, amount, method: "fronted" }, dbClient);
+            if (amount >= shares[payerId]) await markShareSettled(billId, payerId, dbClient);
+        }
+
+        // Apply any credit members carried over from earlier overpayments
+        await applyMemberCredits(dbClient, groupId, billId, shares, covered);
+
+        return { billId, memberIds, shares, total };
+    });
+}
+
+/**
+ * Messages announcing a new bill: its status card, plus PromptPay QR codes
+ * when the payer has registered a PromptPay ID
+ * @param {string} groupId - LINE group ID
+ * @param {number} billId
+ * @param {string} baseUrl - Public URL the QR image endpoint is served from
+ * @returns {Promise<Array<Object>>}
+ */
+export async function billCreatedMessages(groupId, billId, baseUrl) {
+    const status = await getBillStatus(groupId, billId);
+    if (!status) return [];
+
+    const messages = [{
+        type: "flex",
+        altText: "New Bill Created!",
+        contents: billStatusFlex(status)
+    }];
+
+    const promptPay = await getBillPromptPayShares(billId);
+    if (promptPay && promptPay.shares.length > 0) {
+        messages.push({
+            type: "flex",
+            altText: `Pay ${promptPay.creditor.display_name || "the payer"} via PromptPay`,
+            contents: promptPayFlex(promptPay, baseUrl, billId)
+        });
+    }
+
+    return messages;
+}
+
+/**
+ * Update a bill's title, amount or participants, recomputing everyone's share.
+ * Payers are scaled to a new total unless `payers` is given.
+ * Only the bill creator may edit, and only while the bill is open.
+ * @param {number} billId
+ * @param {string} userId - Who is making the change
+ * @param {Object} changes - Any of title, amount, payType, memberIds, weights, amounts,
+ *   items, payers, serviceChargePercent, vatPercent (same shape as bill creation)
+ * @returns {Promise<{status: number, error: string}|{bill: Object}>}
+ */
+export async function updateBill(billId, userId, changes) {
+    return withEditableBill(billId, userId, async (dbClient, bill) => {
+        const before = await snapshotBill(dbClient, bill);
+        const resplit = ["amount", "payType", "memberIds", "weights", "amounts", "items", "payers", "serviceChargePercent", "vatPercent"]
+            .some(key => changes[key] !== undefined);
+
+        if (changes.title !== undefined) {
+            if (typeof changes.title !== "string" || !changes.title.trim()) {
+                return { status: 400, error: "Title cannot be empty" };
+            }
+
+            await updateBillTitle(billId, changes.title.trim(), dbClient);
+        }
+
+        if (resplit) {
+            const payType = changes.payType || bill.pay_type;
+            const itemized = payType === "itemized";
+
+            if (itemized && !changes.items) {
+                return { status: 400, error: "Items are required to re-split an itemized bill" };
+            }
+
+            // Percentages only apply to itemized bills; keep the stored ones unless they change
+            const serviceChargePercent = itemized ? Number(changes.serviceChargePercent ?? bill.service_charge_percent ?? 0) : 0;
+            const vatPercent = itemized ? Number(changes.vatPercent ?? bill.vat_percent ?? 0) : 0;
+
+            const split = computeShares({
+                ...changes,
+                payType,
+                amount: changes.amount ?? bill.total_pay_amount,
+                memberIds: changes.memberIds ?? before.participants.map(p => p.user_id),
+                serviceChargePercent,
+                vatPercent
+            });
+
+            if (split.error) return { status: 400, error: split.error };
+
+            const payerCheck = changes.payers !== undefined
+                ? normalizePayers(changes.payers, split.total)
+                : { payers: rescalePayers(await getBillPayers(billId, dbClient), split.total) };
+
+            if (payerCheck.error) return { status: 400, error: payerCheck.error };
+
+            const resplitError = await applyShares(dbClient, bill, split, payerCheck.payers);
+            if (resplitError) return { status: 400, error: resplitError };
+
+            await replaceBillPayers(billId, payerCheck.payers, dbClient);
+            await replaceBillItems(billId, itemized ? changes.items : [], dbClient);
+            await updateBillSplit(billId, { payType, total: split.total, serviceChargePercent, vatPercent }, dbClient);
+        }
+
+        const after = await snapshotBill(dbClient, { ...bill, bill_id: billId });
+        await insertAuditLog(billId, userId, "update", { before, after }, dbClient);
+
+        return { bill: after.bill };
+    });
+}
+
+/**
+ * Void a bill so nobody owes anything on it any more.
+ * Whatever members already paid toward it becomes credit for their next bills.
+ * @param {number} billId
+ * @param {string} userId - Who is cancelling
+ * @returns {Promise<{status: number, error: string}|{bill: Object}>}
+ */
+export async function cancelBill(billId, userId) {
+    return setBillStatus(billId, userId, "cancelled");
+}
+
+/**
+ * Force-close a bill, treating any remaining balances as settled outside the bot
+ * @param {number} billId
+ * @param {string} userId - Who is closing
+ * @returns {Promise<{status: number, error: string}|{bill: Object}>}
+ */
+export async function closeBill(billId, userId) {
+    return setBillStatus(billId, userId, "closed");
+}
+
+async function setBillStatus(billId, userId, status) {
+    return withEditableBill(billId, userId, async (dbClient, bill) => {
+        const refunded = status === "cancelled" ? await refundPayments(dbClient, bill) : {};
+        const updated = await saveBillStatus(billId, status, dbClient);
+
+        await insertAuditLog(billId, userId, status === "cancelled" ? "cancel" : "close", {
+            before: { status: bill.status },
+            after: Object.keys(refunded).length > 0 ? { status, refunded } : { status }
+        }, dbClient);
+
+        return { bill: updated };
+    });
+}
+
+// Load and lock the bill, check the caller may edit it, and run `fn` in a transaction
+async function withEditableBill(billId, userId, fn) {
+    return withTransaction(async dbClient => {
+        const bill = await findBill(billId, dbClient, { forUpdate: true });
+
+        if (!bill) return { status: 404, error: "Bill not found" };
+        if (bill.created_by !== userId) return { status: 403, error: "Only the bill creator can change this bill" };
+        if (bill.status !== "open") return { status: 409, error: `This bill is already ${bill.status}` };
+
+        return fn(dbClient, bill);
+    });
+}
+
+// Replace participants and shares, keeping what people have already paid
+async function applyShares(dbClient, bill, split, payers) {
+    const { bill_id: billId, group_id: groupId } = bill;
+
+    // Members who have left can stay on a bill they were already part of, but not be added
+    const involvedIds = [...new Set([...split.memberIds, ...payers.map(p => p.userId)])];
+    const members = await findBillableMembers(groupId, involvedIds, dbClient, billId);
+
+    if (members.length !== involvedIds.length) {
+        return "One or more selected members do not exist in this group";
+    }
+
+    const paidRows = await getParticipantPayments(billId, dbClient);
+    const covered = payerCoverage(payers, split.shares);
+
+    // What each member paid besides the part of their share covered by fronting the bill,
+    // which follows the new payers and shares instead
+    const paidByUser = Object.fromEntries(paidRows.map(r => [r.user_id, roundMoney(Number(r.paid) - Number(r.fronted))]));
+
+    const removedWithPayments = paidRows
+        .filter(r => !split.memberIds.includes(r.user_id) && paidByUser[r.user_id] > 0);
+
+    if (removedWithPayments.length > 0) {
+        const names = removedWithPayments.map(r => r.display_name || r.user_id).join(", ");
+        return `Cannot remove members who have already paid: ${names}`;
+    }
+
+    // Move what fronting covers to the new payers and shares
+    const frontedByUser = Object.fromEntries(paidRows.map(r => [r.user_id, Number(r.fronted)]));
+    for (const userId of new Set([...Object.keys(frontedByUser), ...Object.keys(covered)])) {
+        const change = roundMoney((covered[userId] || 0) - (frontedByUser[userId] || 0));
+        if (change !== 0) await insertPayment({ billId, userId, amount: change, method: "fronted" }, dbClient);
+    }
+
+    await removeParticipantsExcept(billId, split.memberIds, dbClient);
+
+    for (const userId of split.memberIds) {
+        const share = split.shares[userId];
+        const paid = roundMoney((paidByUser[userId] || 0) + (covered[userId] || 0));
+
+        // Settled status follows the new share; anything paid beyond it becomes credit
+        await saveParticipantShare(billId, userId, share, paid, dbClient);
+
+        const excess = roundMoney(paid - share);
+        if (excess > 0) {
+            await insertPayment({ billId, userId, amount: -excess, method: "adjustment" }, dbClient);
+            await insertMemberCredit({ groupId, userId, amount: excess, billId }, dbClient);
+        }
+    }
+
+    return null;
+}
+
+// Turn what each participant paid toward a bill into credit, the same way applyShares
+// handles overpayment, and return the amounts by user
+async function refundPayments(dbClient, bill) {
+    const { bill_id: billId, group_id: groupId } = bill;
+    const refunded = {};
+
+    for (const { user_id: userId, paid, fronted } of await getParticipantPayments(billId, dbClient)) {
+        // Fronting the bill was never paid to anyone in the group, so it is not credit
+        const amount = roundMoney(Number(paid) - Number(fronted));
+        if (amount <= 0) continue;
+
+        await insertPayment({ billId, userId, amount: -amount, method: "adjustment" }, dbClient);
+        await insertMemberCredit({ groupId, userId, amount, billId }, dbClient);
+        refunded[userId] = amount;
+    }
+
+    return refunded;
+}
+
+// Keep who fronted the bill, scaling what each put in to the new total
+function rescalePayers(rows, total) {
+    if (rows.length === 0) return [];
+
+    const amounts = allocate(total, rows.map(r => [r.user_id, Number(r.paid_amount)]));
+    return rows
+        .map(r => ({ userId: r.user_id, amount: amounts[r.user_id] }))
+        .filter(p => p.amount > 0);
+}
+
+// How much of each payer's own share is covered by what they fronted
+function payerCoverage(payers, shares) {
+    const covered = {};
+
+    for (const { userId, amount } of payers) {
+        const share = shares[userId] || 0;
+        if (share > 0) covered[userId] = roundMoney(Math.min(amount, share));
+    }
+
+    return covered;
+}
+
+// Use each participant's credit balance in this group toward what is left of their new share
+async function applyMemberCredits(dbClient, groupId, billId, shares, covered) {
+    const balances = await getCreditBalances(groupId, Object.keys(shares), dbClient);
+
+    for (const { user_id: userId, balance } of balances) {
+        const due = roundMoney(shares[userId] - (covered[userId] || 0));
+        const used = roundMoney(Math.min(Number(balance), due));
+        if (used <= 0) continue;
+
+        await insertPayment({ billId, userId, amount: used, method: "credit" }, dbClient);
+        await insertMemberCredit({ groupId, userId, amount: -used, billId }, dbClient);
+
+        if (used >= due) {
+            await markShareSettled(billId, userId, dbClient);
+        }
+    }
+}
+
+async function snapshotBill(dbClient, bill) {
+    const current = await findBill(bill.bill_id, dbClient);
+
+    return {
+        bill: {
+            bill_id: current.bill_id,
+            title: current.title,
+            pay_type: current.pay_type,
+            total_pay_amount: current.total_pay_amount,
+            status: current.status
+        },
+        participants: await snapshotParticipants(bill.bill_id, dbClient)
+    };
+}
@@ -0,0 +1,177 @@
+import { promptPayQRUrl } from "./promptPayQr.js";
+
+/**
+ * Status card for a bill: who has paid, partly paid or not paid yet
+ * @param {{bill: Object, participants: Array<Object>}} status
+ * @returns {Object} Flex bubble
+ */
+export function billStatusFlex(status) {
+    return {
+        type: "bubble",
+        body: {
+            type: "box",
+            layout: "vertical",
+            spacing: "md",
+            contents: [
+                {
+                    type: "text",
+                    text: status.bill.title,
+                    weight: "bold",
+                    size: "lg",
+                    wrap: true
+                },
+                {
+                    type: "text",
+                    text: `Bill #${status.bill.bill_id} · Total: ${status.bill.total_pay_amount}`,
+                    color: "#666666",
+                    size: "sm"
+                },
+                {
+                    type: "separator",
+                    margin: "md"
+                },
+                ...status.participants.map(p => ({
+                    type: "box",
+                    layout: "horizontal",
+                    margin: "md",
+                    contents: [
+                        {
+                            type: "text",
+                            text: p.pay_at ? "✅" : Number(p.paid_amount) > 0 ? "🟡" : "❌",
+                            size: "sm",
+                            flex: 0
+                        },
+                        {
+                            type: "text",
+                            text: p.display_name || "(unknown)",
+                            flex: 2,
+                            margin: "md"
+                        },
+                        {
+                            type: "text",
+                            text: !p.pay_at && Number(p.paid_amount) > 0
+                                ? `${p.paid_amount}/${p.pay_amount}`
+                                : `${p.pay_amount}`,
+                            align: "end",
+                            flex: 1
+                        }
+                    ]
+                }))
+            ]
+        },
+        footer: billStatusFooter(status.bill)
+    };
+}
+
+// Cash/close/cancel buttons while a bill is open, otherwise what happened to it
+function billStatusFooter(bill) {
+    if (bill.status && bill.status !== "open") {
+        return {
+            type: "box",
+            layout: "vertical",
+            contents: [{
+                type: "text",
+                text: bill.status === "cancelled" ? "🚫 Cancelled" : "🔒 Closed",
+                color: "#999999",
+                size: "sm",
+                align: "center"
+            }]
+        };
+    }
+
+    return {
+        type: "box",
+        layout: "vertical",
+        spacing: "sm",
+        contents: [
+            {
+                type: "button",
+                style: "primary",
+                height: "sm",
+                action: {
+                    type: "postback",
+                    label: "I paid in cash",
+                    data: `action=claim-cash&billId=${bill.bill_id}`
+                }
+            },
+            {
+                type: "box",
+                layout: "horizontal",
+                spacing: "sm",
+                contents: [
+                    {
+                        type: "button",
+                        style: "secondary",
+                        height: "sm",
+                        action: {
+                            type: "postback",
+                            label: "Close",
+                            data: `action=close-bill&billId=${bill.bill_id}`
+                        }
+                    },
+                    {
+                        type: "button",
+                        style: "secondary",
+                        height: "sm",
+                        action: {
+                            type: "postback",
+                            label: "Cancel",
+                            data: `action=cancel-bill&billId=${bill.bill_id}`
+                        }
+                    }
+                ]
+            }
+        ]
+    };
+}
+
+/**
+ * Carousel with one PromptPay QR per participant who still owes money
+ * @param {{creditor: Object, shares: Array<Object>}} promptPay - From getBillPromptPayShares
+ * @param {string} baseUrl - Public URL the QR image endpoint is served from
+ * @param {number} billId
+ * @returns {Object} Flex carousel
+ */
+export function promptPayFlex(promptPay, baseUrl, billId) {
+    return {
+        type: "carousel",
+        contents: promptPay.shares.slice(0, 12).map(share => ({
+            type: "bubble",
+            size: "kilo",
+            hero: {
+                type: "image",
+                url: promptPayQRUrl(baseUrl, billId, share.user_id, share.amount_due),
+                size: "full",
+                aspectRatio: "1:1",
+                aspectMode: "fit"
+            },
+            body: {
+                type: "box",
+                layout: "vertical",
+                spacing: "sm",
+                contents: [
+                    {
+                        type: "text",
+                        text: share.display_name || "(unknown)",
+                        weight: "bold",
+                        wrap: true
+                    },
+                    {
+                        type: "text",
+                        text: `${Number(share.amount_due).toFixed(2)} THB`,
+                        size: "lg",
+                        weight: "bold",
+                        color: "#06C755"
+                    },
+                    {
+                        type: "text",
+                        text: `Scan to pay ${promptPay.creditor.display_name || "the payer"} via PromptPay`,
+                        size: "xs",
+                        color: "#999999",
+                        wrap: true
+                    }
+                ]
+            }
+        }))
+    };
+}
@@ -0,0 +1,106 @@
+// Match a slip amount against a member's open bills
+
+// Allowed difference between a slip and a bill share
+export const AMOUNT_TOLERANCE = 0.05;
+
+// Only the newest bills are considered for combinations to keep the search small
+const MAX_COMBINATION_BILLS = 15;
+const MAX_CANDIDATES = 10;
+
+/**
+ * Work out which open bill(s) a slip pays for.
+ * Preference order: a single bill with the exact amount, a unique combination of
+ * bills summing exactly to the amount, then a single bill within tolerance either way.
+ * @param {number} amount - Slip amount in THB
+ * @param {Array<{bill_id: *, amount_due: number|string}>} bills - Open bills, newest first
+ * @returns {{bills: Array<Object>}|{candidates: Array<Array<Object>>}|null}
+ *   `bills` when there is one clear match, `candidates` when the member must choose,
+ *   or null when nothing fits
+ */
+export function matchSlipToBills(amount, bills) {
+    const slipSatang = toSatang(amount);
+    const withSatang = bills.map(bill => ({ bill, satang: toSatang(bill.amount_due) }));
+
+    const exact = withSatang.filter(b => b.satang === slipSatang).map(b => [b.bill]);
+    const combinations = findCombinations(slipSatang, withSatang.slice(0, MAX_COMBINATION_BILLS));
+    const exactMatches = [...exact, ...combinations];
+
+    if (exactMatches.length === 1) return { bills: exactMatches[0] };
+    if (exactMatches.length > 1) return { candidates: exactMatches.slice(0, MAX_CANDIDATES) };
+
+    const withinTolerance = withSatang
+        .filter(b => Math.abs(slipSatang - b.satang) <= b.satang * AMOUNT_TOLERANCE)
+        .map(b => [b.bill]);
+
+    if (withinTolerance.length === 1) return { bills: withinTolerance[0] };
+    if (withinTolerance.length > 1) return { candidates: withinTolerance.slice(0, MAX_CANDIDATES) };
+
+    return null;
+}
+
+/**
+ * Whether a slip amount is close enough to pay a bill share.
+ * Overpayment is always accepted; underpayment up to AMOUNT_TOLERANCE.
+ * @param {number} paid - Slip amount in THB
+ * @param {number} due - Amount due in THB
+ * @returns {boolean}
+ */
+export function isAmountAcceptable(paid, due) {
+    const paidSatang = toSatang(paid);
+    const dueSatang = toSatang(due);
+    return paidSatang >= dueSatang || dueSatang - paidSatang <= dueSatang * AMOUNT_TOLERANCE;
+}
+
+/**
+ * Spread a slip amount over the chosen bills in order.
+ * Each bill receives up to its remaining balance; the last bill counts as settled
+ * when the amount it receives is acceptable, and anything left over is excess.
+ * @param {number} amount - Slip amount in THB
+ * @param {Array<{amount_due: number|string}>} bills - Bills to pay, with remaining balance as `amount_due`
+ * @returns {{allocations: Array<{bill: Object, amount: number, settled: boolean}>, excess: number}}
+ */
+export function allocateSlipPayment(amount, bills) {
+    let leftSatang = toSatang(amount);
+
+    const allocations = bills.map((bill, index) => {
+        const dueSatang = toSatang(bill.amount_due);
+        const isLast = index === bills.length - 1;
+        const paidSatang = Math.min(leftSatang, dueSatang);
+        leftSatang -= paidSatang;
+
+        const settled = paidSatang === dueSatang ||
+            (isLast && isAmountAcceptable(paidSatang / 100, dueSatang / 100));
+
+        return { bill, amount: paidSatang / 100, settled };
+    });
+
+    return { allocations, excess: leftSatang / 100 };
+}
+
+// All combinations of two or more bills summing exactly to the target
+function findCombinations(target, bills) {
+    const results = [];
+
+    function search(start, remaining, chosen) {
+        if (results.length >= MAX_CANDIDATES) return;
+
+        if (remaining === 0 && chosen.length >= 2) {
+            results.push(chosen.map(b => b.bill));
+            return;
+        }
+
+        for (let i = start; i < bills.length; i++) {
+            if (bills[i].satang <= 0 || bills[i].satang > remaining) continue;
+            chosen.push(bills[i]);
+            search(i + 1, remaining - bills[i].satang, chosen);
+            chosen.pop();
+        }
+    }
+
+    search(0, target, []);
+    return results;
+}
+
+function toSatang(amount) {
+    return Math.round(Number(amount) * 100);
+}
@@ -0,0 +1,280 @@
+import { withTransaction } from "./repositories/transaction.js";
+import { isBillPayer } from "./repositories/bills.js";
+import { getDisplayNames } from "./repositories/members.js";
+import { listUnpaidShares, lockAmountDue, markShareSettled } from "./repositories/participants.js";
+import { insertPayment, findCashClaim, insertCashClaim, resolveCashClaim } from "./repositories/payments.js";
+import { MAX_PICKER_OPTIONS, truncate } from "./quickReply.js";
+
+/**
+ * Handle `/paid [billId]`: a member claims they settled a bill in cash
+ * @param {Object} event - LINE message event
+ * @param {Object} client - LINE MessagingApiClient instance
+ * @param {string} arg - Optional bill ID
+ */
+export async function handlePaidCommand(event, client, arg) {
+    const { groupId, userId } = event.source;
+
+    if (arg && !/^\d+$/.test(arg)) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "Usage: /paid [bill ID]"
+            }]
+        });
+    }
+
+    const bills = await findUnpaidBillsForUser(groupId, userId);
+    const chosen = arg ? bills.filter(b => Number(b.bill_id) === Number(arg)) : bills;
+
+    if (chosen.length === 0) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: arg ? `You have nothing left to pay on bill #${arg}.` : "You have no unpaid bills 🎉"
+            }]
+        });
+    }
+
+    if (chosen.length > 1) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [cashBillPickerMessage(chosen.slice(0, MAX_PICKER_OPTIONS))]
+        });
+    }
+
+    return submitCashClaim(event, client, chosen[0]);
+}
+
+/**
+ * Handle the "Paid in cash" postback from a bill's status card or the bill picker
+ * @param {Object} event - LINE postback event
+ * @param {Object} client - LINE MessagingApiClient instance
+ * @param {URLSearchParams} params - Parsed postback data (billId)
+ */
+export async function handleCashClaim(event, client, params) {
+    const { groupId, userId } = event.source;
+    const billId = Number(params.get("billId"));
+
+    const bills = await findUnpaidBillsForUser(groupId, userId);
+    const bill = bills.find(b => Number(b.bill_id) === billId);
+
+    if (!bill) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "You have nothing left to pay on this bill."
+            }]
+        });
+    }
+
+    return submitCashClaim(event, client, bill);
+}
+
+/**
+ * Handle the bill creator's confirm/reject decision on a cash claim
+ * @param {Object} event - LINE postback event
+ * @param {Object} client - LINE MessagingApiClient instance
+ * @param {URLSearchParams} params - Parsed postback data (claimId, decision)
+ */
+export async function handleCashReview(event, client, params) {
+    const reviewerId = event.source.userId;
+    const claimId = Number(params.get("claimId"));
+    const decision = params.get("decision");
+
+    if (decision !== "approve" && decision !== "reject") {
+        console.warn("Ignoring unknown cash review decision:", decision);
+        return;
+    }
+
+    const claim = await findCashClaim(claimId);
+
+    if (!claim || claim.status !== "pending") {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "This cash payment has already been reviewed."
+            }]
+        });
+    }
+
+    if (!(await canReviewCash(claim, reviewerId))) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "Only the bill creator can confirm cash payments."
+            }]
+        });
+    }
+
+    const name = claim.display_name || "member";
+
+    if (decision === "reject") {
+        await resolveCashClaim(claimId, "rejected", reviewerId);
+
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: `Cash payment from ${name} was rejected. The bill stays unpaid.`
+            }]
+        });
+    }
+
+    const recorded = await recordCashPayment(claim, reviewerId);
+
+    return client.replyMessage({
+        replyToken: event.replyToken,
+        messages: [{
+            type: "text",
+            text: recorded
+                ? `✅ Cash payment confirmed: ${name} paid ${recorded.amount.toFixed(2)} for ${claim.bill_title}` +
+                    (recorded.settled ? "" : ` (${recorded.remaining.toFixed(2)} still due)`)
+                : `${name} has nothing left to pay on ${claim.bill_title}.`
+        }]
+    });
+}
+
+// Record a pending claim for what the member still owes and ask the creator to confirm it
+async function submitCashClaim(event, client, bill) {
+    const { userId } = event.source;
+
+    // The creator would be confirming their own claim, so record it straight away
+    if (bill.created_by === userId) {
+        const claim = await insertCashClaim(bill.bill_id, userId, bill.amount_due);
+        if (!claim) return replyAlreadyClaimed(event, client, bill);
+
+        const recorded = await recordCashPayment({ ...claim, bill_title: bill.bill_title }, userId);
+
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: recorded
+                    ? `✅ Cash payment recorded: ${recorded.amount.toFixed(2)} for ${bill.bill_title}`
+                    : `You have nothing left to pay on ${bill.bill_title}.`
+            }]
+        });
+    }
+
+    const claim = await insertCashClaim(bill.bill_id, userId, bill.amount_due);
+    if (!claim) return replyAlreadyClaimed(event, client, bill);
+
+    const names = await getDisplayNames([userId, bill.created_by].filter(Boolean));
+
+    return client.replyMessage({
+        replyToken: event.replyToken,
+        messages: [cashReviewFlex(claim, bill, names[userId], names[bill.created_by])]
+    });
+}
+
+function replyAlreadyClaimed(event, client, bill) {
+    return client.replyMessage({
+        replyToken: event.replyToken,
+        messages: [{
+            type: "text",
+            text: `Your cash payment for ${bill.bill_title} is already waiting for confirmation.`
+        }]
+    });
+}
+
+// The bill creator reviews; bills created before creators were tracked fall back to their payers
+async function canReviewCash(claim, reviewerId) {
+    if (claim.created_by) return claim.created_by === reviewerId;
+
+    return isBillPayer(claim.bill_id, reviewerId);
+}
+
+// Apply an approved claim, capped at what is still due in case a slip arrived meanwhile
+async function recordCashPayment(claim, approvedBy) {
+    return withTransaction(async dbClient => {
+        const due = await lockAmountDue(claim.bill_id, claim.user_id, dbClient);
+        const amount = Math.min(Number(claim.amount), due);
+
+        if (amount <= 0) {
+            await resolveCashClaim(claim.claim_id, "void", approvedBy, dbClient);
+            return null;
+        }
+
+        await insertPayment({
+            billId: claim.bill_id,
+            userId: claim.user_id,
+            amount,
+            method: "cash",
+            approvedBy
+        }, dbClient);
+
+        const settled = amount >= due;
+        if (settled) await markShareSettled(claim.bill_id, claim.user_id, dbClient);
+
+        await resolveCashClaim(claim.claim_id, "approved", approvedBy, dbClient);
+
+        return { amount, settled, remaining: due - amount };
+    });
+}
+
+async function findUnpaidBillsForUser(groupId, userId) {
+    const shares = await listUnpaidShares(groupId, userId);
+    return shares.filter(b => Number(b.amount_due) > 0);
+}
+
+// Quick-reply picker when the member owes on several bills
+function cashBillPickerMessage(bills) {
+    return {
+        type: "text",
+        text: "Which bill did you pay in cash?",
+        quickReply: {
+            items: bills.map(bill => ({
+                type: "action",
+                action: {
+                    type: "postback",
+                    label: truncate(`#${bill.bill_id} ${bill.bill_title}`, 20),
+                    data: `action=claim-cash&billId=${bill.bill_id}`,
+                    displayText: `Paid ${bill.bill_title} in cash`.slice(0, 300)
+                }
+            }))
+        }
+    };
+}
+
+// Cash claim flex message with confirm/reject buttons for the bill creator
+function cashReviewFlex(claim, bill, claimantName, creatorName) {
+    return {
+        type: "bubble",
+        body: {
+            type: "box",
+            layout: "vertical",
+            spacing: "sm",
+            contents: [
+                { type: "text", text: "Cash Payment Claimed", weight: "bold", size: "lg", color: "#FF9900" },
+                { type: "separator", margin: "md" },
+                { type: "box", layout: "horizontal", margin: "md", contents: [
+                    { type: "text", text: "Bill:", color: "#666666", flex: 1 },
+                    { type: "text", text: bill.bill_title, flex: 2, align: "end", wrap: true }
+                ]},
+                { type: "box", layout: "horizontal", contents: [
+                    { type: "text", text: "Paid by:", color: "#666666", flex: 1 },
+                    { type: "text", text: claimantName || "(unknown)", flex: 2, align: "end", wrap: true }
+                ]},
+                { type: "box", layout: "horizontal", contents: [
+                    { type: "text", text: "Amount:", color: "#666666", flex: 1 },
+                    { type: "text", text: Number(claim.amount).toFixed(2), flex: 2, align: "end", weight: "bold" }
+                ]},
+                { type: "text", text: `${creatorName || "The bill creator"} needs to confirm this cash payment.`, wrap: true, size: "sm", color: "#999999", margin: "md" }
+            ]
+        },
+        footer: {
+            type: "box",
+            layout: "horizontal",
+            spacing: "sm",
+            contents: [
+                { type: "button", style: "primary", height: "sm", action: { type: "postback", label: "Confirm", data: `action=review-cash&claimId=${claim.claim_id}&decision=approve` } },
+                { type: "button", style: "secondary", height: "sm", action: { type: "postback", label: "Reject", data: `action=review-cash&claimId=${claim.claim_id}&decision=reject` } }
+            ]
+        }
+    };
+}
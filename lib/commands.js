@@ -0,0 +1,159 @@
+/**
+ * Chat commands the bot understands, in the order /help lists them.
+ * Aliases and Thai keywords work after a slash. Commands marked `readOnly` also
+ * answer a bare Thai keyword, since nobody types a slash on a Thai keyboard;
+ * anything that changes data or pings people needs the slash so chat can't trigger it.
+ * A bare keyword only counts on its own or followed by what `bareArgs` accepts,
+ * so a sentence that happens to start with one stays chat.
+ */
+export const COMMANDS = [
+    {
+        name: "help",
+        readOnly: true,
+        aliases: ["commands"],
+        keywords: ["ช่วยเหลือ", "วิธีใช้"],
+        usage: "/help",
+        description: "Show this list"
+    },
+    {
+        name: "create-bill",
+        aliases: ["new"],
+        keywords: ["สร้างบิล"],
+        usage: "/create-bill",
+        description: "Open the bill form"
+    },
+    {
+        name: "status",
+        readOnly: true,
+        bareArgs: /^#?\d+$/,
+        aliases: [],
+        keywords: ["สถานะ"],
+        usage: "/status [bill ID]",
+        description: "Show open bills, or one bill"
+    },
+    {
+        name: "bill",
+        aliases: [],
+        keywords: ["บิล"],
+        usage: "/bill <id>",
+        description: "Show one bill; /bill 600 Dinner @Ann @Ben (or all) splits a new one"
+    },
+    {
+        name: "history",
+        readOnly: true,
+        bareArgs: /^\d+$/,
+        aliases: [],
+        keywords: ["ประวัติ"],
+        usage: "/history [page]",
+        description: "Show settled bills"
+    },
+    {
+        name: "balance",
+        readOnly: true,
+        aliases: [],
+        keywords: ["ยอดค้าง"],
+        usage: "/balance",
+        description: "Show who should pay whom"
+    },
+    {
+        name: "paid",
+        aliases: [],
+        keywords: ["จ่ายแล้ว"],
+        usage: "/paid [bill ID]",
+        description: "Tell the payer you paid in cash"
+    },
+    {
+        name: "remind",
+        aliases: [],
+        keywords: ["ทวง", "เตือน"],
+        usage: "/remind [@member]",
+        description: "Remind unpaid members (/remind settings for the schedule)"
+    },
+    {
+        name: "account",
+        aliases: ["accounts"],
+        keywords: ["บัญชี"],
+        usage: "/account",
+        description: "Manage your PromptPay and bank accounts"
+    },
+    {
+        name: "member-list",
+        readOnly: true,
+        aliases: ["members"],
+        keywords: ["สมาชิก"],
+        usage: "/member-list",
+        description: "List members of this group"
+    },
+    {
+        name: "sync-members",
+        aliases: ["sync"],
+        keywords: [],
+        usage: "/sync-members",
+        description: "Look for members the bot has not seen yet"
+    }
+];
+
+const bySlashName = new Map();
+const byKeyword = new Map();
+
+for (const command of COMMANDS) {
+    for (const name of [command.name, ...command.aliases, ...command.keywords]) {
+        bySlashName.set(name, command);
+    }
+
+    if (!command.readOnly) continue;
+
+    for (const keyword of command.keywords) {
+        byKeyword.set(keyword, command);
+    }
+}
+
+/**
+ * Split a chat message into a command and its arguments
+ * @param {string} text - Message text
+ * @returns {{name: string|null, word: string, args: string}|null} null when the
+ *   message is not a command; name is null for an unknown slash command
+ */
+export function parseCommand(text) {
+    const [, word = "", args = ""] = text.trim().match(/^(\S*)\s*([\s\S]*)$/);
+    const lowered = word.toLowerCase();
+
+    if (lowered.startsWith("/") && lowered.length > 1) {
+        const command = bySlashName.get(lowered.slice(1));
+        return { name: command ? command.name : null, word, args: args.trim() };
+    }
+
+    const command = byKeyword.get(lowered);
+    const rest = args.trim();
+
+    if (!command || (rest && !command.bareArgs?.test(rest))) return null;
+    return { name: command.name, word, args: rest };
+}
+
+/**
+ * The /help reply, generated from COMMANDS
+ * @returns {string}
+ */
+export function helpText() {
+    const lines = COMMANDS.map(c => {
+        const keywords = c.keywords.map(k => c.readOnly ? k : `/${k}`);
+        return `${c.usage} - ${c.description}` + (keywords.length > 0 ? ` (${keywords.join(", ")})` : "");
+    });
+
+    return ["Commands", "", ...lines, "", "Send a slip photo after paying and I'll match it to your bills."].join("\n");
+}
+
+/**
+ * User IDs of the members @mentioned in a text message, leaving out the bot
+ * @param {Object} message - LINE text message object
+ * @returns {Array<string>}
+ */
+export function mentionedUserIds(message) {
+    const mentionees = message?.mention?.mentionees || [];
+
+    return [...new Set(
+        mentionees
+            .filter(m => m.type === "user" && m.userId && !m.isSelf)
+            .map(m => m.userId)
+    )];
+}
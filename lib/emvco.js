@@ -0,0 +1,205 @@
+// EMVCo-style TLV helpers for Thai QR payloads (slip verification and PromptPay)
+
+// Thai bank codes as assigned by the Bank of Thailand
+const BANK_CODES = {
+    "002": "ธนาคารกรุงเทพ",
+    "004": "ธนาคารกสิกรไทย",
+    "006": "ธนาคารกรุงไทย",
+    "011": "ธนาคารทหารไทยธนชาต",
+    "014": "ธนาคารไทยพาณิชย์",
+    "022": "ธนาคารซีไอเอ็มบี ไทย",
+    "024": "ธนาคารยูโอบี",
+    "025": "ธนาคารกรุงศรีอยุธยา",
+    "030": "ธนาคารออมสิน",
+    "033": "ธนาคารอาคารสงเคราะห์",
+    "034": "ธนาคารเพื่อการเกษตรและสหกรณ์การเกษตร",
+    "067": "ธนาคารทิสโก้",
+    "069": "ธนาคารเกียรตินาคินภัทร",
+    "073": "ธนาคารแลนด์ แอนด์ เฮ้าส์"
+};
+
+// PromptPay (Thai QR Payment) constants
+const PROMPTPAY_AID = "A000000677010111";
+const CURRENCY_THB = "764";
+
+// Tags used by the slip verification mini-QR printed on Thai bank slips
+const SLIP_TAG_PAYLOAD = "00";
+const SLIP_TAG_COUNTRY = "51";
+const SLIP_TAG_CRC = "91";
+
+const SLIP_SUBTAG_API_ID = "00";
+const SLIP_SUBTAG_BANK = "01";
+const SLIP_SUBTAG_REF = "02";
+
+/**
+ * Parse a TLV string (2-digit tag, 2-digit length, value) into an ordered list of fields
+ * @param {string} data - Raw TLV string
+ * @returns {Array<{tag: string, length: number, value: string}>}
+ * @throws {Error} If the string is not well-formed TLV
+ */
+export function parseTLV(data) {
+    const fields = [];
+    let pos = 0;
+
+    while (pos < data.length) {
+        if (pos + 4 > data.length) {
+            throw new Error(`Truncated TLV header at position ${pos}`);
+        }
+
+        const tag = data.slice(pos, pos + 2);
+        const lengthStr = data.slice(pos + 2, pos + 4);
+
+        if (!/^\d{2}$/.test(tag) || !/^\d{2}$/.test(lengthStr)) {
+            throw new Error(`Invalid TLV header "${tag}${lengthStr}" at position ${pos}`);
+        }
+
+        const length = Number(lengthStr);
+        const value = data.slice(pos + 4, pos + 4 + length);
+
+        if (value.length !== length) {
+            throw new Error(`TLV value for tag ${tag} is truncated`);
+        }
+
+        fields.push({ tag, length, value });
+        pos += 4 + length;
+    }
+
+    return fields;
+}
+
+/**
+ * Build a single TLV field
+ * @param {string} tag - 2-digit tag
+ * @param {string} value - Field value (max 99 characters)
+ * @returns {string}
+ */
+export function formatTLV(tag, value) {
+    const str = String(value);
+    if (str.length > 99) {
+        throw new Error(`TLV value for tag ${tag} exceeds 99 characters`);
+    }
+    return `${tag}${String(str.length).padStart(2, "0")}${str}`;
+}
+
+/**
+ * CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF) as used by EMVCo QR codes
+ * @param {string} data - Payload including the CRC tag and length, excluding the CRC value
+ * @returns {string} 4-character uppercase hex checksum
+ */
+export function crc16(data) {
+    let crc = 0xFFFF;
+
+    for (const byte of Buffer.from(data, "utf8")) {
+        crc ^= byte << 8;
+        for (let i = 0; i < 8; i++) {
+            crc = crc & 0x8000
+                ? ((crc << 1) ^ 0x1021) & 0xFFFF
+                : (crc << 1) & 0xFFFF;
+        }
+    }
+
+    return crc.toString(16).toUpperCase().padStart(4, "0");
+}
+
+// Verify the trailing CRC field of a payload whose CRC uses the given tag
+function verifyCRC(payload, crcTag) {
+    const crcField = payload.slice(-8);
+    if (crcField.slice(0, 4) !== `${crcTag}04`) return false;
+
+    const expected = crc16(payload.slice(0, -4));
+    return crcField.slice(4).toUpperCase() === expected;
+}
+
+/**
+ * Get the Thai bank name for a Bank of Thailand bank code
+ * @param {string} code - 3-digit bank code
+ * @returns {string|null}
+ */
+export function bankNameFromCode(code) {
+    return BANK_CODES[code] || null;
+}
+
+/**
+ * Decode the slip verification mini-QR printed on Thai bank transfer slips
+ * @param {string} payload - Raw QR text
+ * @returns {{
+ *   api_id: string,
+ *   sending_bank_code: string,
+ *   sending_bank_name: string|null,
+ *   transaction_ref: string,
+ *   country_code: string|null,
+ *   crc_valid: boolean
+ * }|null} Decoded fields, or null if the payload is not a slip verification QR
+ */
+export function parseSlipQR(payload) {
+    if (!payload || typeof payload !== "string") return null;
+
+    let fields;
+    try {
+        fields = parseTLV(payload.trim());
+    } catch (error) {
+        return null;
+    }
+
+    const byTag = Object.fromEntries(fields.map(f => [f.tag, f.value]));
+    if (!byTag[SLIP_TAG_PAYLOAD] || !byTag[SLIP_TAG_CRC]) return null;
+
+    let subFields;
+    try {
+        subFields = parseTLV(byTag[SLIP_TAG_PAYLOAD]);
+    } catch (error) {
+        return null;
+    }
+
+    const sub = Object.fromEntries(subFields.map(f => [f.tag, f.value]));
+    if (!sub[SLIP_SUBTAG_BANK] || !sub[SLIP_SUBTAG_REF]) return null;
+
+    return {
+        api_id: sub[SLIP_SUBTAG_API_ID] || null,
+        sending_bank_code: sub[SLIP_SUBTAG_BANK],
+        sending_bank_name: bankNameFromCode(sub[SLIP_SUBTAG_BANK]),
+        transaction_ref: sub[SLIP_SUBTAG_REF],
+        country_code: byTag[SLIP_TAG_COUNTRY] || null,
+        crc_valid: verifyCRC(payload.trim(), SLIP_TAG_CRC)
+    };
+}
+
+/**
+ * Build a PromptPay EMVCo payload, optionally with a fixed amount
+ * @param {string} promptPayId - 10-digit phone number, 13-digit national/tax ID or 15-digit e-wallet ID
+ * @param {number|null} [amount] - Amount in THB; omitted for an open-amount QR
+ * @returns {string} Payload text ready to be encoded as a QR code
+ * @throws {Error} If the PromptPay ID or amount is invalid
+ */
+export function buildPromptPayPayload(promptPayId, amount = null) {
+    const id = String(promptPayId).replace(/\D/g, "");
+    let account;
+
+    if (id.length === 10 && id.startsWith("0")) {
+        // Phone numbers are sent as 13 digits with the 66 country code
+        account = formatTLV("01", `0066${id.slice(1)}`);
+    } else if (id.length === 13) {
+        account = formatTLV("02", id);
+    } else if (id.length === 15) {
+        account = formatTLV("03", id);
+    } else {
+        throw new Error("Invalid PromptPay ID");
+    }
+
+    const hasAmount = amount !== null && amount !== undefined;
+    if (hasAmount && !(Number(amount) > 0)) {
+        throw new Error("PromptPay amount must be a positive number");
+    }
+
+    const payload = [
+        formatTLV("00", "01"),
+        formatTLV("01", hasAmount ? "12" : "11"),
+        formatTLV("29", formatTLV("00", PROMPTPAY_AID) + account),
+        formatTLV("58", "TH"),
+        formatTLV("53", CURRENCY_THB),
+        hasAmount ? formatTLV("54", Number(amount).toFixed(2)) : "",
+        "6304"
+    ].join("");
+
+    return payload + crc16(payload);
+}
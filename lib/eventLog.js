@@ -0,0 +1,69 @@
+import {
+    claimWebhookEvent, setWebhookEventProcessed, setWebhookEventFailed, findWebhookEvent, listFailedWebhookEvents
+} from "./repositories/webhookEvents.js";
+
+// An event stuck in 'processing' this long is assumed to have crashed and may be retried
+const STALE_PROCESSING_MINUTES = 5;
+
+/**
+ * Record a webhook event and claim it for processing.
+ * Returns false when the event was already processed (or is being processed),
+ * which is how LINE redeliveries are skipped. Failed events can be claimed again.
+ * @param {Object} event - LINE webhook event
+ * @returns {Promise<boolean>} Whether the caller should handle the event
+ */
+export async function claimEvent(event) {
+    // Events without an ID cannot be deduplicated, so always handle them
+    if (!event.webhookEventId) return true;
+
+    return claimWebhookEvent({
+        webhookEventId: event.webhookEventId,
+        eventType: event.type,
+        sourceId: sourceId(event),
+        payload: event
+    }, STALE_PROCESSING_MINUTES);
+}
+
+/**
+ * Mark a claimed event as successfully handled
+ * @param {Object} event - LINE webhook event
+ */
+export async function markEventProcessed(event) {
+    if (!event.webhookEventId) return;
+
+    await setWebhookEventProcessed(event.webhookEventId);
+}
+
+/**
+ * Mark a claimed event as failed so it can be retried or replayed
+ * @param {Object} event - LINE webhook event
+ * @param {Error} err
+ */
+export async function markEventFailed(event, err) {
+    if (!event.webhookEventId) return;
+
+    await setWebhookEventFailed(event.webhookEventId, String(err?.stack || err).slice(0, 4000));
+}
+
+/**
+ * Load a stored event
+ * @param {string} webhookEventId
+ * @returns {Promise<Object|null>} Row with the original event in `payload`
+ */
+export async function getStoredEvent(webhookEventId) {
+    return findWebhookEvent(webhookEventId);
+}
+
+/**
+ * Most recent failed events, newest first
+ * @param {number} [limit]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listFailedEvents(limit = 20) {
+    return listFailedWebhookEvents(limit);
+}
+
+function sourceId(event) {
+    const source = event.source || {};
+    return source.groupId || source.roomId || source.userId || null;
+}
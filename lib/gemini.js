@@ -0,0 +1,44 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+/**
+ * A Gemini model using GEMINI_API_KEY
+ * @param {string} name - Model name, e.g. "gemini-2.5-flash"
+ * @returns {{generateContent: Function}}
+ */
+export function geminiModel(name) {
+    return genAI.getGenerativeModel({ model: name });
+}
+
+/**
+ * Ask a model about an image and parse its JSON answer
+ * @param {{generateContent: Function}} model
+ * @param {string} prompt - Instructions asking for JSON only
+ * @param {Buffer} imageBuffer
+ * @param {string} mimeType
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Object>} Throws when the reply is not valid JSON
+ */
+export async function generateImageJson(model, prompt, imageBuffer, mimeType, signal) {
+    const result = await model.generateContent([
+        prompt,
+        {
+            inlineData: {
+                mimeType,
+                data: imageBuffer.toString("base64")
+            }
+        }
+    ], { signal });
+
+    const response = await result.response;
+    const text = response.text().trim();
+
+    // Clean up response - remove markdown code blocks if present
+    const cleanedText = text
+        .replace(/```json\n?/g, "")
+        .replace(/```\n?/g, "")
+        .trim();
+
+    return JSON.parse(cleanedText);
+}
@@ -1,10 +1,20 @@
+import crypto from "crypto";
 import jsQR from "jsqr";
-import { createCanvas, loadImage } from "canvas";
 import { parseSlipImage } from "./slipParser.js";
-import pool from "./db.js";
+import { handleReceiptImage } from "./receipts.js";
+import { parseSlipQR } from "./emvco.js";
+import { matchSlipToBills, allocateSlipPayment } from "./billMatcher.js";
+import { getCreditorAccounts, verifyReceiver } from "./accounts.js";
+import { crossCheckSlipQR, checkSlipDate, slipConfidenceScore, LOW_CONFIDENCE_THRESHOLD } from "./slipValidation.js";
+import { withTransaction } from "./repositories/transaction.js";
+import { paidForAllBills } from "./repositories/bills.js";
+import { listUnpaidShares, markShareSettled } from "./repositories/participants.js";
+import { insertPayment, insertMemberCredit } from "./repositories/payments.js";
+import { findSlip, findDuplicateSlip, clearUnresolvedSlips, insertSlip, updateSlipStatus } from "./repositories/slips.js";
+import { MAX_PICKER_OPTIONS, truncate } from "./quickReply.js";
 
 /**
- * Handle image messages and extract QR code data
+ * Handle image messages: slips are matched by their QR code, anything else may be a receipt
  * @param {Object} event - LINE webhook event
  * @param {Object} client - LINE MessagingApiClient instance
  * @param {Object} blobClient - LINE MessagingApiBlobClient instance
@@ -30,6 +40,9 @@ export async function handleImage(event, client, blobClient) {
 
         const buffer = Buffer.concat(chunks);
 
+        // canvas is a native module; load it only when an image actually needs decoding
+        const { createCanvas, loadImage } = await import("canvas");
+
         // Load image and create canvas
         const img = await loadImage(buffer);
         const canvas = createCanvas(img.width, img.height);
@@ -40,52 +53,60 @@ export async function handleImage(event, client, blobClient) {
         const imageData = ctx.getImageData(0, 0, img.width, img.height);
         const qr = jsQR(imageData.data, img.width, img.height);
 
-        if (!qr) {
-            console.log("No QR code found in image");
-            return client.replyMessage({
-                replyToken: event.replyToken,
-                messages: [{
-                    type: "text",
-                    text: "No QR code detected in this image. Please send a payment slip with a QR code."
-                }]
-            });
-        }
-
-        console.log("QR code detected:", qr.data);
-
-        // Process the slip image with QR data
-        return handleSlipImage({
-            event,
-            client,
-            buffer,
-            qrPayload: qr.data
-        });
+        return await routeImage({ event, client, buffer, qrPayload: qr ? qr.data : null });
 
     } catch (error) {
         console.error("Error processing image:", error);
 
-        return client.replyMessage({
+        await client.replyMessage({
             replyToken: event.replyToken,
             messages: [{
                 type: "text",
                 text: "Failed to process image. Please try again."
             }]
-        });
+        }).catch(replyError => console.error("Failed to send error reply:", replyError));
+
+        // Let the webhook log the event as failed so it can be replayed
+        throw error;
     }
 }
 
-// Process slip image using Gemini Vision
-async function handleSlipImage({ event, client, buffer }) {
+/**
+ * Send a decoded image down the slip path when its QR code is a bank slip verification QR,
+ * and treat anything else as a possible receipt. Receipts often carry QR codes of their own,
+ * such as a PromptPay code to pay the shop or a link to a tax invoice.
+ * @param {Object} options
+ * @param {Object} options.event - LINE webhook event
+ * @param {Object} options.client - LINE MessagingApiClient instance
+ * @param {Buffer} options.buffer - Image bytes
+ * @param {string|null} options.qrPayload - Text of the QR code found in the image, if any
+ */
+export async function routeImage({ event, client, buffer, qrPayload }) {
+    const slipQR = parseSlipQR(qrPayload);
+
+    if (!slipQR?.crc_valid) {
+        console.log(qrPayload ? "QR code is not a slip, trying receipt" : "No QR code found in image");
+        return handleReceiptImage({ event, client, buffer, imageHash: hashImage(buffer) });
+    }
+
+    // Slips carry names and account numbers, so only the transaction reference is logged
+    console.log("Slip QR detected:", slipQR.transaction_ref);
+
+    return handleSlipImage({ event, client, buffer, slipQR });
+}
+
+// Process slip image: the slip QR is already decoded, OCR reads the remaining fields
+async function handleSlipImage({ event, client, buffer, slipQR }) {
     const groupId = event.source.groupId;
     const userId = event.source.userId;
 
-    console.log("Processing payment slip with Gemini...");
+    console.log("Processing payment slip with OCR...");
 
-    // Parse slip using Gemini
-    const slipInfo = await parseSlipImage(buffer);
+    // Parse slip with the configured OCR providers
+    const slipInfo = mergeSlipQR(await parseSlipImage(buffer), slipQR);
 
     if (slipInfo.error) {
-        console.error("Gemini parsing error:", slipInfo.error);
+        console.error("Slip parsing error:", slipInfo.error);
         return client.replyMessage({
             replyToken: event.replyToken,
             messages: [{
@@ -105,12 +126,41 @@ async function handleSlipImage({ event, client, buffer }) {
         });
     }
 
-    console.log("Slip parsed:", slipInfo);
+    console.log("Slip parsed:", slipInfo.reference_id);
 
-    // Find pending bill for this user
-    const pendingBill = await findPendingBillForUser(groupId, userId);
+    if (checkSlipDate(slipInfo) === "future") {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "This slip is dated in the future. Please send the original slip from your banking app."
+            }]
+        });
+    }
+
+    // Reject slips that have already settled a bill
+    const imageHash = hashImage(buffer);
+    const duplicate = await findDuplicateSlip(slipInfo.reference_id, imageHash);
 
-    if (!pendingBill) {
+    if (duplicate) {
+        console.warn(`Duplicate of slip ${duplicate.slip_id} submitted`);
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "flex",
+                altText: "Slip Already Used",
+                contents: duplicateFlex(duplicate)
+            }]
+        });
+    }
+
+    // A re-sent slip replaces the user's earlier unresolved one
+    await clearUnresolvedSlips(userId, slipInfo.reference_id, imageHash);
+
+    // Work out which of the user's open bills this slip pays for
+    const openBills = await listUnpaidShares(groupId, userId);
+
+    if (openBills.length === 0) {
         return client.replyMessage({
             replyToken: event.replyToken,
             messages: [{
@@ -120,66 +170,353 @@ async function handleSlipImage({ event, client, buffer }) {
         });
     }
 
-    // Check amount match (5% tolerance)
-    const tolerance = pendingBill.amount_due * 0.05;
-    const diff = Math.abs(slipInfo.amount - pendingBill.amount_due);
+    // A slip cannot pay for a bill that did not exist yet
+    const datedBills = openBills.filter(bill => !checkSlipDate(slipInfo, { billCreatedAt: bill.created_at }));
+
+    if (datedBills.length === 0) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "This slip is dated before your bill was created, so it cannot be used to pay it."
+            }]
+        });
+    }
+
+    const match = matchSlipToBills(slipInfo.amount, datedBills);
+
+    if (match?.bills || datedBills.length === 1) {
+        return settleSlip({ event, client, slipInfo, imageHash, bills: match?.bills || datedBills });
+    }
+
+    // Ambiguous: keep the slip and let the user pick which bill(s) it pays for
+    const candidates = match?.candidates || datedBills.slice(0, MAX_PICKER_OPTIONS).map(bill => [bill]);
+    const slipId = await insertSlip(slipInfo, { imageHash, groupId, userId, status: "pending" });
 
-    if (pendingBill.amount_due > slipInfo.amount && diff > tolerance) {
-        console.log(pendingBill.amount_due);
+    if (!slipId) {
+        const existing = await findDuplicateSlip(slipInfo.reference_id, imageHash);
         return client.replyMessage({
             replyToken: event.replyToken,
             messages: [{
                 type: "flex",
-                altText: "Payment Amount Mismatch",
-                contents: mismatchFlex(slipInfo.amount, pendingBill.amount_due, pendingBill.bill_title)
+                altText: "Slip Already Used",
+                contents: duplicateFlex(existing)
             }]
         });
     }
 
-    // Mark as paid
-    await markAsPaid(pendingBill.bill_id, pendingBill.user_id);
+    return client.replyMessage({
+        replyToken: event.replyToken,
+        messages: [billPickerMessage(slipId, slipInfo.amount, candidates)]
+    });
+}
+
+/**
+ * Handle the postback sent when a user picks which bill(s) a pending slip pays for
+ * @param {Object} event - LINE postback event
+ * @param {Object} client - LINE MessagingApiClient instance
+ * @param {URLSearchParams} params - Parsed postback data (slipId, bills)
+ */
+export async function handleSlipSelection(event, client, params) {
+    const userId = event.source.userId;
+    const slipId = Number(params.get("slipId"));
+    const billIds = (params.get("bills") || "").split(",").map(Number).filter(Boolean);
+
+    const slip = await findSlip(slipId);
+
+    if (!slip || slip.user_id !== userId || slip.status !== "pending" || billIds.length === 0) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "This slip selection is no longer valid. Please send the slip again."
+            }]
+        });
+    }
+
+    const openBills = await listUnpaidShares(slip.group_id, userId);
+    const bills = openBills.filter(bill => billIds.includes(Number(bill.bill_id)));
+
+    if (bills.length !== billIds.length) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "One or more of those bills is already paid. Please send the slip again."
+            }]
+        });
+    }
+
+    const slipInfo = {
+        ...slip,
+        amount: Number(slip.amount),
+        confidence_score: slip.confidence === null ? null : Number(slip.confidence)
+    };
+
+    return settleSlip({ event, client, slipInfo, imageHash: slip.image_hash, bills, slipId });
+}
+
+/**
+ * Handle the creditor's approve/reject decision on a slip flagged for review
+ * @param {Object} event - LINE postback event
+ * @param {Object} client - LINE MessagingApiClient instance
+ * @param {URLSearchParams} params - Parsed postback data (slipId, bills, decision)
+ */
+export async function handleSlipReview(event, client, params) {
+    const reviewerId = event.source.userId;
+    const slipId = Number(params.get("slipId"));
+    const billIds = (params.get("bills") || "").split(",").map(Number).filter(Boolean);
+    const decision = params.get("decision");
+
+    if (decision !== "approve" && decision !== "reject") {
+        console.warn("Ignoring unknown slip review decision:", decision);
+        return;
+    }
+
+    const slip = await findSlip(slipId);
+
+    if (!slip || slip.status !== "review" || billIds.length === 0) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "This slip has already been reviewed."
+            }]
+        });
+    }
+
+    // Only whoever fronted every bill the slip pays for may decide
+    if (!(await paidForAllBills(reviewerId, billIds))) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "Only the person who paid for this bill can review the slip."
+            }]
+        });
+    }
+
+    if (decision === "reject") {
+        await updateSlipStatus(slipId, "rejected", ["review"]);
+
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: `Slip from ${slip.display_name || "member"} was rejected. The bill stays unpaid.`
+            }]
+        });
+    }
+
+    const openBills = await listUnpaidShares(slip.group_id, slip.user_id);
+    const bills = openBills.filter(bill => billIds.includes(Number(bill.bill_id)));
+
+    if (bills.length !== billIds.length) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "One or more of those bills is already paid."
+            }]
+        });
+    }
+
+    const slipInfo = { ...slip, amount: Number(slip.amount) };
+
+    return settleSlip({ event, client, slipInfo, imageHash: slip.image_hash, bills, slipId, reviewed: true });
+}
+
+// Check the slip can be trusted, record it and mark the bill(s) as paid
+async function settleSlip({ event, client, slipInfo, imageHash, bills, slipId = null, reviewed = false }) {
+    if (!reviewed) {
+        const reason = await reviewReason(slipInfo, bills);
+        if (reason) return flagForReview({ event, client, slipInfo, imageHash, bills, slipId, reason });
+    }
+
+    const payment = allocateSlipPayment(slipInfo.amount, bills);
+    const recorded = await recordSlipPayment(payment, bills[0], slipInfo, imageHash, slipId);
+
+    if (!recorded) {
+        const existing = await findDuplicateSlip(slipInfo.reference_id, imageHash);
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "flex",
+                altText: "Slip Already Used",
+                contents: duplicateFlex(existing)
+            }]
+        });
+    }
+
+    const settled = payment.allocations.every(a => a.settled);
 
     return client.replyMessage({
         replyToken: event.replyToken,
         messages: [{
             type: "flex",
-            altText: "Payment Confirmed!",
-            contents: successFlex(slipInfo, pendingBill)
+            altText: settled ? "Payment Confirmed!" : "Partial Payment Recorded",
+            contents: settled
+                ? successFlex(slipInfo, bills, payment.excess)
+                : partialFlex(slipInfo.amount, payment.allocations)
         }]
     });
 }
 
-// Find user's pending bill in latest bill for this group
-async function findPendingBillForUser(groupId, userId) {
-    const result = await pool.query(
-        `SELECT bp.user_id, bp.bill_id, b.title as bill_title, bp.pay_amount as amount_due
-         FROM bill_participants bp
-         JOIN bills b ON b.bill_id = bp.bill_id
-         WHERE b.group_id = $1 AND bp.user_id = $2 AND bp.pay_at IS NULL
-         ORDER BY b.created_at DESC
-         LIMIT 1`,
-        [groupId, userId]
-    );
-    return result.rows[0] || null;
+// Why a slip should be held for the creditor instead of auto-confirmed, or null
+async function reviewReason(slipInfo, bills) {
+    if (slipInfo.qr_mismatches?.includes("reference_id")) {
+        return "The transaction reference on the slip does not match its QR code.";
+    }
+
+    if (slipInfo.confidence_score !== null && slipInfo.confidence_score < LOW_CONFIDENCE_THRESHOLD) {
+        return "Parts of this slip could not be read reliably.";
+    }
+
+    if (await receiverMismatch(slipInfo, bills)) {
+        return "The receiver does not match the bill payer's registered accounts.";
+    }
+
+    return null;
 }
 
-// Mark participant as paid
-async function markAsPaid(billId, userId) {
-    await pool.query(
-        `UPDATE bill_participants SET pay_at = NOW()
-         WHERE bill_id = $1 AND user_id = $2`,
-        [billId, userId]
+// Whether the slip's receiver fails to match the registered accounts of any bill's creditor
+async function receiverMismatch(slipInfo, bills) {
+    const accountsByBill = await getCreditorAccounts(bills.map(b => b.bill_id));
+
+    return bills.some(bill =>
+        verifyReceiver(slipInfo.receiver, accountsByBill.get(String(bill.bill_id))) === "mismatch"
     );
 }
 
+// Hold the slip for the creditor to approve or reject instead of auto-confirming
+async function flagForReview({ event, client, slipInfo, imageHash, bills, slipId, reason }) {
+    const { user_id: userId } = bills[0];
+    let reviewSlipId = slipId;
+
+    if (slipId) {
+        await updateSlipStatus(slipId, "review", ["pending"]);
+    } else {
+        const groupId = event.source.groupId;
+        reviewSlipId = await insertSlip(slipInfo, { imageHash, groupId, userId, status: "review" });
+    }
+
+    if (!reviewSlipId) {
+        const existing = await findDuplicateSlip(slipInfo.reference_id, imageHash);
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "flex",
+                altText: "Slip Already Used",
+                contents: duplicateFlex(existing)
+            }]
+        });
+    }
+
+    console.warn(`Slip ${reviewSlipId} held for review: ${reason}`);
+
+    return client.replyMessage({
+        replyToken: event.replyToken,
+        messages: [{
+            type: "flex",
+            altText: "Payment Needs Review",
+            contents: reviewFlex(reviewSlipId, slipInfo, bills, reason)
+        }]
+    });
+}
+
+// QR fields are authoritative; OCR only fills what the QR does not carry
+function mergeSlipQR(slipInfo, slipQR) {
+    if (!slipQR) return { ...slipInfo, qr: null, qr_mismatches: [] };
+
+    const { confidence, mismatches } = crossCheckSlipQR(slipInfo, slipQR);
+
+    return {
+        ...slipInfo,
+        bank_name: slipQR.sending_bank_name || slipInfo.bank_name,
+        reference_id: slipQR.transaction_ref,
+        confidence,
+        // A slip whose printed details contradict its QR cannot be trusted at all
+        confidence_score: mismatches.length > 0 ? 0 : slipConfidenceScore(confidence),
+        qr: slipQR,
+        qr_mismatches: mismatches
+    };
+}
+
+// SHA-256 of the raw image bytes, used to catch re-sent slip images
+function hashImage(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// Store the slip, add its payments to the ledger and settle covered shares.
+// Any excess becomes credit toward the member's next bill.
+// Returns false if the slip was already used.
+async function recordSlipPayment(payment, firstBill, slipInfo, imageHash, pendingSlipId) {
+    const { user_id: userId, group_id: groupId } = firstBill;
+
+    const result = await withTransaction(async dbClient => {
+        // Unique indexes on reference_id and image_hash guard against concurrent submissions
+        let slipId = pendingSlipId;
+        if (pendingSlipId) {
+            const applied = await updateSlipStatus(pendingSlipId, "applied", ["pending", "review"], dbClient);
+            if (!applied) slipId = null;
+        } else {
+            slipId = await insertSlip(slipInfo, { imageHash, groupId, userId, status: "applied" }, dbClient);
+        }
+
+        if (!slipId) return { error: "Slip already used" };
+
+        for (const allocation of payment.allocations) {
+            if (allocation.amount <= 0) continue;
+
+            const billId = allocation.bill.bill_id;
+            await insertPayment({ billId, userId, amount: allocation.amount, method: "slip", slipId }, dbClient);
+
+            if (allocation.settled) await markShareSettled(billId, userId, dbClient);
+        }
+
+        if (payment.excess > 0) {
+            await insertMemberCredit({ groupId, userId, amount: payment.excess, slipId }, dbClient);
+        }
+
+        return { slipId };
+    });
+
+    return !result.error;
+}
+
+// Quick-reply picker listing candidate bill(s) for an ambiguous slip
+function billPickerMessage(slipId, amount, candidates) {
+    return {
+        type: "text",
+        text: `Which bill does this ${amount} THB slip pay for?`,
+        quickReply: {
+            items: candidates.map(bills => {
+                const label = bills.length === 1
+                    ? `#${bills[0].bill_id} ${bills[0].bill_title}`
+                    : bills.map(b => `#${b.bill_id}`).join(" + ");
+
+                return {
+                    type: "action",
+                    action: {
+                        type: "postback",
+                        label: truncate(label, 20),
+                        data: `action=apply-slip&slipId=${slipId}&bills=${bills.map(b => b.bill_id).join(",")}`,
+                        displayText: `Pay ${bills.map(b => b.bill_title).join(" + ")}`.slice(0, 300)
+                    }
+                };
+            })
+        }
+    };
+}
+
 // Success flex message
-function successFlex(slipInfo, pendingBill) {
+function successFlex(slipInfo, bills, credit) {
     const contents = [
         { type: "text", text: "Payment Confirmed!", weight: "bold", size: "lg", color: "#1DB446" },
         { type: "separator", margin: "md" },
         { type: "box", layout: "horizontal", margin: "md", contents: [
             { type: "text", text: "Bill:", color: "#666666", flex: 1 },
-            { type: "text", text: pendingBill.bill_title, flex: 2, align: "end" }
+            { type: "text", text: bills.map(b => b.bill_title).join(", "), flex: 2, align: "end", wrap: true }
         ]},
         { type: "box", layout: "horizontal", contents: [
             { type: "text", text: "Amount:", color: "#666666", flex: 1 },
@@ -194,11 +531,18 @@ function successFlex(slipInfo, pendingBill) {
         ]});
     }
 
+    if (credit > 0) {
+        contents.push({ type: "text", text: `Overpaid by ${credit.toFixed(2)}. This will be credited toward your next bill.`, wrap: true, size: "sm", color: "#999999", margin: "md" });
+    }
+
     return { type: "bubble", body: { type: "box", layout: "vertical", spacing: "sm", contents } };
 }
 
-// Mismatch error flex message
-function mismatchFlex(paidAmount, expectedAmount, billTitle) {
+// Partial payment flex message
+function partialFlex(paidAmount, allocations) {
+    const open = allocations.find(a => !a.settled);
+    const remaining = Number(open.bill.amount_due) - open.amount;
+
     return {
         type: "bubble",
         body: {
@@ -206,21 +550,92 @@ function mismatchFlex(paidAmount, expectedAmount, billTitle) {
             layout: "vertical",
             spacing: "sm",
             contents: [
-                { type: "text", text: "Amount Mismatch", weight: "bold", size: "lg", color: "#FF4444" },
+                { type: "text", text: "Partial Payment Recorded", weight: "bold", size: "lg", color: "#FF9900" },
                 { type: "separator", margin: "md" },
                 { type: "box", layout: "horizontal", margin: "md", contents: [
                     { type: "text", text: "Bill:", color: "#666666", flex: 1 },
-                    { type: "text", text: billTitle, flex: 2, align: "end" }
+                    { type: "text", text: open.bill.bill_title, flex: 2, align: "end", wrap: true }
                 ]},
                 { type: "box", layout: "horizontal", contents: [
-                    { type: "text", text: "Expected:", color: "#666666", flex: 1 },
-                    { type: "text", text: `${expectedAmount}`, flex: 2, align: "end" }
+                    { type: "text", text: "Received:", color: "#666666", flex: 1 },
+                    { type: "text", text: `${paidAmount}`, flex: 2, align: "end" }
                 ]},
                 { type: "box", layout: "horizontal", contents: [
-                    { type: "text", text: "Received:", color: "#666666", flex: 1 },
-                    { type: "text", text: `${paidAmount}`, flex: 2, align: "end", color: "#FF4444" }
+                    { type: "text", text: "Remaining:", color: "#666666", flex: 1 },
+                    { type: "text", text: remaining.toFixed(2), flex: 2, align: "end", weight: "bold", color: "#FF9900" }
+                ]},
+                { type: "text", text: "Send another slip for the remaining amount.", wrap: true, size: "sm", color: "#999999", margin: "md" }
+            ]
+        }
+    };
+}
+
+// Flex message for a held slip with approve/reject buttons for the creditor
+function reviewFlex(slipId, slipInfo, bills, reason) {
+    const data = `slipId=${slipId}&bills=${bills.map(b => b.bill_id).join(",")}`;
+
+    return {
+        type: "bubble",
+        body: {
+            type: "box",
+            layout: "vertical",
+            spacing: "sm",
+            contents: [
+                { type: "text", text: "Payment Needs Review", weight: "bold", size: "lg", color: "#FF9900" },
+                { type: "separator", margin: "md" },
+                { type: "box", layout: "horizontal", margin: "md", contents: [
+                    { type: "text", text: "Bill:", color: "#666666", flex: 1 },
+                    { type: "text", text: bills.map(b => b.bill_title).join(", "), flex: 2, align: "end", wrap: true }
+                ]},
+                { type: "box", layout: "horizontal", contents: [
+                    { type: "text", text: "Amount:", color: "#666666", flex: 1 },
+                    { type: "text", text: `${slipInfo.amount}`, flex: 2, align: "end", weight: "bold" }
+                ]},
+                { type: "box", layout: "horizontal", contents: [
+                    { type: "text", text: "Receiver:", color: "#666666", flex: 1 },
+                    { type: "text", text: slipInfo.receiver || "(not found)", flex: 2, align: "end", wrap: true, color: "#FF9900" }
+                ]},
+                { type: "text", text: `${reason} The bill payer must approve this slip.`, wrap: true, size: "sm", color: "#999999", margin: "md" }
+            ]
+        },
+        footer: {
+            type: "box",
+            layout: "horizontal",
+            spacing: "sm",
+            contents: [
+                { type: "button", style: "primary", height: "sm", action: { type: "postback", label: "Approve", data: `action=review-slip&${data}&decision=approve` } },
+                { type: "button", style: "secondary", height: "sm", action: { type: "postback", label: "Reject", data: `action=review-slip&${data}&decision=reject` } }
+            ]
+        }
+    };
+}
+
+// Duplicate slip flex message
+function duplicateFlex(duplicate) {
+    const usedOn = duplicate ? new Date(duplicate.created_at).toLocaleDateString("en-GB") : "-";
+
+    return {
+        type: "bubble",
+        body: {
+            type: "box",
+            layout: "vertical",
+            spacing: "sm",
+            contents: [
+                { type: "text", text: "Slip Already Used", weight: "bold", size: "lg", color: "#FF4444" },
+                { type: "separator", margin: "md" },
+                { type: "box", layout: "horizontal", margin: "md", contents: [
+                    { type: "text", text: "Bill:", color: "#666666", flex: 1 },
+                    { type: "text", text: duplicate?.bill_title || "-", flex: 2, align: "end", wrap: true }
+                ]},
+                { type: "box", layout: "horizontal", contents: [
+                    { type: "text", text: "Paid by:", color: "#666666", flex: 1 },
+                    { type: "text", text: duplicate?.display_name || "(unknown)", flex: 2, align: "end" }
+                ]},
+                { type: "box", layout: "horizontal", contents: [
+                    { type: "text", text: "Used on:", color: "#666666", flex: 1 },
+                    { type: "text", text: usedOn, flex: 2, align: "end" }
                 ]},
-                { type: "text", text: "Payment differs by more than 5%.", wrap: true, size: "sm", color: "#999999", margin: "md" }
+                { type: "text", text: "This slip has already been applied to a bill and cannot be used again.", wrap: true, size: "sm", color: "#999999", margin: "md" }
             ]
         }
     };
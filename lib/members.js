@@ -0,0 +1,200 @@
+import { upsertGroup as saveGroup, setGroupActive } from "./repositories/groups.js";
+import { getMembership, listGroupMembers, saveUser, activateMember, deactivateMembers } from "./repositories/members.js";
+
+// Display names are re-fetched from LINE once they are this old
+const PROFILE_REFRESH_HOURS = 24;
+
+/**
+ * Make sure a member is registered and active in a group, refreshing a stale display name.
+ * Someone LINE no longer lists in the group is marked as left instead.
+ * Called for every group event, so the common case is a single query.
+ * @param {Object} client - LINE MessagingApiClient instance
+ * @param {string} groupId - LINE group ID
+ * @param {string} userId - LINE user ID
+ */
+export async function registerMember(client, groupId, userId) {
+    const member = await getMembership(groupId, userId);
+
+    const stale = !member?.profile_updated_at ||
+        Date.now() - new Date(member.profile_updated_at) > PROFILE_REFRESH_HOURS * 3600000;
+
+    if (member?.active && !stale) return;
+
+    if (!member) await upsertGroup(client, groupId);
+
+    let profile;
+    try {
+        profile = await fetchMemberProfile(client, groupId, userId);
+    } catch (err) {
+        // Without an answer from LINE we can't tell whether they are still in the group
+        console.warn("Could not fetch profile:", err.message);
+        return;
+    }
+
+    if (profile === null) {
+        if (member?.active) await markMembersLeft(groupId, [userId]);
+        return;
+    }
+
+    await saveMember(groupId, userId, profile.displayName ?? null);
+
+    if (!member) console.log(`Registered new member: ${profile.displayName || userId}`);
+}
+
+/**
+ * Register members who just joined a group
+ * @param {Object} client - LINE MessagingApiClient instance
+ * @param {string} groupId - LINE group ID
+ * @param {Array<string>} userIds
+ */
+export async function addMembers(client, groupId, userIds) {
+    await upsertGroup(client, groupId);
+
+    for (const userId of userIds) {
+        let profile;
+        try {
+            profile = await fetchMemberProfile(client, groupId, userId);
+        } catch (err) {
+            // They did join, so add them; the name is filled in on a later event
+            console.warn("Could not fetch profile:", err.message);
+            profile = {};
+        }
+
+        // Already gone again by the time we looked
+        if (profile === null) continue;
+
+        await saveMember(groupId, userId, profile.displayName ?? null);
+    }
+}
+
+/**
+ * Mark members as having left a group. Their bills and debts stay as they are,
+ * but they can no longer be added to new bills.
+ * @param {string} groupId - LINE group ID
+ * @param {Array<string>} userIds
+ */
+export async function markMembersLeft(groupId, userIds) {
+    if (userIds.length === 0) return;
+
+    await deactivateMembers(groupId, userIds);
+}
+
+/**
+ * The bot was added to a group: register it and everyone LINE lets us see
+ * @param {Object} client - LINE MessagingApiClient instance
+ * @param {string} groupId - LINE group ID
+ * @returns {Promise<Object>} Result of syncGroupMembers
+ */
+export async function handleBotJoined(client, groupId) {
+    await upsertGroup(client, groupId);
+    await setGroupActive(groupId, true);
+    return syncGroupMembers(client, groupId);
+}
+
+/**
+ * The bot was removed from a group: stop reminding it. Bills are kept in case it is re-added.
+ * @param {string} groupId - LINE group ID
+ */
+export async function handleBotLeft(groupId) {
+    await setGroupActive(groupId, false);
+}
+
+/**
+ * Bring a group's member list in line with LINE.
+ * The full member list is only available to verified and premium accounts;
+ * otherwise each known member's profile is checked instead, which also finds anyone who left.
+ * @param {Object} client - LINE MessagingApiClient instance
+ * @param {string} groupId - LINE group ID
+ * @returns {Promise<{added: number, left: number, refreshed: number, unchecked: number, complete: boolean}>}
+ *   `unchecked` members are left as they were because LINE could not be asked about them;
+ *   `complete` is false when members who never spoke could not be discovered
+ */
+export async function syncGroupMembers(client, groupId) {
+    await upsertGroup(client, groupId);
+
+    const known = await listGroupMembers(groupId);
+    const activeIds = known.filter(m => m.active).map(m => m.user_id);
+
+    const memberIds = await fetchGroupMemberIds(client, groupId);
+    const result = { added: 0, left: 0, refreshed: 0, unchecked: 0, complete: memberIds !== null };
+
+    const candidates = memberIds ?? activeIds;
+    const departed = memberIds ? activeIds.filter(id => !memberIds.includes(id)) : [];
+
+    for (const userId of candidates) {
+        let profile;
+        try {
+            profile = await fetchMemberProfile(client, groupId, userId);
+        } catch (err) {
+            console.warn("Could not fetch profile:", err.message);
+            result.unchecked += 1;
+            continue;
+        }
+
+        if (profile === null) {
+            departed.push(userId);
+            continue;
+        }
+
+        await saveMember(groupId, userId, profile.displayName);
+
+        if (activeIds.includes(userId)) {
+            result.refreshed += 1;
+        } else {
+            result.added += 1;
+        }
+    }
+
+    await markMembersLeft(groupId, departed);
+    result.left = departed.length;
+
+    return result;
+}
+
+// Every member ID in the group, or null when this account may not list members
+async function fetchGroupMemberIds(client, groupId) {
+    const memberIds = [];
+    let start;
+
+    try {
+        do {
+            const page = await client.getGroupMembersIds(groupId, start);
+            memberIds.push(...page.memberIds);
+            start = page.next;
+        } while (start);
+
+        return memberIds;
+    } catch (err) {
+        if (err.status === 403) return null;
+        throw err;
+    }
+}
+
+// A member's LINE profile, null if they are no longer in the group.
+// Any other error is thrown, since it says nothing about whether they left.
+async function fetchMemberProfile(client, groupId, userId) {
+    try {
+        return await client.getGroupMemberProfile(groupId, userId);
+    } catch (err) {
+        if (err.status === 404) return null;
+        throw err;
+    }
+}
+
+async function upsertGroup(client, groupId) {
+    let groupName = null;
+
+    try {
+        const groupSummary = await client.getGroupSummary(groupId);
+        groupName = groupSummary.groupName;
+    } catch (groupError) {
+        console.warn("Could not fetch group name:", groupError.message);
+    }
+
+    await saveGroup(groupId, groupName);
+}
+
+async function saveMember(groupId, userId, displayName) {
+    await saveUser(userId, displayName);
+    await activateMember(groupId, userId);
+}
@@ -0,0 +1,167 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import pool from "./db.js";
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "migrations");
+
+// Files are named <version>_<name>.up.sql / <version>_<name>.down.sql
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary key so two deploys cannot migrate at the same time
+const MIGRATION_LOCK_ID = 7240318;
+
+/**
+ * Migrations found on disk, oldest first
+ * @param {string} [dir]
+ * @returns {Promise<Array<{version: string, name: string, up: string, down: string|null}>>}
+ */
+export async function listMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = new Map();
+
+    for (const file of await fs.readdir(dir)) {
+        const match = file.match(MIGRATION_FILE);
+        if (!match) continue;
+
+        const [, version, name, direction] = match;
+        if (!migrations.has(version)) migrations.set(version, { version, name, up: null, down: null });
+        migrations.get(version)[direction] = path.join(dir, file);
+    }
+
+    const sorted = [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+
+    const missingUp = sorted.find(m => !m.up);
+    if (missingUp) throw new Error(`Migration ${missingUp.version} has no .up.sql file`);
+
+    return sorted;
+}
+
+/**
+ * Every migration and whether it has been applied
+ * @returns {Promise<Array<{version: string, name: string, appliedAt: Date|null}>>}
+ */
+export async function migrationStatus() {
+    await ensureMigrationsTable(pool);
+
+    const applied = await appliedVersions(pool);
+
+    return (await listMigrations()).map(m => ({
+        version: m.version,
+        name: m.name,
+        appliedAt: applied.get(m.version) || null
+    }));
+}
+
+/**
+ * Apply every pending migration, each in its own transaction
+ * @returns {Promise<Array<string>>} Versions applied
+ */
+export async function migrateUp() {
+    return withMigrationLock(async dbClient => {
+        const applied = await appliedVersions(dbClient);
+        const pending = (await listMigrations()).filter(m => !applied.has(m.version));
+        const done = [];
+
+        for (const migration of pending) {
+            await runInTransaction(dbClient, migration.up, () => dbClient.query(
+                `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+                [migration.version, migration.name]
+            ));
+            done.push(`${migration.version}_${migration.name}`);
+        }
+
+        return done;
+    });
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {number} [steps] - How many to roll back
+ * @returns {Promise<Array<string>>} Versions rolled back
+ */
+export async function migrateDown(steps = 1) {
+    return withMigrationLock(async dbClient => {
+        const applied = await appliedVersions(dbClient);
+        const migrations = await listMigrations();
+        const toRollBack = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+        const done = [];
+
+        for (const migration of toRollBack) {
+            if (!migration.down) throw new Error(`Migration ${migration.version} has no .down.sql file`);
+
+            await runInTransaction(dbClient, migration.down, () => dbClient.query(
+                `DELETE FROM schema_migrations WHERE version = $1`,
+                [migration.version]
+            ));
+            done.push(`${migration.version}_${migration.name}`);
+        }
+
+        return done;
+    });
+}
+
+/**
+ * Record migrations up to a version as applied without running them,
+ * for databases where those changes were already made by hand
+ * @param {string} version
+ * @returns {Promise<Array<string>>} Versions recorded
+ */
+export async function baselineMigrations(version) {
+    return withMigrationLock(async dbClient => {
+        const applied = await appliedVersions(dbClient);
+        const toRecord = (await listMigrations())
+            .filter(m => Number(m.version) <= Number(version) && !applied.has(m.version));
+
+        for (const migration of toRecord) {
+            await dbClient.query(
+                `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+                [migration.version, migration.name]
+            );
+        }
+
+        return toRecord.map(m => `${m.version}_${m.name}`);
+    });
+}
+
+async function withMigrationLock(fn) {
+    const dbClient = await pool.connect();
+
+    try {
+        await dbClient.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+        await ensureMigrationsTable(dbClient);
+        return await fn(dbClient);
+    } finally {
+        await dbClient.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {});
+        dbClient.release();
+    }
+}
+
+async function runInTransaction(dbClient, file, record) {
+    const sql = await fs.readFile(file, "utf8");
+
+    try {
+        await dbClient.query("BEGIN");
+        await dbClient.query(sql);
+        await record();
+        await dbClient.query("COMMIT");
+    } catch (err) {
+        await dbClient.query("ROLLBACK");
+        err.message = `${path.basename(file)}: ${err.message}`;
+        throw err;
+    }
+}
+
+async function ensureMigrationsTable(db) {
+    await db.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+             version     TEXT PRIMARY KEY,
+             name        TEXT NOT NULL,
+             applied_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+         )`
+    );
+}
+
+async function appliedVersions(db) {
+    const result = await db.query(`SELECT version, applied_at FROM schema_migrations`);
+    return new Map(result.rows.map(r => [r.version, r.applied_at]));
+}
@@ -0,0 +1,115 @@
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { findPromptPayCreditor } from "./repositories/accounts.js";
+import { listAmountsDue } from "./repositories/participants.js";
+import { buildPromptPayPayload } from "./emvco.js";
+
+const MODULE_SIZE = 8;
+const QUIET_ZONE = 4;
+
+/**
+ * Render a PromptPay QR code for an amount as a PNG
+ * @param {string} promptPayId - Creditor's PromptPay ID
+ * @param {number} amount - Amount in THB
+ * @returns {Promise<Buffer>} PNG image
+ */
+export async function renderPromptPayQR(promptPayId, amount) {
+    // canvas is a native module; load it only when a QR image is actually drawn
+    const { createCanvas } = await import("canvas");
+
+    const payload = buildPromptPayPayload(promptPayId, amount);
+    const { modules } = QRCode.create(payload, { errorCorrectionLevel: "M" });
+
+    const size = (modules.size + QUIET_ZONE * 2) * MODULE_SIZE;
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext("2d");
+
+    ctx.fillStyle = "#FFFFFF";
+    ctx.fillRect(0, 0, size, size);
+    ctx.fillStyle = "#000000";
+
+    for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+            if (modules.get(row, col)) {
+                ctx.fillRect(
+                    (col + QUIET_ZONE) * MODULE_SIZE,
+                    (row + QUIET_ZONE) * MODULE_SIZE,
+                    MODULE_SIZE,
+                    MODULE_SIZE
+                );
+            }
+        }
+    }
+
+    return canvas.toBuffer("image/png");
+}
+
+/**
+ * Sign a bill/participant pair so QR image URLs cannot be enumerated
+ * @param {number|string} billId
+ * @param {string} userId
+ * @returns {string} Hex HMAC
+ * @throws {Error} If CHANNEL_SECRET is not set, since anyone could forge an empty-key signature
+ */
+export function signQRRequest(billId, userId) {
+    if (!process.env.CHANNEL_SECRET) {
+        throw new Error("CHANNEL_SECRET is not set; cannot sign PromptPay QR URLs");
+    }
+
+    return crypto
+        .createHmac("sha256", process.env.CHANNEL_SECRET)
+        .update(`${billId}:${userId}`)
+        .digest("hex")
+        .slice(0, 32);
+}
+
+/**
+ * Check a signature produced by signQRRequest
+ * @param {number|string} billId
+ * @param {string} userId
+ * @param {string} signature
+ * @returns {boolean}
+ * @throws {Error} If CHANNEL_SECRET is not set
+ */
+export function verifyQRRequest(billId, userId, signature) {
+    const expected = Buffer.from(signQRRequest(billId, userId));
+    const actual = Buffer.from(String(signature || ""));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Build the public URL of a participant's PromptPay QR image.
+ * The amount is part of the URL so LINE's image cache never shows a stale amount.
+ * @param {string} baseUrl - Public https origin of this deployment
+ * @param {number|string} billId
+ * @param {string} userId
+ * @param {number} amount - Amount encoded in the QR
+ * @returns {string}
+ */
+export function promptPayQRUrl(baseUrl, billId, userId, amount) {
+    const params = new URLSearchParams({
+        billId: String(billId),
+        userId,
+        amount: Number(amount).toFixed(2),
+        sig: signQRRequest(billId, userId)
+    });
+    return `${baseUrl}/api/promptpay-qr?${params}`;
+}
+
+/**
+ * Find the creditor's PromptPay ID and what each participant still owes on a bill.
+ * The creditor is the payer who fronted the most; their own share is excluded.
+ * @param {number|string} billId
+ * @returns {Promise<{creditor: Object, shares: Array<Object>}|null>} null when no payer has a PromptPay ID
+ */
+export async function getBillPromptPayShares(billId) {
+    const creditor = await findPromptPayCreditor(billId);
+    if (!creditor) return null;
+
+    const shares = await listAmountsDue(billId, creditor.user_id);
+
+    return {
+        creditor,
+        shares: shares.filter(s => Number(s.amount_due) > 0)
+    };
+}
@@ -0,0 +1,65 @@
+import { mentionedUserIds } from "./commands.js";
+
+export const QUICK_BILL_USAGE =
+    "Usage:\n" +
+    "/bill <id> - show a bill\n" +
+    "/bill <amount> <title> @member... - split equally between the members mentioned\n" +
+    "/bill <amount> <title> all - split equally with everyone in the group\n" +
+    "(e.g. /bill 600 Dinner @Ann @Ben @Cat)";
+
+const EVERYONE_WORDS = ["all", "ทุกคน"];
+
+/**
+ * Parse a quick bill typed in chat, e.g. "/bill 600 Dinner @A @B" or "/bill 600 Dinner all".
+ * The member who sends it is the payer; mention yourself too if you shared the bill.
+ * @param {Object} message - LINE text message object, with its mentions
+ * @returns {{amount: number, title: string, everyone: boolean, memberIds: Array<string>}|{error: string}}
+ */
+export function parseQuickBill(message) {
+    const mentionees = message.mention?.mentionees || [];
+
+    // Blank out the mentions so names with spaces don't end up in the title
+    let text = message.text;
+    for (const m of [...mentionees].sort((a, b) => b.index - a.index)) {
+        text = text.slice(0, m.index) + " " + text.slice(m.index + m.length);
+    }
+
+    // Drop the command word itself
+    const words = text.trim().split(/\s+/).slice(1);
+    const amount = parseAmount(words.shift());
+
+    if (amount === null) {
+        return { error: "Start with the amount, e.g. /bill 600 Dinner @Ann @Ben" };
+    }
+
+    let everyone = mentionees.some(m => m.type === "all");
+    if (EVERYONE_WORDS.includes(words[words.length - 1]?.toLowerCase())) {
+        words.pop();
+        everyone = true;
+    }
+
+    const title = words.join(" ");
+    if (!title) {
+        return { error: "Give the bill a title, e.g. /bill 600 Dinner @Ann @Ben" };
+    }
+
+    const memberIds = mentionedUserIds(message);
+
+    if (!everyone && memberIds.length === 0) {
+        if (mentionees.some(m => m.type === "user" && !m.isSelf)) {
+            return { error: "I couldn't tell who you mentioned. Ask them to send a message in this group first." };
+        }
+        return { error: "Mention who shared the bill, or add \"all\" to split it with everyone" };
+    }
+
+    return { amount, title, everyone, memberIds };
+}
+
+// "1,200.50", "฿600" and "600บาท" are all fine; null when it isn't an amount
+function parseAmount(word) {
+    const cleaned = (word || "").replace(/,/g, "").replace(/^฿|฿$|บาท$|บ\.?$/g, "");
+    if (!/^\d+(\.\d{1,2})?$/.test(cleaned)) return null;
+
+    const amount = Number(cleaned);
+    return amount > 0 ? amount : null;
+}
@@ -0,0 +1,12 @@
+// LINE allows at most 13 quick-reply buttons
+export const MAX_PICKER_OPTIONS = 13;
+
+/**
+ * Shorten text to fit a LINE label, marking the cut with an ellipsis
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+export function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
@@ -0,0 +1,16 @@
+/**
+ * Read a request body exactly as it was sent.
+ * The route must turn off Vercel's body parsing (`export const config = { api: { bodyParser: false } }`),
+ * otherwise the stream has already been consumed.
+ * @param {import("http").IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+export async function readRawBody(req) {
+    const chunks = [];
+
+    for await (const chunk of req) {
+        chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+    }
+
+    return Buffer.concat(chunks);
+}
@@ -0,0 +1,157 @@
+import { geminiReceiptProvider } from "./receiptProviders/gemini.js";
+import { detectImageMimeType, withTimeout } from "./slipParser.js";
+import { allocate, roundMoney } from "./split.js";
+
+const PROVIDERS = {
+    gemini: geminiReceiptProvider
+};
+
+// Set RECEIPT_OCR_PROVIDERS to an empty string to stop reading photos as receipts
+const DEFAULT_PROVIDERS = "gemini";
+const DEFAULT_TIMEOUT_MS = 20000;
+
+const DOCUMENT_TYPES = ["receipt", "slip", "other"];
+const MAX_ITEMS = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_AMOUNT = 1000000;
+
+// Printed totals are often rounded to the baht
+const TOTAL_TOLERANCE = 1;
+
+/**
+ * Receipt parsers configured through RECEIPT_OCR_PROVIDERS, e.g. "gemini"
+ * @returns {Array<{name: string, parse: Function}>}
+ */
+export function configuredReceiptProviders() {
+    return (process.env.RECEIPT_OCR_PROVIDERS ?? DEFAULT_PROVIDERS)
+        .split(",")
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => {
+            if (!PROVIDERS[name]) throw new Error(`Unknown receipt OCR provider: ${name}`);
+            return PROVIDERS[name];
+        });
+}
+
+/**
+ * Classify an image and, if it is a receipt, read its line items
+ * @param {Buffer} imageBuffer - Image buffer from LINE message
+ * @param {Object} [options]
+ * @param {Array<{name: string, parse: Function}>} [options.providers] - Override the configured providers
+ * @param {number} [options.timeoutMs] - Per-provider time limit
+ * @returns {Promise<{
+ *   type: "receipt"|"slip"|"other"|null,
+ *   merchant: string|null,
+ *   items: Array<{name: string, price: number}>,
+ *   serviceChargePercent: number,
+ *   vatPercent: number,
+ *   total: number|null,
+ *   printedTotal: number|null,
+ *   provider: string|null,
+ *   error: string|null
+ * }>} type is null when no provider could read the image
+ */
+export async function parseReceiptImage(imageBuffer, {
+    providers = configuredReceiptProviders(),
+    timeoutMs = Number(process.env.RECEIPT_OCR_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+} = {}) {
+    const mimeType = detectImageMimeType(imageBuffer);
+    const errors = [];
+
+    for (const provider of providers) {
+        try {
+            const raw = await withTimeout(signal => provider.parse(imageBuffer, { mimeType, signal }), timeoutMs, provider.name);
+            return { ...normalizeReceipt(raw), provider: provider.name, error: null };
+        } catch (error) {
+            console.error(`Error parsing receipt with ${provider.name}:`, error);
+            errors.push(`${provider.name}: ${error.message}`);
+        }
+    }
+
+    return {
+        ...normalizeReceipt({}),
+        type: null,
+        provider: null,
+        error: errors.join("; ") || "No receipt OCR provider configured"
+    };
+}
+
+/**
+ * Turn a provider's answer into items and percentages the itemized bill form accepts
+ * @param {Object} raw - Provider output
+ * @returns {Object} Same shape as parseReceiptImage without provider and error
+ */
+export function normalizeReceipt(raw) {
+    const type = DOCUMENT_TYPES.includes(raw?.document_type) ? raw.document_type : "other";
+
+    let items = (Array.isArray(raw?.items) ? raw.items : [])
+        .map(item => {
+            const name = toText(item?.name);
+            const quantity = Number(item?.quantity);
+            return {
+                name: name && quantity > 1 ? `${name} x${quantity}`.slice(0, MAX_NAME_LENGTH) : name,
+                price: toAmount(item?.amount)
+            };
+        })
+        .filter(item => item.name && item.price !== null)
+        .slice(0, MAX_ITEMS);
+
+    // The bill form has no discount, so spread it over the items
+    const discount = toAmount(raw?.discount);
+    const fullSubtotal = roundMoney(items.reduce((sum, item) => sum + item.price, 0));
+
+    if (discount !== null && discount < fullSubtotal) {
+        const prices = allocate(roundMoney(fullSubtotal - discount), items.map((item, i) => [i, item.price]));
+        items = items
+            .map((item, i) => ({ ...item, price: prices[i] }))
+            .filter(item => item.price > 0);
+    }
+
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price, 0));
+    const serviceCharge = toAmount(raw?.service_charge) ?? 0;
+    const vat = toAmount(raw?.vat) ?? 0;
+
+    const serviceChargePercent = subtotal > 0 ? roundMoney(serviceCharge / subtotal * 100) : 0;
+    const vatPercent = subtotal > 0 ? roundMoney(vat / (subtotal + serviceCharge) * 100) : 0;
+
+    return {
+        type,
+        merchant: toText(raw?.merchant),
+        items,
+        serviceChargePercent,
+        vatPercent,
+        total: items.length > 0
+            ? roundMoney(subtotal * (1 + serviceChargePercent / 100) * (1 + vatPercent / 100))
+            : null,
+        printedTotal: toAmount(raw?.total)
+    };
+}
+
+/**
+ * Whether the items we read add up to the total printed on the receipt
+ * @param {{total: number|null, printedTotal: number|null}} receipt
+ * @returns {boolean} true when there is no printed total to compare with
+ */
+export function receiptTotalMatches(receipt) {
+    if (receipt.printedTotal === null || receipt.total === null) return true;
+    return Math.abs(receipt.total - receipt.printedTotal) <= TOTAL_TOLERANCE;
+}
+
+function toAmount(value) {
+    const amount = typeof value === "string"
+        ? Number(value.replace(/[,\s฿]|THB|บาท/gi, ""))
+        : value;
+
+    if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0 || amount > MAX_AMOUNT) {
+        return null;
+    }
+
+    return roundMoney(amount);
+}
+
+function toText(value) {
+    if (typeof value !== "string") return null;
+
+    const text = value.replace(/\s+/g, " ").trim();
+    return text ? text.slice(0, MAX_NAME_LENGTH) : null;
+}
@@ -0,0 +1,63 @@
+import { geminiModel, generateImageJson } from "../gemini.js";
+
+const MODEL_NAME = process.env.GEMINI_RECEIPT_MODEL || process.env.GEMINI_SLIP_MODEL || "gemini-2.5-flash";
+
+const RECEIPT_EXTRACTION_PROMPT = `You are an image classification and receipt extraction system.
+
+First decide what the image is:
+- "receipt": a restaurant or shop receipt, bill or invoice listing what was bought
+- "slip": a bank transfer slip or payment confirmation
+- "other": anything else (food, people, screenshots, menus, ...)
+
+For a receipt, extract every purchased line item.
+
+STRICT RULES:
+- Output ONLY valid JSON
+- Do NOT include explanations, markdown, or extra text
+- If a field cannot be found, return null
+- Preserve item names exactly as printed, in Thai or English
+- All amounts are numbers in THB
+- "amount" of an item is the line total (quantity x unit price)
+- Do not list subtotal, service charge, VAT, discount or total lines as items
+- "service_charge" and "vat" are amounts added on top of the subtotal; use null when prices already include VAT
+- "discount" is a positive number taken off the bill, or null
+
+Return JSON with EXACTLY the following structure and keys:
+
+{
+  "document_type": "receipt" | "slip" | "other",
+  "merchant": string | null,
+  "items": [{ "name": string, "quantity": number | null, "amount": number }],
+  "subtotal": number | null,
+  "service_charge": number | null,
+  "vat": number | null,
+  "discount": number | null,
+  "total": number | null
+}
+
+For "slip" or "other", return an empty items array and null for the other fields.`;
+
+/**
+ * Build a receipt parser backed by a Gemini model
+ * @param {{generateContent: Function}} [model] - Defaults to GEMINI_RECEIPT_MODEL via GEMINI_API_KEY
+ * @returns {{name: string, parse: Function}}
+ */
+export function createGeminiReceiptProvider(model = geminiModel(MODEL_NAME)) {
+    return {
+        name: "gemini",
+
+        /**
+         * @param {Buffer} imageBuffer
+         * @param {{mimeType: string, signal?: AbortSignal}} options
+         * @returns {Promise<Object>} Raw classification and extracted fields
+         */
+        async parse(imageBuffer, { mimeType, signal }) {
+            return generateImageJson(model, RECEIPT_EXTRACTION_PROMPT, imageBuffer, mimeType, signal);
+        }
+    };
+}
+
+/**
+ * Receipt parser backed by Gemini Vision
+ */
+export const geminiReceiptProvider = createGeminiReceiptProvider();
@@ -0,0 +1,159 @@
+import { parseReceiptImage, receiptTotalMatches } from "./receiptParser.js";
+import { saveReceipt } from "./repositories/receipts.js";
+
+// Items listed in the chat card; the form shows them all
+const MAX_LISTED_ITEMS = 10;
+
+/**
+ * Handle a group photo without a slip QR code: receipts get a link to the
+ * itemized bill form filled in with their items, other photos are left alone
+ * @param {Object} params
+ * @param {Object} params.event - LINE webhook event
+ * @param {Object} params.client - LINE MessagingApiClient instance
+ * @param {Buffer} params.buffer - Image bytes
+ * @param {string} params.imageHash - SHA-256 of the image
+ */
+export async function handleReceiptImage({ event, client, buffer, imageHash }) {
+    const { groupId, userId } = event.source;
+    const receipt = await parseReceiptImage(buffer);
+
+    // Ordinary photos shared in the group
+    if (receipt.type === "other") return null;
+
+    // A slip whose QR code could not be read, or an image we could not classify
+    if (receipt.type !== "receipt") {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "No QR code detected in this image. Please send a payment slip with a QR code."
+            }]
+        });
+    }
+
+    if (receipt.items.length === 0) {
+        return client.replyMessage({
+            replyToken: event.replyToken,
+            messages: [{
+                type: "text",
+                text: "I couldn't read any items on this receipt. Type /create-bill to enter it yourself."
+            }]
+        });
+    }
+
+    const receiptId = await saveReceipt({
+        groupId,
+        userId,
+        imageHash,
+        merchant: receipt.merchant,
+        items: receipt.items,
+        serviceChargePercent: receipt.serviceChargePercent,
+        vatPercent: receipt.vatPercent,
+        total: receipt.total
+    });
+
+    const formUrl = `line://app/${process.env.LIFF_ID}?groupId=${groupId}&receiptId=${receiptId}`;
+
+    return client.replyMessage({
+        replyToken: event.replyToken,
+        messages: [{
+            type: "flex",
+            altText: `Receipt${receipt.merchant ? ` from ${receipt.merchant}` : ""}: ${receipt.total.toFixed(2)} THB`,
+            contents: receiptFlex(receipt, formUrl)
+        }]
+    });
+}
+
+/**
+ * Card listing a receipt's items with a button to split it in the bill form
+ * @param {Object} receipt - From parseReceiptImage
+ * @param {string} formUrl - LIFF link to the pre-filled form
+ * @returns {Object} Flex bubble
+ */
+export function receiptFlex(receipt, formUrl) {
+    const charges = [
+        receipt.serviceChargePercent > 0 ? `Service ${receipt.serviceChargePercent}%` : null,
+        receipt.vatPercent > 0 ? `VAT ${receipt.vatPercent}%` : null
+    ].filter(Boolean);
+
+    const notes = [];
+
+    if (receipt.items.length > MAX_LISTED_ITEMS) {
+        notes.push(`+ ${receipt.items.length - MAX_LISTED_ITEMS} more items`);
+    }
+
+    if (!receiptTotalMatches(receipt)) {
+        notes.push(`⚠️ The items add up to ${receipt.total.toFixed(2)} but the receipt says ` +
+            `${receipt.printedTotal.toFixed(2)}. Please check them in the form.`);
+    }
+
+    return {
+        type: "bubble",
+        body: {
+            type: "box",
+            layout: "vertical",
+            spacing: "md",
+            contents: [
+                {
+                    type: "text",
+                    text: receipt.merchant || "Receipt",
+                    weight: "bold",
+                    size: "lg",
+                    wrap: true
+                },
+                {
+                    type: "text",
+                    text: [`Total: ${receipt.total.toFixed(2)}`, ...charges].join(" · "),
+                    color: "#666666",
+                    size: "sm",
+                    wrap: true
+                },
+                {
+                    type: "separator",
+                    margin: "md"
+                },
+                ...receipt.items.slice(0, MAX_LISTED_ITEMS).map(item => ({
+                    type: "box",
+                    layout: "horizontal",
+                    margin: "md",
+                    contents: [
+                        {
+                            type: "text",
+                            text: item.name,
+                            flex: 3,
+                            wrap: true
+                        },
+                        {
+                            type: "text",
+                            text: item.price.toFixed(2),
+                            align: "end",
+                            flex: 1
+                        }
+                    ]
+                })),
+                ...notes.map(note => ({
+                    type: "text",
+                    text: note,
+                    size: "xs",
+                    color: "#999999",
+                    wrap: true,
+                    margin: "md"
+                }))
+            ]
+        },
+        footer: {
+            type: "box",
+            layout: "vertical",
+            contents: [{
+                type: "button",
+                style: "primary",
+                height: "sm",
+                action: {
+                    type: "uri",
+                    label: "Split this bill",
+                    uri: formUrl
+                }
+            }]
+        }
+    };
+}
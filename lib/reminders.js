@@ -0,0 +1,195 @@
+import { findReminderSettings, saveReminderSettings } from "./repositories/reminderSettings.js";
+import { listBillsAwaitingPayment, markBillsReminded } from "./repositories/bills.js";
+import { listUnpaidParticipants } from "./repositories/participants.js";
+
+export const DEFAULT_REMINDER_SETTINGS = {
+    enabled: true,
+    interval_hours: 24,
+    quiet_start: 22,
+    quiet_end: 8,
+    timezone: "Asia/Bangkok"
+};
+
+// Bills older than these many days are reminded twice / four times as often
+const ESCALATE_AFTER_DAYS = [3, 7];
+const MIN_INTERVAL_HOURS = 4;
+
+// textV2 messages allow at most 100 substitutions
+const MAX_MENTIONS = 100;
+
+/**
+ * Get a group's reminder settings, falling back to defaults
+ * @param {string} groupId - LINE group ID
+ * @returns {Promise<Object>}
+ */
+export async function getReminderSettings(groupId) {
+    return { ...DEFAULT_REMINDER_SETTINGS, ...(await findReminderSettings(groupId)) };
+}
+
+/**
+ * Update some of a group's reminder settings
+ * @param {string} groupId - LINE group ID
+ * @param {Object} changes - Any of enabled, interval_hours, quiet_start, quiet_end
+ * @returns {Promise<Object>} The resulting settings
+ */
+export async function updateReminderSettings(groupId, changes) {
+    const settings = { ...(await getReminderSettings(groupId)), ...changes };
+
+    await saveReminderSettings(groupId, settings);
+
+    return settings;
+}
+
+/**
+ * How often a bill should be reminded, shrinking as it ages
+ * @param {number} baseHours - Group's configured interval
+ * @param {number} ageDays - Days since the bill was created
+ * @returns {number} Interval in hours
+ */
+export function reminderIntervalHours(baseHours, ageDays) {
+    const escalations = ESCALATE_AFTER_DAYS.filter(days => ageDays >= days).length;
+    return Math.max(MIN_INTERVAL_HOURS, baseHours / 2 ** escalations);
+}
+
+/**
+ * Whether a moment falls inside a group's quiet hours
+ * @param {Date} date
+ * @param {number} quietStart - Hour (0-23) quiet time begins
+ * @param {number} quietEnd - Hour (0-23) quiet time ends
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean}
+ */
+export function isQuietHour(date, quietStart, quietEnd, timeZone) {
+    if (quietStart === quietEnd) return false;
+
+    const hour = Number(new Intl.DateTimeFormat("en-GB", {
+        hour: "numeric",
+        hourCycle: "h23",
+        timeZone
+    }).format(date));
+
+    return quietStart < quietEnd
+        ? hour >= quietStart && hour < quietEnd
+        : hour >= quietStart || hour < quietEnd;
+}
+
+/**
+ * Build a textV2 reminder that mentions every unpaid member
+ * @param {Array<{bill_id: *, title: string, unpaid: Array<{user_id: string, amount_due: *, active?: boolean, display_name?: string}>}>} bills
+ * @returns {Object} LINE textV2 message
+ */
+export function buildReminderMessage(bills) {
+    const substitution = {};
+    const lines = ["⏰ Payment reminder"];
+    let mentionCount = 0;
+
+    for (const bill of bills) {
+        const owed = bill.unpaid.map(p => {
+            // Members who left the group cannot be mentioned, but still owe
+            if (p.active === false) {
+                return `${(p.display_name || "Former member").replace(/[{}]/g, "")} (left) ${Number(p.amount_due).toFixed(2)}`;
+            }
+
+            if (mentionCount >= MAX_MENTIONS) return `${Number(p.amount_due).toFixed(2)}`;
+
+            const key = `m${mentionCount++}`;
+            substitution[key] = {
+                type: "mention",
+                mentionee: { type: "user", userId: p.user_id }
+            };
+            return `{${key}} ${Number(p.amount_due).toFixed(2)}`;
+        });
+
+        lines.push("", `#${bill.bill_id} ${bill.title.replace(/[{}]/g, "")}`, owed.join("\n"));
+    }
+
+    lines.push("", "Send your slip here once you've paid.");
+
+    return { type: "textV2", text: lines.join("\n"), substitution };
+}
+
+/**
+ * Remind a group about its open bills
+ * @param {Object} client - LINE MessagingApiClient instance
+ * @param {string} groupId - LINE group ID
+ * @param {Object} [options]
+ * @param {Array<number>} [options.billIds] - Only these bills (defaults to every open bill)
+ * @param {Array<string>} [options.userIds] - Only mention these members
+ * @param {string} [options.replyToken] - Reply instead of pushing
+ * @returns {Promise<number>} Number of bills reminded about
+ */
+export async function sendGroupReminder(client, groupId, { billIds = null, userIds = null, replyToken = null } = {}) {
+    const bills = await getUnpaidByBill(groupId, billIds, userIds);
+    if (bills.length === 0) return 0;
+
+    const message = buildReminderMessage(bills);
+
+    if (replyToken) {
+        await client.replyMessage({ replyToken, messages: [message] });
+    } else {
+        await client.pushMessage({ to: groupId, messages: [message] });
+    }
+
+    await markBillsReminded(bills.map(b => b.bill_id));
+
+    return bills.length;
+}
+
+/**
+ * Send every reminder that is due, honouring each group's schedule and quiet hours
+ * @param {Object} client - LINE MessagingApiClient instance
+ * @param {Date} [now]
+ * @returns {Promise<{groups: number, bills: number}>} What was sent
+ */
+export async function runScheduledReminders(client, now = new Date()) {
+    const dueByGroup = new Map();
+
+    for (const bill of await listBillsAwaitingPayment()) {
+        if (!dueByGroup.has(bill.group_id)) dueByGroup.set(bill.group_id, []);
+        dueByGroup.get(bill.group_id).push(bill);
+    }
+
+    const sent = { groups: 0, bills: 0 };
+
+    for (const [groupId, bills] of dueByGroup) {
+        const settings = await getReminderSettings(groupId);
+        if (!settings.enabled) continue;
+        if (isQuietHour(now, settings.quiet_start, settings.quiet_end, settings.timezone)) continue;
+
+        const due = bills.filter(bill => {
+            const ageDays = (now - new Date(bill.created_at)) / 86400000;
+            const interval = reminderIntervalHours(settings.interval_hours, ageDays);
+            const last = new Date(bill.last_reminded_at || bill.created_at);
+            return (now - last) / 3600000 >= interval;
+        });
+
+        if (due.length === 0) continue;
+
+        try {
+            const count = await sendGroupReminder(client, groupId, { billIds: due.map(b => b.bill_id) });
+            sent.groups += 1;
+            sent.bills += count;
+        } catch (err) {
+            console.error(`Failed to send reminder to group ${groupId}:`, err);
+        }
+    }
+
+    return sent;
+}
+
+// Open bills in a group with the members who still owe on each
+async function getUnpaidByBill(groupId, billIds, userIds) {
+    const bills = new Map();
+    for (const row of await listUnpaidParticipants(groupId, billIds, userIds)) {
+        if (!bills.has(row.bill_id)) {
+            bills.set(row.bill_id, { bill_id: row.bill_id, title: row.title, unpaid: [] });
+        }
+        bills.get(row.bill_id).unpaid.push({
+            user_id: row.user_id,
+            amount_due: row.amount_due,
+            active: row.active,
+            display_name: row.display_name
+        });
+    }
+    return [...bills.values()];
+}
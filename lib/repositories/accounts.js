@@ -0,0 +1,92 @@
+import pool from "../db.js";
+
+/**
+ * Save a member's payout account, keeping the known holder name if none is given
+ * @param {string} userId - LINE user ID
+ * @param {string} type - 'promptpay' or 'bank'
+ * @param {string} number - Digits only
+ * @param {string|null} name - Account holder name
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object>} The stored account
+ */
+export async function upsertPaymentAccount(userId, type, number, name, db = pool) {
+    const result = await db.query(
+        `INSERT INTO payment_accounts (user_id, account_type, account_number, account_name)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, account_type, account_number)
+         DO UPDATE SET account_name = COALESCE(EXCLUDED.account_name, payment_accounts.account_name)
+         RETURNING account_id, account_type, account_number, account_name`,
+        [userId, type, number, name]
+    );
+    return result.rows[0];
+}
+
+/**
+ * A member's payout accounts in the order they were added
+ * @param {string} userId - LINE user ID
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listPaymentAccounts(userId, db = pool) {
+    const result = await db.query(
+        `SELECT account_id, account_type, account_number, account_name
+         FROM payment_accounts
+         WHERE user_id = $1
+         ORDER BY account_id`,
+        [userId]
+    );
+    return result.rows;
+}
+
+/**
+ * Delete one of a member's payout accounts
+ * @param {string} userId - LINE user ID
+ * @param {number} accountId
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<boolean>} Whether an account was deleted
+ */
+export async function deletePaymentAccount(userId, accountId, db = pool) {
+    const result = await db.query(
+        `DELETE FROM payment_accounts WHERE user_id = $1 AND account_id = $2`,
+        [userId, accountId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Payout accounts of everyone who fronted the given bills
+ * @param {Array<number>} billIds
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{bill_id: number, user_id: string, account_type: string,
+ *   account_number: string, account_name: string|null}>>}
+ */
+export async function listBillPayerAccounts(billIds, db = pool) {
+    const result = await db.query(
+        `SELECT py.bill_id, pa.user_id, pa.account_type, pa.account_number, pa.account_name
+         FROM bill_payers py
+         JOIN payment_accounts pa ON pa.user_id = py.user_id
+         WHERE py.bill_id = ANY($1::int[])`,
+        [billIds]
+    );
+    return result.rows;
+}
+
+/**
+ * The payer who fronted the most of a bill and has a PromptPay ID
+ * @param {number|string} billId
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<{user_id: string, display_name: string|null, promptpay_id: string}|null>}
+ */
+export async function findPromptPayCreditor(billId, db = pool) {
+    const result = await db.query(
+        `SELECT py.user_id, u.display_name, pa.account_number AS promptpay_id
+         FROM bill_payers py
+         JOIN payment_accounts pa ON pa.user_id = py.user_id AND pa.account_type = 'promptpay'
+         LEFT JOIN users u ON u.user_id = py.user_id
+         WHERE py.bill_id = $1
+         ORDER BY py.paid_amount DESC, pa.account_id
+         LIMIT 1`,
+        [billId]
+    );
+    return result.rows[0] || null;
+}
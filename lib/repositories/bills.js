@@ -0,0 +1,385 @@
+import pool from "../db.js";
+import { PAID_SQL } from "./participants.js";
+
+/**
+ * Insert a bill
+ * @param {Object} bill
+ * @param {string} bill.groupId
+ * @param {string} bill.title
+ * @param {string} bill.payType
+ * @param {number} bill.total
+ * @param {number} [bill.serviceChargePercent]
+ * @param {number} [bill.vatPercent]
+ * @param {string} bill.createdBy - LINE user ID of the creator
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<number>} New bill ID
+ */
+export async function insertBill({ groupId, title, payType, total, serviceChargePercent = 0, vatPercent = 0, createdBy }, db = pool) {
+    const result = await db.query(
+        `INSERT INTO bills (group_id, title, pay_type, total_pay_amount, service_charge_percent, vat_percent, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING bill_id`,
+        [groupId, title, payType, total, serviceChargePercent, vatPercent, createdBy]
+    );
+    return result.rows[0].bill_id;
+}
+
+/**
+ * Record who fronted the money for a bill
+ * @param {number} billId
+ * @param {Array<{userId: string, amount: number}>} payers
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function insertBillPayers(billId, payers, db = pool) {
+    for (const payer of payers) {
+        await db.query(
+            `INSERT INTO bill_payers (bill_id, user_id, paid_amount)
+             VALUES ($1, $2, $3)`,
+            [billId, payer.userId, payer.amount]
+        );
+    }
+}
+
+/**
+ * Store an itemized bill's line items and who shared each one
+ * @param {number} billId
+ * @param {Array<{name: string, price: number, memberIds: Array<string>}>} items
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function insertBillItems(billId, items, db = pool) {
+    for (const item of items) {
+        const itemResult = await db.query(
+            `INSERT INTO bill_items (bill_id, name, price)
+             VALUES ($1, $2, $3)
+             RETURNING item_id`,
+            [billId, item.name.trim(), Number(item.price)]
+        );
+
+        for (const userId of new Set(item.memberIds)) {
+            await db.query(
+                `INSERT INTO bill_item_members (item_id, user_id)
+                 VALUES ($1, $2)`,
+                [itemResult.rows[0].item_id, userId]
+            );
+        }
+    }
+}
+
+/**
+ * Whether a user fronted the money for a bill
+ * @param {number} billId
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export async function isBillPayer(billId, userId) {
+    const result = await pool.query(
+        `SELECT 1 FROM bill_payers WHERE bill_id = $1 AND user_id = $2`,
+        [billId, userId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Whether a user fronted the money for every one of the given bills
+ * @param {string} userId
+ * @param {Array<number>} billIds
+ * @returns {Promise<boolean>}
+ */
+export async function paidForAllBills(userId, billIds) {
+    const result = await pool.query(
+        `SELECT COUNT(DISTINCT bill_id) AS bill_count
+         FROM bill_payers
+         WHERE user_id = $1 AND bill_id = ANY($2::int[])`,
+        [userId, billIds]
+    );
+    return Number(result.rows[0].bill_count) === new Set(billIds).size;
+}
+
+/**
+ * Load a bill by ID
+ * @param {number} billId
+ * @param {Object} [db] - Pool or transaction client
+ * @param {Object} [options]
+ * @param {boolean} [options.forUpdate] - Lock the row until the transaction ends
+ * @returns {Promise<Object|null>}
+ */
+export async function findBill(billId, db = pool, { forUpdate = false } = {}) {
+    const result = await db.query(
+        `SELECT bill_id, group_id, title, pay_type, total_pay_amount, service_charge_percent, vat_percent,
+                status, created_by, created_at
+         FROM bills
+         WHERE bill_id = $1
+         ${forUpdate ? "FOR UPDATE" : ""}`,
+        [billId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Rename a bill
+ * @param {number} billId
+ * @param {string} title
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function updateBillTitle(billId, title, db = pool) {
+    await db.query(
+        `UPDATE bills SET title = $2 WHERE bill_id = $1`,
+        [billId, title]
+    );
+}
+
+/**
+ * Change how a bill is split, its total and the percentages added to an itemized bill
+ * @param {number} billId
+ * @param {Object} split
+ * @param {string} split.payType
+ * @param {number} split.total
+ * @param {number} split.serviceChargePercent
+ * @param {number} split.vatPercent
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function updateBillSplit(billId, { payType, total, serviceChargePercent, vatPercent }, db = pool) {
+    await db.query(
+        `UPDATE bills
+         SET pay_type = $2, total_pay_amount = $3, service_charge_percent = $4, vat_percent = $5
+         WHERE bill_id = $1`,
+        [billId, payType, total, serviceChargePercent, vatPercent]
+    );
+}
+
+/**
+ * Who fronted the money for a bill and how much each put in
+ * @param {number} billId
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{user_id: string, paid_amount: string}>>}
+ */
+export async function getBillPayers(billId, db = pool) {
+    const result = await db.query(
+        `SELECT user_id, paid_amount
+         FROM bill_payers
+         WHERE bill_id = $1
+         ORDER BY user_id`,
+        [billId]
+    );
+    return result.rows;
+}
+
+/**
+ * Swap a bill's payers for a new list
+ * @param {number} billId
+ * @param {Array<{userId: string, amount: number}>} payers
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function replaceBillPayers(billId, payers, db = pool) {
+    await db.query(`DELETE FROM bill_payers WHERE bill_id = $1`, [billId]);
+    await insertBillPayers(billId, payers, db);
+}
+
+/**
+ * Swap a bill's line items for a new list; an empty list removes them all
+ * @param {number} billId
+ * @param {Array<{name: string, price: number, memberIds: Array<string>}>} items
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function replaceBillItems(billId, items, db = pool) {
+    // bill_item_members rows go with their items
+    await db.query(`DELETE FROM bill_items WHERE bill_id = $1`, [billId]);
+    await insertBillItems(billId, items, db);
+}
+
+/**
+ * Who fronted each bill in a group and how much of that was for other members,
+ * leaving out what covered the payer's own share
+ * @param {string} groupId - LINE group ID
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{bill_id: number, user_id: string, paid_amount: string}>>}
+ */
+export async function listGroupBillPayers(groupId, db = pool) {
+    const result = await db.query(
+        `SELECT py.bill_id, py.user_id,
+                py.paid_amount - COALESCE((SELECT SUM(p.amount) FROM payments p
+                                           WHERE p.bill_id = py.bill_id AND p.user_id = py.user_id
+                                             AND p.method = 'fronted'), 0) AS paid_amount
+         FROM bill_payers py
+         JOIN bills b ON b.bill_id = py.bill_id
+         WHERE b.group_id = $1
+         ORDER BY py.bill_id, py.user_id`,
+        [groupId]
+    );
+    return result.rows;
+}
+
+/**
+ * Open bills in active groups that someone has not paid yet, grouped by group and oldest first
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{bill_id: number, group_id: string, created_at: Date, last_reminded_at: Date|null}>>}
+ */
+export async function listBillsAwaitingPayment(db = pool) {
+    const result = await db.query(
+        `SELECT b.bill_id, b.group_id, b.created_at, b.last_reminded_at
+         FROM bills b
+         JOIN groups g ON g.group_id = b.group_id
+         WHERE b.status = 'open' AND g.active AND EXISTS (
+             SELECT 1 FROM bill_participants bp
+             WHERE bp.bill_id = b.bill_id AND bp.pay_at IS NULL
+         )
+         ORDER BY b.group_id, b.created_at`
+    );
+    return result.rows;
+}
+
+/**
+ * Record that members were just reminded about these bills
+ * @param {Array<number>} billIds
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function markBillsReminded(billIds, db = pool) {
+    await db.query(
+        `UPDATE bills SET last_reminded_at = NOW() WHERE bill_id = ANY($1::int[])`,
+        [billIds]
+    );
+}
+
+/**
+ * Cancel or close a bill
+ * @param {number} billId
+ * @param {"cancelled"|"closed"} status
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object>} The updated bill
+ */
+export async function setBillStatus(billId, status, db = pool) {
+    const result = await db.query(
+        `UPDATE bills SET status = $2, closed_at = NOW()
+         WHERE bill_id = $1
+         RETURNING bill_id, group_id, title, total_pay_amount, status`,
+        [billId, status]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Participants of a bill with what each has paid, in display order
+ * @param {number} billId
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getBillParticipants(billId, db = pool) {
+    const result = await db.query(
+        `SELECT bp.user_id, u.display_name, bp.pay_amount, bp.pay_at, ${PAID_SQL} AS paid_amount
+         FROM bill_participants bp
+         JOIN users u ON u.user_id = bp.user_id
+         WHERE bp.bill_id = $1
+         ORDER BY u.display_name`,
+        [billId]
+    );
+    return result.rows;
+}
+
+/**
+ * A bill in a group with its participants, as shown on the status card
+ * @param {string} groupId - LINE group ID
+ * @param {number} billId
+ * @returns {Promise<{bill: Object, participants: Array<Object>}|null>}
+ */
+export async function getBillStatus(groupId, billId) {
+    const billResult = await pool.query(
+        `SELECT bill_id, title, total_pay_amount, status
+         FROM bills
+         WHERE group_id = $1 AND bill_id = $2`,
+        [groupId, billId]
+    );
+
+    if (billResult.rowCount === 0) return null;
+
+    return {
+        bill: billResult.rows[0],
+        participants: await getBillParticipants(billId)
+    };
+}
+
+/**
+ * Open bills with at least one unpaid participant, newest first
+ * @param {string} groupId - LINE group ID
+ * @returns {Promise<Array<{bill: Object, participants: Array<Object>}>>}
+ */
+export async function getOpenBillStatuses(groupId) {
+    const billResult = await pool.query(
+        `SELECT b.bill_id, b.title, b.total_pay_amount, b.status
+         FROM bills b
+         WHERE b.group_id = $1 AND b.status = 'open'
+           AND EXISTS (
+               SELECT 1 FROM bill_participants bp
+               WHERE bp.bill_id = b.bill_id AND bp.pay_at IS NULL
+           )
+         ORDER BY b.created_at DESC`,
+        [groupId]
+    );
+
+    return Promise.all(billResult.rows.map(async bill => ({
+        bill,
+        participants: await getBillParticipants(bill.bill_id)
+    })));
+}
+
+/**
+ * Bills where everyone has paid or that were force-closed, most recently settled first
+ * @param {string} groupId - LINE group ID
+ * @param {number} page - 1-based page number
+ * @param {number} pageSize
+ * @returns {Promise<{bills: Array<Object>, totalPages: number}>}
+ */
+export async function getSettledBills(groupId, page, pageSize) {
+    const result = await pool.query(
+        `SELECT b.bill_id, b.title, b.total_pay_amount,
+                COALESCE(b.closed_at, MAX(bp.pay_at)) AS settled_at,
+                COUNT(*) OVER () AS total_count
+         FROM bills b
+         JOIN bill_participants bp ON bp.bill_id = b.bill_id
+         WHERE b.group_id = $1 AND b.status <> 'cancelled'
+         GROUP BY b.bill_id
+         HAVING b.status = 'closed' OR COUNT(*) FILTER (WHERE bp.pay_at IS NULL) = 0
+         ORDER BY settled_at DESC, b.bill_id DESC
+         LIMIT $2 OFFSET $3`,
+        [groupId, pageSize, (page - 1) * pageSize]
+    );
+
+    const totalCount = result.rowCount > 0 ? Number(result.rows[0].total_count) : 0;
+
+    return {
+        bills: result.rows,
+        totalPages: Math.ceil(totalCount / pageSize)
+    };
+}
+
+/**
+ * Record a change to a bill in its audit trail
+ * @param {number} billId
+ * @param {string} userId - Who made the change
+ * @param {string} action - e.g. update, cancel, close
+ * @param {Object} changes - Before/after snapshot
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function insertAuditLog(billId, userId, action, changes, db = pool) {
+    await db.query(
+        `INSERT INTO bill_audit_log (bill_id, user_id, action, changes)
+         VALUES ($1, $2, $3, $4)`,
+        [billId, userId, action, JSON.stringify(changes)]
+    );
+}
+
+/**
+ * Audit trail of a bill, oldest first
+ * @param {number} billId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getBillAuditLog(billId) {
+    const result = await pool.query(
+        `SELECT a.audit_id, a.action, a.user_id, u.display_name, a.changes, a.created_at
+         FROM bill_audit_log a
+         LEFT JOIN users u ON u.user_id = a.user_id
+         WHERE a.bill_id = $1
+         ORDER BY a.created_at, a.audit_id`,
+        [billId]
+    );
+    return result.rows;
+}
@@ -0,0 +1,30 @@
+import pool from "../db.js";
+
+/**
+ * Create a group, or update its name when LINE returned one
+ * @param {string} groupId - LINE group ID
+ * @param {string|null} groupName
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function upsertGroup(groupId, groupName, db = pool) {
+    await db.query(
+        `INSERT INTO groups (group_id, group_name) VALUES ($1, $2)
+         ON CONFLICT (group_id) DO UPDATE SET group_name = COALESCE(EXCLUDED.group_name, groups.group_name)`,
+        [groupId, groupName]
+    );
+}
+
+/**
+ * Record whether the bot is still in a group
+ * @param {string} groupId - LINE group ID
+ * @param {boolean} active
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function setGroupActive(groupId, active, db = pool) {
+    await db.query(
+        `UPDATE groups
+         SET active = $2, left_at = CASE WHEN $2 THEN NULL ELSE NOW() END
+         WHERE group_id = $1`,
+        [groupId, active]
+    );
+}
@@ -0,0 +1,145 @@
+import pool from "../db.js";
+
+/**
+ * A user's membership of a group
+ * @param {string} groupId - LINE group ID
+ * @param {string} userId - LINE user ID
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<{active: boolean, display_name: string|null, profile_updated_at: Date|null}|null>}
+ */
+export async function getMembership(groupId, userId, db = pool) {
+    const result = await db.query(
+        `SELECT gm.active, u.display_name, u.profile_updated_at
+         FROM group_members gm
+         JOIN users u ON u.user_id = gm.user_id
+         WHERE gm.group_id = $1 AND gm.user_id = $2`,
+        [groupId, userId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Whether a user is a current member of a group
+ * @param {string} groupId - LINE group ID
+ * @param {string} userId - LINE user ID
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<boolean>}
+ */
+export async function isActiveMember(groupId, userId, db = pool) {
+    const result = await db.query(
+        `SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2 AND active`,
+        [groupId, userId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Current members of a group, by display name
+ * @param {string} groupId - LINE group ID
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{user_id: string, display_name: string|null}>>}
+ */
+export async function listActiveMembers(groupId, db = pool) {
+    const result = await db.query(
+        `SELECT gm.user_id, u.display_name
+         FROM group_members gm
+         JOIN users u ON u.user_id = gm.user_id
+         WHERE gm.group_id = $1 AND gm.active
+         ORDER BY u.display_name`,
+        [groupId]
+    );
+    return result.rows;
+}
+
+/**
+ * Everyone ever registered in a group, including members who left
+ * @param {string} groupId - LINE group ID
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{user_id: string, active: boolean}>>}
+ */
+export async function listGroupMembers(groupId, db = pool) {
+    const result = await db.query(
+        `SELECT user_id, active FROM group_members WHERE group_id = $1`,
+        [groupId]
+    );
+    return result.rows;
+}
+
+/**
+ * Which of the given users may be put on a bill: current members,
+ * plus anyone already on `billId` as a participant or payer even if they have since left
+ * @param {string} groupId - LINE group ID
+ * @param {Array<string>} userIds
+ * @param {Object} [db] - Pool or transaction client
+ * @param {number|null} [billId]
+ * @returns {Promise<Array<string>>}
+ */
+export async function findBillableMembers(groupId, userIds, db = pool, billId = null) {
+    const result = await db.query(
+        `SELECT gm.user_id FROM group_members gm
+         WHERE gm.group_id = $1 AND gm.user_id = ANY($2::text[])
+           AND (gm.active
+                OR EXISTS (SELECT 1 FROM bill_participants bp WHERE bp.bill_id = $3 AND bp.user_id = gm.user_id)
+                OR EXISTS (SELECT 1 FROM bill_payers py WHERE py.bill_id = $3 AND py.user_id = gm.user_id))`,
+        [groupId, userIds, billId]
+    );
+    return result.rows.map(r => r.user_id);
+}
+
+/**
+ * Display names of the given users
+ * @param {Array<string>} userIds
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object<string, string|null>>} Display name per user ID
+ */
+export async function getDisplayNames(userIds, db = pool) {
+    const result = await db.query(
+        `SELECT user_id, display_name FROM users WHERE user_id = ANY($1::text[])`,
+        [userIds]
+    );
+    return Object.fromEntries(result.rows.map(r => [r.user_id, r.display_name]));
+}
+
+/**
+ * Create or refresh a user, keeping the last known display name if LINE did not return one
+ * @param {string} userId - LINE user ID
+ * @param {string|null} displayName
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function saveUser(userId, displayName, db = pool) {
+    await db.query(
+        `INSERT INTO users (user_id, display_name, profile_updated_at) VALUES ($1, $2, NOW())
+         ON CONFLICT (user_id) DO UPDATE SET
+             display_name = COALESCE(EXCLUDED.display_name, users.display_name),
+             profile_updated_at = NOW()`,
+        [userId, displayName]
+    );
+}
+
+/**
+ * Add a user to a group, or bring back a member who had left
+ * @param {string} groupId - LINE group ID
+ * @param {string} userId - LINE user ID
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function activateMember(groupId, userId, db = pool) {
+    await db.query(
+        `INSERT INTO group_members (group_id, user_id, active) VALUES ($1, $2, TRUE)
+         ON CONFLICT (group_id, user_id) DO UPDATE SET active = TRUE, left_at = NULL`,
+        [groupId, userId]
+    );
+}
+
+/**
+ * Mark members as having left a group
+ * @param {string} groupId - LINE group ID
+ * @param {Array<string>} userIds
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function deactivateMembers(groupId, userIds, db = pool) {
+    await db.query(
+        `UPDATE group_members SET active = FALSE, left_at = NOW()
+         WHERE group_id = $1 AND user_id = ANY($2::text[]) AND active`,
+        [groupId, userIds]
+    );
+}
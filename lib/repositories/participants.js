@@ -0,0 +1,222 @@
+import pool from "../db.js";
+
+// What the participant row aliased `bp` has paid toward its bill, and what it still owes.
+// Every query that reports a balance builds on these so the rule is defined once.
+export const PAID_SQL = `COALESCE((SELECT SUM(p.amount) FROM payments p
+                          WHERE p.bill_id = bp.bill_id AND p.user_id = bp.user_id), 0)`;
+export const AMOUNT_DUE_SQL = `bp.pay_amount - ${PAID_SQL}`;
+
+// The part of a payer's own share covered by what they fronted for the bill
+export const FRONTED_SQL = `COALESCE((SELECT SUM(p.amount) FROM payments p
+                             WHERE p.bill_id = bp.bill_id AND p.user_id = bp.user_id AND p.method = 'fronted'), 0)`;
+
+/**
+ * Put members on a bill with their shares
+ * @param {number} billId
+ * @param {Array<string>} memberIds
+ * @param {Object<string, number>} shares - Amount owed per user ID
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function insertParticipants(billId, memberIds, shares, db = pool) {
+    for (const userId of memberIds) {
+        await db.query(
+            `INSERT INTO bill_participants (bill_id, user_id, pay_amount)
+             VALUES ($1, $2, $3)`,
+            [billId, userId, shares[userId]]
+        );
+    }
+}
+
+/**
+ * Set a member's share of a bill, adding them if needed, and mark the share
+ * settled or unsettled depending on what they have paid so far
+ * @param {number} billId
+ * @param {string} userId
+ * @param {number} share - New amount owed
+ * @param {number} paid - What the member has already paid on this bill
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function saveParticipantShare(billId, userId, share, paid, db = pool) {
+    await db.query(
+        `INSERT INTO bill_participants (bill_id, user_id, pay_amount)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (bill_id, user_id) DO UPDATE SET pay_amount = EXCLUDED.pay_amount`,
+        [billId, userId, share]
+    );
+
+    await db.query(
+        `UPDATE bill_participants
+         SET pay_at = CASE WHEN $3::numeric >= pay_amount THEN COALESCE(pay_at, NOW()) ELSE NULL END
+         WHERE bill_id = $1 AND user_id = $2`,
+        [billId, userId, paid]
+    );
+}
+
+/**
+ * Take everyone not in `userIds` off a bill
+ * @param {number} billId
+ * @param {Array<string>} userIds - Members to keep
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function removeParticipantsExcept(billId, userIds, db = pool) {
+    await db.query(
+        `DELETE FROM bill_participants
+         WHERE bill_id = $1 AND NOT (user_id = ANY($2::text[]))`,
+        [billId, userIds]
+    );
+}
+
+/**
+ * What each participant of a bill has paid toward it, and how much of that is their own
+ * share covered by fronting the bill
+ * @param {number} billId
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{user_id: string, display_name: string|null, paid: string, fronted: string}>>}
+ */
+export async function getParticipantPayments(billId, db = pool) {
+    const result = await db.query(
+        `SELECT bp.user_id, u.display_name, ${PAID_SQL} AS paid, ${FRONTED_SQL} AS fronted
+         FROM bill_participants bp
+         LEFT JOIN users u ON u.user_id = bp.user_id
+         WHERE bp.bill_id = $1`,
+        [billId]
+    );
+    return result.rows;
+}
+
+/**
+ * Participants and shares of a bill in a stable order, for audit snapshots
+ * @param {number} billId
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{user_id: string, pay_amount: string, pay_at: Date|null}>>}
+ */
+export async function snapshotParticipants(billId, db = pool) {
+    const result = await db.query(
+        `SELECT user_id, pay_amount, pay_at
+         FROM bill_participants
+         WHERE bill_id = $1
+         ORDER BY user_id`,
+        [billId]
+    );
+    return result.rows;
+}
+
+/**
+ * A member's unpaid shares on open bills in a group with what is still due, newest first
+ * @param {string} groupId - LINE group ID
+ * @param {string} userId - LINE user ID
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{user_id: string, bill_id: number, group_id: string, bill_title: string,
+ *   created_at: Date, created_by: string|null, amount_due: string}>>}
+ */
+export async function listUnpaidShares(groupId, userId, db = pool) {
+    const result = await db.query(
+        `SELECT bp.user_id, bp.bill_id, b.group_id, b.title AS bill_title, b.created_at, b.created_by,
+                ${AMOUNT_DUE_SQL} AS amount_due
+         FROM bill_participants bp
+         JOIN bills b ON b.bill_id = bp.bill_id
+         WHERE b.group_id = $1 AND b.status = 'open' AND bp.user_id = $2 AND bp.pay_at IS NULL
+         ORDER BY b.created_at DESC`,
+        [groupId, userId]
+    );
+    return result.rows;
+}
+
+/**
+ * Lock a member's unpaid share of an open bill and return what is still due.
+ * Must run inside a transaction.
+ * @param {number} billId
+ * @param {string} userId
+ * @param {Object} db - Transaction client
+ * @returns {Promise<number>} 0 when the share is settled or the bill is no longer open
+ */
+export async function lockAmountDue(billId, userId, db) {
+    const result = await db.query(
+        `SELECT ${AMOUNT_DUE_SQL} AS amount_due
+         FROM bill_participants bp
+         JOIN bills b ON b.bill_id = bp.bill_id
+         WHERE bp.bill_id = $1 AND bp.user_id = $2 AND b.status = 'open' AND bp.pay_at IS NULL
+         FOR UPDATE OF bp`,
+        [billId, userId]
+    );
+    return Number(result.rows[0]?.amount_due || 0);
+}
+
+/**
+ * Mark a member's share of a bill as fully paid
+ * @param {number} billId
+ * @param {string} userId
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function markShareSettled(billId, userId, db = pool) {
+    await db.query(
+        `UPDATE bill_participants SET pay_at = NOW()
+         WHERE bill_id = $1 AND user_id = $2`,
+        [billId, userId]
+    );
+}
+
+/**
+ * Unpaid shares on a group's open bills that someone fronted, with what is still due
+ * @param {string} groupId - LINE group ID
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{bill_id: number, user_id: string, pay_amount: string}>>} pay_amount is what remains
+ */
+export async function listOutstandingShares(groupId, db = pool) {
+    const result = await db.query(
+        `SELECT bp.bill_id, bp.user_id, ${AMOUNT_DUE_SQL} AS pay_amount
+         FROM bill_participants bp
+         JOIN bills b ON b.bill_id = bp.bill_id
+         WHERE b.group_id = $1 AND b.status = 'open' AND bp.pay_at IS NULL
+           AND EXISTS (SELECT 1 FROM bill_payers py WHERE py.bill_id = b.bill_id)
+         ORDER BY bp.bill_id, bp.user_id`,
+        [groupId]
+    );
+    return result.rows;
+}
+
+/**
+ * Unpaid shares on a group's open bills, oldest bill first, with whether each member is still in the group
+ * @param {string} groupId - LINE group ID
+ * @param {Array<number>|null} billIds - Only these bills, or null for all
+ * @param {Array<string>|null} userIds - Only these members, or null for all
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{bill_id: number, title: string, user_id: string, display_name: string|null,
+ *   active: boolean, amount_due: string}>>}
+ */
+export async function listUnpaidParticipants(groupId, billIds, userIds, db = pool) {
+    const result = await db.query(
+        `SELECT b.bill_id, b.title, bp.user_id, u.display_name, COALESCE(gm.active, FALSE) AS active,
+                ${AMOUNT_DUE_SQL} AS amount_due
+         FROM bills b
+         JOIN bill_participants bp ON bp.bill_id = b.bill_id
+         LEFT JOIN group_members gm ON gm.group_id = b.group_id AND gm.user_id = bp.user_id
+         LEFT JOIN users u ON u.user_id = bp.user_id
+         WHERE b.group_id = $1 AND b.status = 'open' AND bp.pay_at IS NULL
+           AND ($2::int[] IS NULL OR b.bill_id = ANY($2::int[]))
+           AND ($3::text[] IS NULL OR bp.user_id = ANY($3::text[]))
+         ORDER BY b.created_at, bp.user_id`,
+        [groupId, billIds, userIds]
+    );
+    return result.rows;
+}
+
+/**
+ * What each unpaid participant of an open bill still owes, leaving one member out
+ * @param {number} billId
+ * @param {string} exceptUserId - Usually the member being paid
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{user_id: string, display_name: string|null, amount_due: string}>>}
+ */
+export async function listAmountsDue(billId, exceptUserId, db = pool) {
+    const result = await db.query(
+        `SELECT bp.user_id, u.display_name, ${AMOUNT_DUE_SQL} AS amount_due
+         FROM bill_participants bp
+         JOIN bills b ON b.bill_id = bp.bill_id
+         LEFT JOIN users u ON u.user_id = bp.user_id
+         WHERE bp.bill_id = $1 AND b.status = 'open' AND bp.pay_at IS NULL AND bp.user_id <> $2
+         ORDER BY u.display_name`,
+        [billId, exceptUserId]
+    );
+    return result.rows;
+}
@@ -0,0 +1,112 @@
+import pool from "../db.js";
+
+/**
+ * Add an entry to the payment ledger
+ * @param {Object} payment
+ * @param {number} payment.billId
+ * @param {string} payment.userId - Who paid
+ * @param {number} payment.amount - Negative for refunds and adjustments
+ * @param {"slip"|"cash"|"credit"|"adjustment"|"fronted"} payment.method
+ * @param {number} [payment.slipId]
+ * @param {string} [payment.approvedBy] - Who confirmed a cash payment
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function insertPayment({ billId, userId, amount, method, slipId = null, approvedBy = null }, db = pool) {
+    await db.query(
+        `INSERT INTO payments (bill_id, user_id, amount, method, slip_id, approved_by)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [billId, userId, amount, method, slipId, approvedBy]
+    );
+}
+
+/**
+ * Add to (positive) or draw from (negative) a member's credit in a group
+ * @param {Object} credit
+ * @param {string} credit.groupId - LINE group ID
+ * @param {string} credit.userId
+ * @param {number} credit.amount
+ * @param {number} [credit.billId] - Bill the credit came from or was used on
+ * @param {number} [credit.slipId] - Slip whose excess created the credit
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function insertMemberCredit({ groupId, userId, amount, billId = null, slipId = null }, db = pool) {
+    await db.query(
+        `INSERT INTO member_credits (group_id, user_id, amount, bill_id, slip_id)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [groupId, userId, amount, billId, slipId]
+    );
+}
+
+/**
+ * Positive credit balances of the given members in a group
+ * @param {string} groupId - LINE group ID
+ * @param {Array<string>} userIds
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<{user_id: string, balance: string}>>}
+ */
+export async function getCreditBalances(groupId, userIds, db = pool) {
+    const result = await db.query(
+        `SELECT user_id, SUM(amount) AS balance
+         FROM member_credits
+         WHERE group_id = $1 AND user_id = ANY($2::text[])
+         GROUP BY user_id
+         HAVING SUM(amount) > 0`,
+        [groupId, userIds]
+    );
+    return result.rows;
+}
+
+/**
+ * A cash claim with its bill and claimant
+ * @param {number} claimId
+ * @returns {Promise<Object|null>}
+ */
+export async function findCashClaim(claimId) {
+    const result = await pool.query(
+        `SELECT c.claim_id, c.bill_id, c.user_id, c.amount, c.status,
+                b.title AS bill_title, b.created_by, u.display_name
+         FROM cash_claims c
+         JOIN bills b ON b.bill_id = c.bill_id
+         LEFT JOIN users u ON u.user_id = c.user_id
+         WHERE c.claim_id = $1`,
+        [claimId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Insert a pending cash claim unless one is already waiting for this member and bill
+ * @param {number} billId
+ * @param {string} userId
+ * @param {number} amount
+ * @returns {Promise<Object|null>} The new claim, or null if one was already pending
+ */
+export async function insertCashClaim(billId, userId, amount) {
+    const result = await pool.query(
+        `INSERT INTO cash_claims (bill_id, user_id, amount, status)
+         SELECT $1, $2, $3, 'pending'
+         WHERE NOT EXISTS (
+             SELECT 1 FROM cash_claims
+             WHERE bill_id = $1 AND user_id = $2 AND status = 'pending'
+         )
+         ON CONFLICT DO NOTHING
+         RETURNING claim_id, bill_id, user_id, amount`,
+        [billId, userId, amount]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Resolve a pending cash claim
+ * @param {number} claimId
+ * @param {"approved"|"rejected"|"void"} status
+ * @param {string} reviewedBy - LINE user ID of the reviewer
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function resolveCashClaim(claimId, status, reviewedBy, db = pool) {
+    await db.query(
+        `UPDATE cash_claims SET status = $2, reviewed_by = $3, reviewed_at = NOW()
+         WHERE claim_id = $1 AND status = 'pending'`,
+        [claimId, status, reviewedBy]
+    );
+}
@@ -0,0 +1,47 @@
+import pool from "../db.js";
+
+/**
+ * Store a receipt read from a photo, or refresh the one already stored for the same photo
+ * @param {Object} receipt
+ * @param {string} receipt.groupId
+ * @param {string} receipt.userId - Who sent the photo
+ * @param {string} receipt.imageHash - SHA-256 of the image
+ * @param {string|null} receipt.merchant
+ * @param {Array<{name: string, price: number}>} receipt.items
+ * @param {number} receipt.serviceChargePercent
+ * @param {number} receipt.vatPercent
+ * @param {number|null} receipt.total
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<number>} receipt_id
+ */
+export async function saveReceipt({ groupId, userId, imageHash, merchant, items, serviceChargePercent, vatPercent, total }, db = pool) {
+    const result = await db.query(
+        `INSERT INTO receipts (group_id, user_id, image_hash, merchant, items, service_charge_percent, vat_percent, total)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (group_id, image_hash) DO UPDATE SET
+             merchant = EXCLUDED.merchant,
+             items = EXCLUDED.items,
+             service_charge_percent = EXCLUDED.service_charge_percent,
+             vat_percent = EXCLUDED.vat_percent,
+             total = EXCLUDED.total
+         RETURNING receipt_id`,
+        [groupId, userId, imageHash, merchant, JSON.stringify(items), serviceChargePercent, vatPercent, total]
+    );
+    return result.rows[0].receipt_id;
+}
+
+/**
+ * Load a stored receipt
+ * @param {number} receiptId
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object|null>}
+ */
+export async function findReceipt(receiptId, db = pool) {
+    const result = await db.query(
+        `SELECT receipt_id, group_id, user_id, merchant, items, service_charge_percent, vat_percent, total, created_at
+         FROM receipts
+         WHERE receipt_id = $1`,
+        [receiptId]
+    );
+    return result.rows[0] || null;
+}
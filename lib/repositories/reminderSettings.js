@@ -0,0 +1,37 @@
+import pool from "../db.js";
+
+/**
+ * A group's stored reminder settings
+ * @param {string} groupId - LINE group ID
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object|null>} null when the group never changed the defaults
+ */
+export async function findReminderSettings(groupId, db = pool) {
+    const result = await db.query(
+        `SELECT enabled, interval_hours, quiet_start, quiet_end, timezone
+         FROM reminder_settings
+         WHERE group_id = $1`,
+        [groupId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Store a group's complete reminder settings
+ * @param {string} groupId - LINE group ID
+ * @param {{enabled: boolean, interval_hours: number, quiet_start: number, quiet_end: number, timezone: string}} settings
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function saveReminderSettings(groupId, settings, db = pool) {
+    await db.query(
+        `INSERT INTO reminder_settings (group_id, enabled, interval_hours, quiet_start, quiet_end, timezone)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (group_id) DO UPDATE SET
+             enabled = EXCLUDED.enabled,
+             interval_hours = EXCLUDED.interval_hours,
+             quiet_start = EXCLUDED.quiet_start,
+             quiet_end = EXCLUDED.quiet_end,
+             timezone = EXCLUDED.timezone`,
+        [groupId, settings.enabled, settings.interval_hours, settings.quiet_start, settings.quiet_end, settings.timezone]
+    );
+}
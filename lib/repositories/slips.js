@@ -0,0 +1,109 @@
+import pool from "../db.js";
+
+/**
+ * Load a stored slip with the sender's display name
+ * @param {number} slipId
+ * @returns {Promise<Object|null>}
+ */
+export async function findSlip(slipId) {
+    const result = await pool.query(
+        `SELECT s.slip_id, s.group_id, s.user_id, s.reference_id, s.image_hash, s.amount, s.bank_name,
+                s.receiver, s.transaction_date, s.transaction_time, s.confidence, s.status, u.display_name
+         FROM slips s
+         LEFT JOIN users u ON u.user_id = s.user_id
+         WHERE s.slip_id = $1`,
+        [slipId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Find a previously applied slip by transaction reference or image hash
+ * @param {string|null} referenceId
+ * @param {string} imageHash
+ * @returns {Promise<Object|null>}
+ */
+export async function findDuplicateSlip(referenceId, imageHash) {
+    const result = await pool.query(
+        `SELECT s.slip_id, s.user_id, s.created_at, u.display_name,
+                string_agg(b.title, ', ' ORDER BY b.created_at) as bill_title
+         FROM slips s
+         JOIN payments p ON p.slip_id = s.slip_id
+         JOIN bills b ON b.bill_id = p.bill_id
+         LEFT JOIN users u ON u.user_id = s.user_id
+         WHERE s.status = 'applied'
+           AND (($1::text IS NOT NULL AND s.reference_id = $1) OR s.image_hash = $2)
+         GROUP BY s.slip_id, u.display_name
+         ORDER BY s.created_at
+         LIMIT 1`,
+        [referenceId, imageHash]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Drop a user's earlier pending, in-review or rejected copies of a slip
+ * @param {string} userId
+ * @param {string|null} referenceId
+ * @param {string} imageHash
+ */
+export async function clearUnresolvedSlips(userId, referenceId, imageHash) {
+    await pool.query(
+        `DELETE FROM slips
+         WHERE status IN ('pending', 'review', 'rejected') AND user_id = $1
+           AND (($2::text IS NOT NULL AND reference_id = $2) OR image_hash = $3)`,
+        [userId, referenceId, imageHash]
+    );
+}
+
+/**
+ * Store a slip. Unique indexes on reference_id and image_hash guard against
+ * the same slip being stored twice, including by concurrent submissions.
+ * @param {Object} slipInfo - Parsed slip fields
+ * @param {Object} slip
+ * @param {string} slip.imageHash
+ * @param {string} slip.groupId - LINE group ID
+ * @param {string} slip.userId - Who sent the slip
+ * @param {"pending"|"review"|"applied"} slip.status
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<number|null>} New slip ID, or null if the slip is already taken
+ */
+export async function insertSlip(slipInfo, { imageHash, groupId, userId, status }, db = pool) {
+    const result = await db.query(
+        `INSERT INTO slips (reference_id, image_hash, group_id, user_id, amount, bank_name, receiver, transaction_date, transaction_time, confidence, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT DO NOTHING
+         RETURNING slip_id`,
+        [
+            slipInfo.reference_id,
+            imageHash,
+            groupId,
+            userId,
+            slipInfo.amount,
+            slipInfo.bank_name,
+            slipInfo.receiver,
+            slipInfo.transaction_date,
+            slipInfo.transaction_time,
+            slipInfo.confidence_score,
+            status
+        ]
+    );
+    return result.rows[0]?.slip_id || null;
+}
+
+/**
+ * Move a slip to a new status if it is currently in one of `fromStatuses`
+ * @param {number} slipId
+ * @param {"review"|"applied"|"rejected"} status
+ * @param {Array<string>} fromStatuses
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<boolean>} Whether the slip was updated
+ */
+export async function updateSlipStatus(slipId, status, fromStatuses, db = pool) {
+    const result = await db.query(
+        `UPDATE slips SET status = $2
+         WHERE slip_id = $1 AND status = ANY($3::text[])`,
+        [slipId, status, fromStatuses]
+    );
+    return result.rowCount > 0;
+}
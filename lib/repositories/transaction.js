@@ -0,0 +1,24 @@
+import pool from "../db.js";
+
+/**
+ * Run `fn` inside a database transaction on a dedicated client.
+ * The transaction commits when `fn` resolves, unless it resolves to an object
+ * with an `error`, which rolls back just like a thrown error.
+ * @param {function(Object): Promise<*>} fn - Receives the pg client to run queries on
+ * @returns {Promise<*>} Whatever `fn` resolved to
+ */
+export async function withTransaction(fn) {
+    const dbClient = await pool.connect();
+
+    try {
+        await dbClient.query("BEGIN");
+        const result = await fn(dbClient);
+        await dbClient.query(result?.error ? "ROLLBACK" : "COMMIT");
+        return result;
+    } catch (err) {
+        await dbClient.query("ROLLBACK");
+        throw err;
+    } finally {
+        dbClient.release();
+    }
+}
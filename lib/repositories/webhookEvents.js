@@ -0,0 +1,93 @@
+import pool from "../db.js";
+
+/**
+ * Insert a webhook event as 'processing', or take over one that failed or
+ * has been 'processing' for longer than staleMinutes
+ * @param {Object} event
+ * @param {string} event.webhookEventId
+ * @param {string} event.eventType
+ * @param {string|null} event.sourceId - Group, room or user the event came from
+ * @param {Object} event.payload - The original LINE event
+ * @param {number} staleMinutes
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<boolean>} Whether this caller now owns the event
+ */
+export async function claimWebhookEvent({ webhookEventId, eventType, sourceId, payload }, staleMinutes, db = pool) {
+    const result = await db.query(
+        `INSERT INTO webhook_events (webhook_event_id, event_type, source_id, payload, status, attempts)
+         VALUES ($1, $2, $3, $4, 'processing', 1)
+         ON CONFLICT (webhook_event_id) DO UPDATE SET
+             status = 'processing',
+             attempts = webhook_events.attempts + 1,
+             updated_at = NOW()
+         WHERE webhook_events.status = 'failed'
+            OR (webhook_events.status = 'processing'
+                AND webhook_events.updated_at < NOW() - make_interval(mins => $5))
+         RETURNING webhook_event_id`,
+        [webhookEventId, eventType, sourceId, JSON.stringify(payload), staleMinutes]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Mark a webhook event as handled
+ * @param {string} webhookEventId
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function setWebhookEventProcessed(webhookEventId, db = pool) {
+    await db.query(
+        `UPDATE webhook_events
+         SET status = 'processed', error = NULL, updated_at = NOW(), processed_at = NOW()
+         WHERE webhook_event_id = $1`,
+        [webhookEventId]
+    );
+}
+
+/**
+ * Mark a webhook event as failed with the error that stopped it
+ * @param {string} webhookEventId
+ * @param {string} error
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function setWebhookEventFailed(webhookEventId, error, db = pool) {
+    await db.query(
+        `UPDATE webhook_events
+         SET status = 'failed', error = $2, updated_at = NOW()
+         WHERE webhook_event_id = $1`,
+        [webhookEventId, error]
+    );
+}
+
+/**
+ * A stored webhook event
+ * @param {string} webhookEventId
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object|null>} Row with the original event in `payload`
+ */
+export async function findWebhookEvent(webhookEventId, db = pool) {
+    const result = await db.query(
+        `SELECT webhook_event_id, event_type, source_id, payload, status, attempts, error, received_at, processed_at
+         FROM webhook_events
+         WHERE webhook_event_id = $1`,
+        [webhookEventId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Most recent failed webhook events, newest first
+ * @param {number} limit
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listFailedWebhookEvents(limit, db = pool) {
+    const result = await db.query(
+        `SELECT webhook_event_id, event_type, source_id, attempts, error, received_at
+         FROM webhook_events
+         WHERE status = 'failed'
+         ORDER BY received_at DESC
+         LIMIT $1`,
+        [limit]
+    );
+    return result.rows;
+}
@@ -0,0 +1,126 @@
+import { listOutstandingShares } from "./repositories/participants.js";
+import { listGroupBillPayers } from "./repositories/bills.js";
+import { getDisplayNames } from "./repositories/members.js";
+import { allocate, roundMoney } from "./split.js";
+
+/**
+ * Net every open bill in a group and work out who should pay whom
+ * @param {string} groupId - LINE group ID
+ * @returns {Promise<{
+ *   balances: Array<{user_id: string, display_name: string|null, balance: number}>,
+ *   transfers: Array<{from: string, from_name: string|null, to: string, to_name: string|null, amount: number}>
+ * }>}
+ */
+export async function getGroupBalances(groupId) {
+    // Remaining unpaid shares on bills that have a recorded payer
+    const owed = await listOutstandingShares(groupId);
+    const payers = await listGroupBillPayers(groupId);
+
+    const balances = computeNetBalances(owed, payers);
+    const transfers = simplifyDebts(balances);
+
+    const userIds = Object.keys(balances);
+    const names = await getDisplayNames(userIds);
+
+    return {
+        balances: userIds
+            .filter(userId => balances[userId] !== 0)
+            .map(userId => ({ user_id: userId, display_name: names[userId] || null, balance: balances[userId] }))
+            .sort((a, b) => b.balance - a.balance),
+        transfers: transfers.map(t => ({
+            ...t,
+            from_name: names[t.from] || null,
+            to_name: names[t.to] || null
+        }))
+    };
+}
+
+/**
+ * Compute each member's net balance across bills.
+ * Unpaid shares are debited to the participant and credited to the bill's payers
+ * in proportion to what each payer fronted for the others.
+ * @param {Array<{bill_id: *, user_id: string, pay_amount: number|string}>} owed - Unpaid participant shares
+ * @param {Array<{bill_id: *, user_id: string, paid_amount: number|string}>} payers - Who fronted each bill,
+ *   and how much of it was for other members
+ * @returns {Object<string, number>} userId -> balance in THB (positive = is owed money)
+ */
+export function computeNetBalances(owed, payers) {
+    const balances = {};
+    const add = (userId, amount) => {
+        balances[userId] = roundMoney((balances[userId] || 0) + amount);
+    };
+
+    const payersByBill = groupBy(payers, p => p.bill_id);
+    const owedByBill = groupBy(owed, o => o.bill_id);
+
+    for (const [billId, shares] of owedByBill) {
+        const billPayers = (payersByBill.get(billId) || []).filter(p => Number(p.paid_amount) > 0);
+        if (billPayers.length === 0) continue;
+
+        let outstanding = 0;
+        for (const share of shares) {
+            const amount = Number(share.pay_amount);
+            add(share.user_id, -amount);
+            outstanding = roundMoney(outstanding + amount);
+        }
+
+        const credits = allocate(outstanding, billPayers.map(p => [p.user_id, Number(p.paid_amount)]));
+        for (const [userId, amount] of Object.entries(credits)) {
+            add(userId, amount);
+        }
+    }
+
+    return balances;
+}
+
+/**
+ * Reduce net balances to a short list of transfers.
+ * Greedily settles the largest debtor against the largest creditor, which needs
+ * at most (members - 1) transfers and never routes money through a third person.
+ * @param {Object<string, number>} balances - userId -> balance (positive = is owed money)
+ * @returns {Array<{from: string, to: string, amount: number}>}
+ */
+export function simplifyDebts(balances) {
+    // Work in satang to avoid float drift; ties are broken by user ID for stable output
+    const byAmount = (a, b) => b.satang - a.satang || a.userId.localeCompare(b.userId);
+    const entries = Object.entries(balances).map(([userId, amount]) => ({
+        userId,
+        satang: Math.round(amount * 100)
+    }));
+
+    const creditors = entries.filter(e => e.satang > 0).sort(byAmount);
+    const debtors = entries.filter(e => e.satang < 0)
+        .map(e => ({ ...e, satang: -e.satang }))
+        .sort(byAmount);
+
+    const transfers = [];
+
+    while (creditors.length > 0 && debtors.length > 0) {
+        const creditor = creditors[0];
+        const debtor = debtors[0];
+        const amount = Math.min(creditor.satang, debtor.satang);
+
+        transfers.push({ from: debtor.userId, to: creditor.userId, amount: amount / 100 });
+
+        creditor.satang -= amount;
+        debtor.satang -= amount;
+
+        if (creditor.satang === 0) creditors.shift();
+        if (debtor.satang === 0) debtors.shift();
+
+        creditors.sort(byAmount);
+        debtors.sort(byAmount);
+    }
+
+    return transfers;
+}
+
+function groupBy(rows, keyFn) {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = String(keyFn(row));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    }
+    return groups;
+}
@@ -1,46 +1,56 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { geminiProvider } from "./slipProviders/gemini.js";
+import { tesseractProvider } from "./slipProviders/tesseract.js";
+import { fixtureProvider } from "./slipProviders/fixture.js";
+import { validateSlipFields, slipConfidenceScore } from "./slipValidation.js";
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const PROVIDERS = {
+    gemini: geminiProvider,
+    tesseract: tesseractProvider,
+    fixture: fixtureProvider
+};
 
-const SLIP_EXTRACTION_PROMPT = `You are an OCR and bank slip information extraction system.
+// Providers tried in order; later ones are fallbacks when earlier ones fail or time out.
+// Tesseract is only a default once its traineddata is available locally.
+const DEFAULT_PROVIDERS = "gemini";
+const DEFAULT_PROVIDERS_WITH_TESSERACT = "gemini,tesseract";
+const DEFAULT_TIMEOUT_MS = 20000;
 
-Analyze the provided Thai bank slip image and extract transaction details.
-
-Assumptions:
-- Bank name is written in Thai
-- Amount is in THB
-
-STRICT RULES:
-- Output ONLY valid JSON
-- Do NOT include explanations, markdown, or extra text
-- If a field cannot be found, return null
-- Preserve original Thai text exactly as shown
-- Keep masked account numbers as-is (including x and -)
-- Amount must be a number (THB)
-- Date format: YYYY-MM-DD
-- Time format: HH:mm
+/**
+ * Detect an image's MIME type from its magic bytes
+ * @param {Buffer} buffer
+ * @returns {string} Defaults to image/jpeg when unrecognised
+ */
+export function detectImageMimeType(buffer) {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return "image/png";
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+    if (buffer.length >= 12 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") return "image/webp";
+    if (buffer.length >= 6 && buffer.toString("ascii", 0, 3) === "GIF") return "image/gif";
+    return "image/jpeg";
+}
 
-Return JSON with EXACTLY the following structure and keys:
+/**
+ * Slip parsers configured through SLIP_OCR_PROVIDERS, e.g. "gemini,tesseract"
+ * @returns {Array<{name: string, parse: Function}>}
+ */
+export function configuredProviders() {
+    const defaults = process.env.TESSERACT_LANG_PATH ? DEFAULT_PROVIDERS_WITH_TESSERACT : DEFAULT_PROVIDERS;
 
-{
-  "bank_name": string | null,
-  "amount": number | null,
-  "transaction_date": string | null,
-  "transaction_time": string | null,
-  "sender": string | null,
-  "receiver": string | null,
-  "reference_id": string | null,
-  "channel": string | null
+    return (process.env.SLIP_OCR_PROVIDERS || defaults)
+        .split(",")
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => {
+            if (!PROVIDERS[name]) throw new Error(`Unknown slip OCR provider: ${name}`);
+            return PROVIDERS[name];
+        });
 }
 
-Important:
-- Do not guess missing information
-- Output must be strict JSON only
-- Any non-JSON output will be rejected`;
-
 /**
- * Parse bank slip image using Gemini Vision to extract transaction details
+ * Parse a bank slip image, falling back through the configured providers
  * @param {Buffer} imageBuffer - Image buffer from LINE message
+ * @param {Object} [options]
+ * @param {Array<{name: string, parse: Function}>} [options.providers] - Override the configured providers
+ * @param {number} [options.timeoutMs] - Per-provider time limit
  * @returns {Promise<{
  *   bank_name: string|null,
  *   amount: number|null,
@@ -50,62 +60,68 @@ Important:
  *   receiver: string|null,
  *   reference_id: string|null,
  *   channel: string|null,
+ *   confidence: Object<string, number>,
+ *   confidence_score: number,
+ *   provider: string|null,
  *   error: string|null
- * }>}
+ * }>} Fields are schema-checked and normalized; dates are ISO in the Gregorian calendar
  */
-export async function parseSlipImage(imageBuffer) {
-    try {
-        const model = genAI.getGenerativeModel({
-            model: "gemini-2.5-flash"
-        });
+export async function parseSlipImage(imageBuffer, {
+    providers = configuredProviders(),
+    timeoutMs = Number(process.env.SLIP_OCR_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+} = {}) {
+    const mimeType = detectImageMimeType(imageBuffer);
+    const errors = [];
+    let partial = null;
 
-        // Convert buffer to base64
-        const base64Image = imageBuffer.toString("base64");
+    for (const provider of providers) {
+        try {
+            const raw = await withTimeout(signal => provider.parse(imageBuffer, { mimeType, signal }), timeoutMs, provider.name);
+            const result = { ...validatedSlip(raw), provider: provider.name, error: null };
 
-        const result = await model.generateContent([
-            SLIP_EXTRACTION_PROMPT,
-            {
-                inlineData: {
-                    mimeType: "image/jpeg",
-                    data: base64Image
-                }
-            }
-        ]);
+            // Without an amount the slip is unusable, so give the next provider a try
+            if (result.amount !== null) return result;
 
-        const response = await result.response;
-        const text = response.text().trim();
+            partial = partial || result;
+            errors.push(`${provider.name}: no amount found`);
+        } catch (error) {
+            console.error(`Error parsing slip with ${provider.name}:`, error);
+            errors.push(`${provider.name}: ${error.message}`);
+        }
+    }
 
-        // Clean up response - remove markdown code blocks if present
-        const cleanedText = text
-            .replace(/```json\n?/g, "")
-            .replace(/```\n?/g, "")
-            .trim();
+    if (partial) return partial;
 
-        const parsed = JSON.parse(cleanedText);
+    return {
+        ...validatedSlip({}),
+        provider: null,
+        error: errors.join("; ") || "No slip OCR provider configured"
+    };
+}
 
-        return {
-            bank_name: parsed.bank_name || null,
-            amount: typeof parsed.amount === "number" ? parsed.amount : null,
-            transaction_date: parsed.transaction_date || null,
-            transaction_time: parsed.transaction_time || null,
-            sender: parsed.sender || null,
-            receiver: parsed.receiver || null,
-            reference_id: parsed.reference_id || null,
-            channel: parsed.channel || null,
-            error: null
-        };
-    } catch (error) {
-        console.error("Error parsing slip with Gemini:", error);
-        return {
-            bank_name: null,
-            amount: null,
-            transaction_date: null,
-            transaction_time: null,
-            sender: null,
-            receiver: null,
-            reference_id: null,
-            channel: null,
-            error: error.message
-        };
-    }
+function validatedSlip(raw) {
+    const { fields, confidence } = validateSlipFields(raw);
+    return { ...fields, confidence, confidence_score: slipConfidenceScore(confidence) };
+}
+
+/**
+ * Reject if a provider takes longer than timeoutMs, aborting its signal so it can stop working
+ * @param {function(AbortSignal): Promise} run - Starts the provider's work
+ * @param {number} timeoutMs
+ * @param {string} name - Provider name for the error message
+ * @returns {Promise}
+ */
+export function withTimeout(run, timeoutMs, name) {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${name} timed out after ${timeoutMs}ms`);
+            controller.abort(error);
+            reject(error);
+        }, timeoutMs);
+    });
+
+    return Promise.race([run(controller.signal), timeout]).finally(() => clearTimeout(timer));
 }
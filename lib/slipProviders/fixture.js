@@ -0,0 +1,50 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Build a slip parser that returns canned results instead of reading the image.
+ * Results are looked up by the SHA-256 of the image, falling back to `default`.
+ * @param {Object<string, Object|Error>} fixtures - Parsed fields (or an Error to throw) keyed by image hash
+ * @returns {{name: string, parse: Function}}
+ */
+export function createFixtureProvider(fixtures) {
+    return {
+        name: "fixture",
+
+        async parse(imageBuffer) {
+            const hash = crypto.createHash("sha256").update(imageBuffer).digest("hex");
+            const fixture = fixtures[hash] ?? fixtures.default;
+
+            if (fixture === undefined) throw new Error(`No slip fixture for image ${hash}`);
+            if (fixture instanceof Error) throw fixture;
+
+            return { ...fixture };
+        }
+    };
+}
+
+/**
+ * Fixture provider backed by JSON files in SLIP_OCR_FIXTURE_DIR,
+ * named `<sha256 of image>.json` with an optional `default.json`
+ */
+export const fixtureProvider = {
+    name: "fixture",
+
+    async parse(imageBuffer) {
+        const dir = process.env.SLIP_OCR_FIXTURE_DIR;
+        if (!dir) throw new Error("SLIP_OCR_FIXTURE_DIR is not set");
+
+        const hash = crypto.createHash("sha256").update(imageBuffer).digest("hex");
+
+        for (const name of [`${hash}.json`, "default.json"]) {
+            try {
+                return JSON.parse(await fs.readFile(path.join(dir, name), "utf8"));
+            } catch (err) {
+                if (err.code !== "ENOENT") throw err;
+            }
+        }
+
+        throw new Error(`No slip fixture for image ${hash}`);
+    }
+};
@@ -0,0 +1,64 @@
+import { geminiModel, generateImageJson } from "../gemini.js";
+
+const MODEL_NAME = process.env.GEMINI_SLIP_MODEL || "gemini-2.5-flash";
+
+const SLIP_EXTRACTION_PROMPT = `You are an OCR and bank slip information extraction system.
+
+Analyze the provided Thai bank slip image and extract transaction details.
+
+Assumptions:
+- Bank name is written in Thai
+- Amount is in THB
+
+STRICT RULES:
+- Output ONLY valid JSON
+- Do NOT include explanations, markdown, or extra text
+- If a field cannot be found, return null
+- Preserve original Thai text exactly as shown
+- Keep masked account numbers as-is (including x and -)
+- Amount must be a number (THB)
+- Date format: YYYY-MM-DD
+- Time format: HH:mm
+
+Return JSON with EXACTLY the following structure and keys:
+
+{
+  "bank_name": string | null,
+  "amount": number | null,
+  "transaction_date": string | null,
+  "transaction_time": string | null,
+  "sender": string | null,
+  "receiver": string | null,
+  "reference_id": string | null,
+  "channel": string | null
+}
+
+Important:
+- Do not guess missing information
+- Output must be strict JSON only
+- Any non-JSON output will be rejected`;
+
+/**
+ * Build a slip parser backed by a Gemini model
+ * @param {{generateContent: Function}} [model] - Defaults to GEMINI_SLIP_MODEL via GEMINI_API_KEY
+ * @returns {{name: string, parse: Function}}
+ */
+export function createGeminiProvider(model = geminiModel(MODEL_NAME)) {
+    return {
+        name: "gemini",
+
+        /**
+         * @param {Buffer} imageBuffer
+         * @param {{mimeType: string, signal?: AbortSignal}} options
+         * @returns {Promise<Object>} Raw extracted fields
+         */
+        async parse(imageBuffer, { mimeType, signal }) {
+            return generateImageJson(model, SLIP_EXTRACTION_PROMPT, imageBuffer, mimeType, signal);
+        }
+    };
+}
+
+/**
+ * Slip parser backed by Gemini Vision
+ */
+export const geminiProvider = createGeminiProvider();
@@ -0,0 +1,97 @@
+import { parseThaiDate } from "../thaiDate.js";
+
+// Directory holding tha/eng traineddata. Required: without it Tesseract would download
+// the models from its CDN on every cold start.
+const LANG_PATH = process.env.TESSERACT_LANG_PATH;
+
+// Keywords that identify the sending bank, checked in order
+const BANK_KEYWORDS = [
+    [/กสิกร|K\s?PLUS|KBank/i, "ธนาคารกสิกรไทย"],
+    [/ไทยพาณิชย์|SCB/i, "ธนาคารไทยพาณิชย์"],
+    [/กรุงเทพ|Bangkok Bank|Bualuang/i, "ธนาคารกรุงเทพ"],
+    [/กรุงไทย|Krungthai|KTB/i, "ธนาคารกรุงไทย"],
+    [/กรุงศรี|Krungsri|KMA/i, "ธนาคารกรุงศรีอยุธยา"],
+    [/ทหารไทยธนชาต|ttb/i, "ธนาคารทหารไทยธนชาต"],
+    [/ออมสิน|MyMo|GSB/i, "ธนาคารออมสิน"],
+    [/ธ\.?ก\.?ส\.?|BAAC/i, "ธนาคารเพื่อการเกษตรและสหกรณ์การเกษตร"],
+    [/ยูโอบี|UOB/i, "ธนาคารยูโอบี"],
+    [/ซีไอเอ็มบี|CIMB/i, "ธนาคารซีไอเอ็มบี ไทย"],
+    [/แลนด์ แอนด์ เฮ้าส์|LH Bank/i, "ธนาคารแลนด์ แอนด์ เฮ้าส์"],
+    [/เกียรตินาคิน|KKP/i, "ธนาคารเกียรตินาคินภัทร"]
+];
+
+const AMOUNT_PATTERN = /(?:จำนวนเงิน|จำนวน|ยอดเงิน|Amount)\s*[:：]?\s*(?:฿|THB)?\s*([\d,]+\.\d{2})/i;
+const AMOUNT_WITH_UNIT_PATTERN = /([\d,]+\.\d{2})\s*(?:บาท|THB|฿)/i;
+const TIME_PATTERN = /\b([01]?\d|2[0-3])[:.]([0-5]\d)(?::[0-5]\d)?\s*(?:น\.?)?/;
+const REFERENCE_PATTERN = /(?:เลขที่รายการ|รหัสอ้างอิง|เลขอ้างอิง|Ref(?:erence)?\.?\s*(?:No\.?|ID|Code)?)\s*[:：]?\s*([A-Za-z0-9]{8,})/i;
+const SENDER_LABEL = /^(?:จาก|From)\s*[:：]?\s*(.*)$/i;
+const RECEIVER_LABEL = /^(?:ไปยัง|ไปที่|ถึง|To)\s*[:：]?\s*(.*)$/i;
+
+/**
+ * Pull slip fields out of OCR text from a Thai bank slip
+ * @param {string} text - Raw OCR output
+ * @returns {Object} Extracted fields, null where not found
+ */
+export function extractSlipFields(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const joined = lines.join("\n");
+
+    const amountMatch = joined.match(AMOUNT_PATTERN) || joined.match(AMOUNT_WITH_UNIT_PATTERN);
+    const timeMatch = joined.match(TIME_PATTERN);
+    const referenceMatch = joined.match(REFERENCE_PATTERN);
+    const bank = BANK_KEYWORDS.find(([pattern]) => pattern.test(joined));
+
+    return {
+        bank_name: bank ? bank[1] : null,
+        amount: amountMatch ? Number(amountMatch[1].replace(/,/g, "")) : null,
+        transaction_date: parseThaiDate(joined),
+        transaction_time: timeMatch ? `${timeMatch[1].padStart(2, "0")}:${timeMatch[2]}` : null,
+        sender: labelledValue(lines, SENDER_LABEL),
+        receiver: labelledValue(lines, RECEIVER_LABEL),
+        reference_id: referenceMatch ? referenceMatch[1] : null,
+        channel: null
+    };
+}
+
+// Value after a label, or on the next line when the label stands alone
+function labelledValue(lines, labelPattern) {
+    const index = lines.findIndex(line => labelPattern.test(line));
+    if (index === -1) return null;
+
+    const sameLine = lines[index].match(labelPattern)[1].trim();
+    return sameLine || lines[index + 1] || null;
+}
+
+/**
+ * Slip parser that runs Tesseract OCR locally and extracts fields with regexes
+ */
+export const tesseractProvider = {
+    name: "tesseract",
+
+    /**
+     * @param {Buffer} imageBuffer
+     * @param {{signal?: AbortSignal}} [options] - Aborting stops the worker
+     * @returns {Promise<Object>} Raw extracted fields
+     */
+    async parse(imageBuffer, { signal } = {}) {
+        if (!LANG_PATH) throw new Error("TESSERACT_LANG_PATH is not set");
+
+        // Loaded lazily so deployments that never use it don't pay for the WASM start-up
+        const { createWorker } = await import("tesseract.js");
+        const worker = await createWorker(["tha", "eng"], undefined, { langPath: LANG_PATH });
+
+        // Stop recognising as soon as the caller gives up instead of running on in the background
+        let terminated = null;
+        const terminate = () => (terminated ||= worker.terminate());
+        signal?.addEventListener("abort", terminate, { once: true });
+
+        try {
+            signal?.throwIfAborted();
+            const { data } = await worker.recognize(imageBuffer);
+            return extractSlipFields(data.text);
+        } finally {
+            signal?.removeEventListener("abort", terminate);
+            await terminate();
+        }
+    }
+};
@@ -0,0 +1,198 @@
+import { parseThaiDate, toGregorianYear } from "./thaiDate.js";
+
+// Confidence of a field that matched the schema as-is, needed normalizing, or was unusable
+const EXACT = 1;
+const NORMALIZED = 0.6;
+const MISSING = 0;
+
+// How much each field contributes to the overall score
+const FIELD_WEIGHTS = {
+    amount: 0.35,
+    transaction_date: 0.15,
+    transaction_time: 0.1,
+    reference_id: 0.15,
+    receiver: 0.15,
+    bank_name: 0.1
+};
+
+// Slips scoring below this are held for the creditor to review
+export const LOW_CONFIDENCE_THRESHOLD = 0.5;
+
+// Largest single transfer we expect to see for a shared bill
+const MAX_AMOUNT = 1000000;
+const MAX_TEXT_LENGTH = 200;
+
+// Clock skew allowed for slips that look dated in the future
+const FUTURE_TOLERANCE_MINUTES = 60;
+// People often transfer moments before the bill is entered
+const BEFORE_BILL_GRACE_MINUTES = 60;
+
+// Thai banking apps print local time
+const SLIP_UTC_OFFSET = "+07:00";
+
+/**
+ * Validate and normalize the raw fields an OCR provider returned
+ * @param {Object} raw - Untrusted provider output
+ * @returns {{fields: Object, confidence: Object<string, number>}}
+ */
+export function validateSlipFields(raw) {
+    const source = raw && typeof raw === "object" ? raw : {};
+    const fields = {};
+    const confidence = {};
+
+    const check = (name, validator) => {
+        const [value, score] = validator(source[name]);
+        fields[name] = value;
+        confidence[name] = score;
+    };
+
+    check("amount", validateAmount);
+    check("transaction_date", validateDate);
+    check("transaction_time", validateTime);
+    check("reference_id", validateReference);
+    check("bank_name", validateText);
+    check("sender", validateText);
+    check("receiver", validateText);
+    check("channel", validateText);
+
+    return { fields, confidence };
+}
+
+/**
+ * Weighted overall confidence of a slip
+ * @param {Object<string, number>} confidence - Per-field confidence
+ * @returns {number} 0-1, rounded to two decimals
+ */
+export function slipConfidenceScore(confidence) {
+    const score = Object.entries(FIELD_WEIGHTS)
+        .reduce((sum, [field, weight]) => sum + weight * (confidence[field] ?? MISSING), 0);
+    return Math.round(score * 100) / 100;
+}
+
+/**
+ * Compare OCR fields with the slip's QR payload, which is authoritative.
+ * A transaction reference that disagrees with the QR suggests an edited slip.
+ * @param {Object} slipInfo - Parsed slip with `confidence`
+ * @param {Object|null} slipQR - Result of parseSlipQR
+ * @returns {{confidence: Object<string, number>, mismatches: Array<string>}}
+ */
+export function crossCheckSlipQR(slipInfo, slipQR) {
+    const confidence = { ...slipInfo.confidence };
+    const mismatches = [];
+
+    if (!slipQR) return { confidence, mismatches };
+
+    if (slipInfo.reference_id && slipInfo.reference_id !== slipQR.transaction_ref) {
+        mismatches.push("reference_id");
+    }
+    confidence.reference_id = EXACT;
+
+    // Bank names are spelled too many ways to treat a difference as tampering
+    if (slipQR.sending_bank_name) {
+        confidence.bank_name = !slipInfo.bank_name || sameBank(slipInfo.bank_name, slipQR.sending_bank_name)
+            ? EXACT
+            : MISSING;
+    }
+
+    return { confidence, mismatches };
+}
+
+/**
+ * Check a slip's transaction time is plausible for a bill
+ * @param {{transaction_date: string|null, transaction_time: string|null}} slipInfo
+ * @param {Object} options
+ * @param {Date} [options.billCreatedAt] - Slips well before this are rejected
+ * @param {Date} [options.now]
+ * @returns {"future"|"before-bill"|null} Why the date is unacceptable, or null
+ */
+export function checkSlipDate(slipInfo, { billCreatedAt = null, now = new Date() } = {}) {
+    if (!slipInfo.transaction_date) return null;
+
+    // Without a time, give the slip the benefit of the doubt in both directions
+    const earliest = slipMoment(slipInfo.transaction_date, slipInfo.transaction_time || "00:00");
+    const latest = slipMoment(slipInfo.transaction_date, slipInfo.transaction_time || "23:59");
+
+    if (earliest - now > FUTURE_TOLERANCE_MINUTES * 60000) return "future";
+
+    if (billCreatedAt && new Date(billCreatedAt) - latest > BEFORE_BILL_GRACE_MINUTES * 60000) {
+        return "before-bill";
+    }
+
+    return null;
+}
+
+function slipMoment(date, time) {
+    return new Date(`${date}T${time}:00${SLIP_UTC_OFFSET}`);
+}
+
+function validateAmount(value) {
+    let amount = value;
+    let score = EXACT;
+
+    if (typeof amount === "string") {
+        amount = Number(amount.replace(/[,\s฿]|THB|บาท/gi, ""));
+        score = NORMALIZED;
+    }
+
+    if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0 || amount > MAX_AMOUNT) {
+        return [null, MISSING];
+    }
+
+    // Transfers are in whole satang
+    if (Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) return [null, MISSING];
+
+    return [amount, score];
+}
+
+function validateDate(value) {
+    if (typeof value !== "string" || !value.trim()) return [null, MISSING];
+
+    const iso = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) {
+        const year = Number(iso[1]);
+        const normalized = parseThaiDate(value);
+        if (!normalized) return [null, MISSING];
+
+        // A Buddhist-era year in ISO format was still converted
+        return [normalized, toGregorianYear(year) === year ? EXACT : NORMALIZED];
+    }
+
+    const normalized = parseThaiDate(value);
+    return normalized ? [normalized, NORMALIZED] : [null, MISSING];
+}
+
+function validateTime(value) {
+    if (typeof value !== "string") return [null, MISSING];
+
+    if (/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) return [value, EXACT];
+
+    const loose = value.match(/^\s*([01]?\d|2[0-3])[:.]([0-5]\d)(?::[0-5]\d)?\s*(?:น\.?)?\s*$/);
+    return loose ? [`${loose[1].padStart(2, "0")}:${loose[2]}`, NORMALIZED] : [null, MISSING];
+}
+
+function validateReference(value) {
+    if (typeof value !== "string" && typeof value !== "number") return [null, MISSING];
+
+    const reference = String(value).trim();
+    if (/^[A-Za-z0-9]{6,50}$/.test(reference)) return [reference, EXACT];
+
+    // OCR sometimes splits long references with spaces or dashes
+    const compact = reference.replace(/[\s-]/g, "");
+    return /^[A-Za-z0-9]{6,50}$/.test(compact) ? [compact, NORMALIZED] : [null, MISSING];
+}
+
+function validateText(value) {
+    if (typeof value !== "string") return [null, MISSING];
+
+    const text = value.replace(/\s+/g, " ").trim();
+    if (!text || text.length > MAX_TEXT_LENGTH) return [null, MISSING];
+
+    return [text, EXACT];
+}
+
+// Bank names vary ("ธ.กสิกรไทย", "ธนาคารกสิกรไทย", "KBank"), so compare their core
+function sameBank(a, b) {
+    const core = name => name.toLowerCase().replace(/ธนาคาร|ธ\.|bank|\s|\(.*?\)/g, "");
+    const [x, y] = [core(a), core(b)];
+    return x.includes(y) || y.includes(x);
+}
@@ -0,0 +1,281 @@
+// Bill split calculations
+//
+// All arithmetic is done in integer satang so participant shares always sum
+// exactly to the bill total.
+
+export const PAY_TYPES = ["equal", "each", "itemized", "custom", "weighted"];
+
+/**
+ * Compute the bill total and each participant's share for a bill request
+ * @param {Object} input
+ * @param {string} input.payType - One of PAY_TYPES
+ * @param {number|string} [input.amount] - Bill amount (not used by 'itemized'; optional for 'custom')
+ * @param {string[]} [input.memberIds] - Participants (not used by 'itemized')
+ * @param {Array<{name: string, price: number, memberIds: string[]}>} [input.items] - Line items for 'itemized'
+ * @param {number} [input.serviceChargePercent] - Service charge for 'itemized'
+ * @param {number} [input.vatPercent] - VAT for 'itemized'
+ * @param {Object<string, number>} [input.amounts] - Per-member amounts for 'custom'
+ * @param {Object<string, number>} [input.weights] - Per-member share weights for 'weighted'
+ * @returns {{error: string}|{total: number, memberIds: string[], shares: Object<string, number>}}
+ */
+export function computeShares(input) {
+    const { payType } = input;
+
+    if (!PAY_TYPES.includes(payType)) {
+        return { error: `Invalid pay type. Must be one of: ${PAY_TYPES.map(t => `'${t}'`).join(", ")}` };
+    }
+
+    if (payType === "itemized") {
+        const itemsError = validateItems(input.items);
+        if (itemsError) return { error: itemsError };
+
+        const serviceChargePercent = Number(input.serviceChargePercent ?? 0);
+        const vatPercent = Number(input.vatPercent ?? 0);
+        if ([serviceChargePercent, vatPercent].some(p => isNaN(p) || p < 0 || p > 100)) {
+            return { error: "Service charge and VAT must be between 0 and 100 percent" };
+        }
+
+        const items = input.items.map(i => ({
+            ...i,
+            price: Number(i.price),
+            memberIds: [...new Set(i.memberIds)]
+        }));
+        const { total, shares } = computeItemizedShares(items, { serviceChargePercent, vatPercent });
+        return { total, memberIds: Object.keys(shares), shares };
+    }
+
+    const { memberIds } = input;
+    if (!Array.isArray(memberIds) || memberIds.length === 0) {
+        return { error: "At least one member must be selected" };
+    }
+
+    if (new Set(memberIds).size !== memberIds.length) {
+        return { error: "Each member can only be selected once" };
+    }
+
+    if (payType === "custom") {
+        return computeCustomShares(memberIds, input.amounts, input.amount);
+    }
+
+    if (!input.amount) {
+        return { error: "Missing required field: amount" };
+    }
+
+    const total = Number(input.amount);
+    if (isNaN(total) || total <= 0) {
+        return { error: "Amount must be a positive number" };
+    }
+
+    if (payType === "each") {
+        const perPerson = roundMoney(total);
+        return {
+            total: perPerson,
+            memberIds,
+            shares: Object.fromEntries(memberIds.map(userId => [userId, perPerson]))
+        };
+    }
+
+    let weights = memberIds.map(userId => [userId, 1]);
+
+    if (payType === "weighted") {
+        const weightsError = validateWeights(memberIds, input.weights);
+        if (weightsError) return { error: weightsError };
+        weights = memberIds.map(userId => [userId, Number(input.weights[userId])]);
+    }
+
+    return { total: roundMoney(total), memberIds, shares: allocate(total, weights) };
+}
+
+/**
+ * Compute each participant's share of an itemized bill.
+ * Every item is split among its members, then service charge is added to each
+ * subtotal and VAT is charged on the service-inclusive amount.
+ * @param {Array<{name: string, price: number, memberIds: string[]}>} items - Line items
+ * @param {Object} [options]
+ * @param {number} [options.serviceChargePercent=0] - Service charge percentage (e.g. 10)
+ * @param {number} [options.vatPercent=0] - VAT percentage (e.g. 7)
+ * @returns {{subtotal: number, total: number, shares: Object<string, number>}}
+ */
+export function computeItemizedShares(items, { serviceChargePercent = 0, vatPercent = 0 } = {}) {
+    const multiplier = (1 + serviceChargePercent / 100) * (1 + vatPercent / 100);
+    const subtotals = {};
+    let subtotal = 0;
+
+    for (const item of items) {
+        const itemShares = allocate(item.price, item.memberIds.map(userId => [userId, 1]));
+        subtotal += toSatang(item.price);
+
+        for (const [userId, amount] of Object.entries(itemShares)) {
+            subtotals[userId] = (subtotals[userId] || 0) + toSatang(amount);
+        }
+    }
+
+    const total = fromSatang(Math.round(subtotal * multiplier));
+
+    return {
+        subtotal: fromSatang(subtotal),
+        total,
+        shares: allocate(total, Object.entries(subtotals))
+    };
+}
+
+/**
+ * Split an amount proportionally to weights, exact to the satang.
+ * Uses the largest remainder method; ties go to whoever comes first in `weights`,
+ * so the same input always produces the same allocation.
+ * @param {number} amount - Amount in THB
+ * @param {Array<[string, number]>} weights - [userId, weight] pairs in a stable order
+ * @returns {Object<string, number>} userId -> amount in THB
+ */
+export function allocate(amount, weights) {
+    const totalSatang = toSatang(amount);
+    const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
+
+    const parts = weights.map(([userId, weight], index) => {
+        const exact = totalSatang * weight / totalWeight;
+        const floor = Math.floor(exact);
+        return { userId, index, satang: floor, remainder: exact - floor };
+    });
+
+    let leftover = totalSatang - parts.reduce((sum, p) => sum + p.satang, 0);
+    const byRemainder = [...parts].sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+    for (const part of byRemainder) {
+        if (leftover <= 0) break;
+        part.satang += 1;
+        leftover -= 1;
+    }
+
+    return Object.fromEntries(parts.map(p => [p.userId, fromSatang(p.satang)]));
+}
+
+// Custom amounts per member; the bill total is their sum
+function computeCustomShares(memberIds, amounts, amount) {
+    if (!amounts || typeof amounts !== "object") {
+        return { error: "Custom split requires an amount for each member" };
+    }
+
+    const shares = {};
+    let totalSatang = 0;
+
+    for (const userId of memberIds) {
+        const value = Number(amounts[userId]);
+        if (amounts[userId] === undefined || isNaN(value) || value < 0) {
+            return { error: "Each member's custom amount must be zero or a positive number" };
+        }
+        shares[userId] = roundMoney(value);
+        totalSatang += toSatang(value);
+    }
+
+    if (totalSatang <= 0) {
+        return { error: "Amount must be a positive number" };
+    }
+
+    if (amount !== undefined && amount !== null && amount !== "" && toSatang(Number(amount)) !== totalSatang) {
+        return { error: `Custom amounts add up to ${fromSatang(totalSatang)}, not ${amount}` };
+    }
+
+    return { total: fromSatang(totalSatang), memberIds, shares };
+}
+
+// Weights must be positive numbers for every selected member
+function validateWeights(memberIds, weights) {
+    if (!weights || typeof weights !== "object") {
+        return "Weighted split requires a share weight for each member";
+    }
+
+    for (const userId of memberIds) {
+        const weight = Number(weights[userId]);
+        if (weights[userId] === undefined || isNaN(weight) || weight <= 0) {
+            return "Each member's share weight must be a positive number";
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate who fronted the bill and how much each payer put in.
+ * A single payer without an amount is taken to have paid the whole total.
+ * @param {Array<{userId: string, amount?: number}>|undefined} payers - Payers from the request body
+ * @param {number} total - Bill total in THB
+ * @returns {{error: string}|{payers: Array<{userId: string, amount: number}>}}
+ */
+export function normalizePayers(payers, total) {
+    if (payers === undefined || payers === null) return { payers: [] };
+
+    if (!Array.isArray(payers) || payers.some(p => !p || typeof p.userId !== "string" || !p.userId)) {
+        return { error: "Payers must be a list of { userId, amount }" };
+    }
+
+    if (new Set(payers.map(p => p.userId)).size !== payers.length) {
+        return { error: "Each payer can only be listed once" };
+    }
+
+    if (payers.length === 1 && (payers[0].amount === undefined || payers[0].amount === null)) {
+        return { payers: [{ userId: payers[0].userId, amount: roundMoney(total) }] };
+    }
+
+    let paidSatang = 0;
+    for (const payer of payers) {
+        const amount = Number(payer.amount);
+        if (isNaN(amount) || amount <= 0) {
+            return { error: "Each payer's amount must be a positive number" };
+        }
+        paidSatang += toSatang(amount);
+    }
+
+    if (paidSatang !== toSatang(total)) {
+        return { error: `Payer amounts add up to ${fromSatang(paidSatang)}, but the bill total is ${roundMoney(total)}` };
+    }
+
+    return { payers: payers.map(p => ({ userId: p.userId, amount: roundMoney(Number(p.amount)) })) };
+}
+
+/**
+ * Validate the shape of itemized bill input
+ * @param {*} items - Items from the request body
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return "At least one item is required for an itemized bill";
+    }
+
+    for (const [index, item] of items.entries()) {
+        const label = item?.name ? `"${item.name}"` : `#${index + 1}`;
+
+        if (!item || typeof item.name !== "string" || !item.name.trim()) {
+            return `Item ${label} must have a name`;
+        }
+
+        const price = Number(item.price);
+        if (isNaN(price) || price <= 0) {
+            return `Item ${label} must have a positive price`;
+        }
+
+        if (!Array.isArray(item.memberIds) || item.memberIds.length === 0) {
+            return `Item ${label} must be shared by at least one member`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Round an amount to satang (2 decimal places)
+ * @param {number} amount
+ * @returns {number}
+ */
+export function roundMoney(amount) {
+    return fromSatang(toSatang(amount));
+}
+
+// Float noise (e.g. 1.005 * 100 = 100.49999...) is trimmed before rounding
+function toSatang(amount) {
+    return Math.round(Number((Number(amount) * 100).toFixed(6)));
+}
+
+function fromSatang(satang) {
+    return satang / 100;
+}
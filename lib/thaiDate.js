@@ -0,0 +1,82 @@
+// Thai slips print dates like "12 ม.ค. 67", "12 มกราคม 2567" or "12 Jan 2024"
+
+const THAI_MONTHS = [
+    ["ม.ค.", "มกราคม"],
+    ["ก.พ.", "กุมภาพันธ์"],
+    ["มี.ค.", "มีนาคม"],
+    ["เม.ย.", "เมษายน"],
+    ["พ.ค.", "พฤษภาคม"],
+    ["มิ.ย.", "มิถุนายน"],
+    ["ก.ค.", "กรกฎาคม"],
+    ["ส.ค.", "สิงหาคม"],
+    ["ก.ย.", "กันยายน"],
+    ["ต.ค.", "ตุลาคม"],
+    ["พ.ย.", "พฤศจิกายน"],
+    ["ธ.ค.", "ธันวาคม"]
+];
+
+const ENGLISH_MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Buddhist Era years are 543 ahead of the Gregorian calendar
+const BUDDHIST_ERA_OFFSET = 543;
+
+/**
+ * Convert a year as printed on a slip to a Gregorian year.
+ * Four-digit years above 2400 and two-digit years are read as Buddhist Era,
+ * which is what Thai banking apps print.
+ * @param {number} year
+ * @returns {number}
+ */
+export function toGregorianYear(year) {
+    if (year < 100) return 2500 + year - BUDDHIST_ERA_OFFSET;
+    if (year > 2400) return year - BUDDHIST_ERA_OFFSET;
+    return year;
+}
+
+/**
+ * Month number (1-12) of a Thai or English month name or abbreviation
+ * @param {string} name
+ * @returns {number|null}
+ */
+export function monthFromName(name) {
+    const cleaned = name.trim().replace(/\s+/g, "");
+    const thai = THAI_MONTHS.findIndex(([abbr, full]) =>
+        cleaned === abbr || cleaned === abbr.replace(/\./g, "") || cleaned === full);
+
+    if (thai !== -1) return thai + 1;
+
+    const english = ENGLISH_MONTHS.indexOf(cleaned.slice(0, 3).toLowerCase());
+    return english === -1 ? null : english + 1;
+}
+
+/**
+ * Find a date in slip text and return it as YYYY-MM-DD
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function parseThaiDate(text) {
+    if (!text) return null;
+
+    const iso = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    if (iso) return formatDate(toGregorianYear(Number(iso[1])), Number(iso[2]), Number(iso[3]));
+
+    const named = text.match(/(\d{1,2})\s*([ก-๙.]+|[A-Za-z]{3,9})\.?\s*(\d{4}|\d{2})(?!\d)/);
+    if (named) {
+        const month = monthFromName(named[2]);
+        if (month) return formatDate(toGregorianYear(Number(named[3])), month, Number(named[1]));
+    }
+
+    const numeric = text.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/);
+    if (numeric) return formatDate(toGregorianYear(Number(numeric[3])), Number(numeric[2]), Number(numeric[1]));
+
+    return null;
+}
+
+function formatDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    // Reject rollovers such as 31 Feb
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+    return date.toISOString().slice(0, 10);
+}
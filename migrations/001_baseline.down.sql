@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS bill_participants;
+DROP TABLE IF EXISTS bills;
+DROP TABLE IF EXISTS group_members;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS groups;
@@ -0,0 +1,45 @@
+-- Tables as deployed before migrations existed. IF NOT EXISTS lets `up` run
+-- against that database as well as a fresh one.
+
+-- Groups the bot is in and the LINE users it has seen
+
+CREATE TABLE IF NOT EXISTS groups (
+    group_id    TEXT PRIMARY KEY,
+    group_name  TEXT
+);
+
+CREATE TABLE IF NOT EXISTS users (
+    user_id       TEXT PRIMARY KEY,
+    display_name  TEXT
+);
+
+CREATE TABLE IF NOT EXISTS group_members (
+    group_id  TEXT NOT NULL REFERENCES groups (group_id) ON DELETE CASCADE,
+    user_id   TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+    PRIMARY KEY (group_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS group_members_user_id_idx ON group_members (user_id);
+
+-- Bills and each member's share
+
+CREATE TABLE IF NOT EXISTS bills (
+    bill_id           SERIAL PRIMARY KEY,
+    group_id          TEXT NOT NULL REFERENCES groups (group_id) ON DELETE CASCADE,
+    title             TEXT NOT NULL,
+    pay_type          TEXT NOT NULL,
+    total_pay_amount  NUMERIC(12, 2) NOT NULL CHECK (total_pay_amount >= 0),
+    created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS bills_group_id_created_at_idx ON bills (group_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS bill_participants (
+    bill_id     INTEGER NOT NULL REFERENCES bills (bill_id) ON DELETE CASCADE,
+    user_id     TEXT NOT NULL REFERENCES users (user_id),
+    pay_amount  NUMERIC(12, 2) NOT NULL CHECK (pay_amount >= 0),
+    pay_at      TIMESTAMPTZ,
+    PRIMARY KEY (bill_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS bill_participants_unpaid_idx ON bill_participants (user_id) WHERE pay_at IS NULL;
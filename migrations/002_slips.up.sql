@@ -0,0 +1,17 @@
+-- Transfer slips applied to a bill; the unique reference and image hash stop a
+-- slip being used twice
+
+CREATE TABLE IF NOT EXISTS slips (
+    slip_id           SERIAL PRIMARY KEY,
+    reference_id      TEXT UNIQUE,
+    image_hash        TEXT NOT NULL UNIQUE,
+    bill_id           INTEGER NOT NULL REFERENCES bills (bill_id) ON DELETE CASCADE,
+    user_id           TEXT NOT NULL REFERENCES users (user_id),
+    amount            NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    bank_name         TEXT,
+    transaction_date  DATE,
+    transaction_time  TIME,
+    created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS slips_user_id_idx ON slips (user_id);
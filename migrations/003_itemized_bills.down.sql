@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS bill_item_members;
+DROP TABLE IF EXISTS bill_items;
+
+ALTER TABLE bills DROP COLUMN IF EXISTS vat_percent;
+ALTER TABLE bills DROP COLUMN IF EXISTS service_charge_percent;
@@ -0,0 +1,19 @@
+-- Itemized bills: what each item cost and who shared it
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS service_charge_percent NUMERIC(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS vat_percent NUMERIC(5, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS bill_items (
+    item_id  SERIAL PRIMARY KEY,
+    bill_id  INTEGER NOT NULL REFERENCES bills (bill_id) ON DELETE CASCADE,
+    name     TEXT NOT NULL,
+    price    NUMERIC(12, 2) NOT NULL CHECK (price >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS bill_items_bill_id_idx ON bill_items (bill_id);
+
+CREATE TABLE IF NOT EXISTS bill_item_members (
+    item_id  INTEGER NOT NULL REFERENCES bill_items (item_id) ON DELETE CASCADE,
+    user_id  TEXT NOT NULL REFERENCES users (user_id),
+    PRIMARY KEY (item_id, user_id)
+);
@@ -0,0 +1,10 @@
+-- Who fronted the money for a bill
+
+CREATE TABLE IF NOT EXISTS bill_payers (
+    bill_id      INTEGER NOT NULL REFERENCES bills (bill_id) ON DELETE CASCADE,
+    user_id      TEXT NOT NULL REFERENCES users (user_id),
+    paid_amount  NUMERIC(12, 2) NOT NULL CHECK (paid_amount > 0),
+    PRIMARY KEY (bill_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS bill_payers_user_id_idx ON bill_payers (user_id);
@@ -0,0 +1,15 @@
+-- Slips still waiting for a bill have nowhere to go without slip_bills
+DELETE FROM slips WHERE status <> 'applied';
+
+ALTER TABLE slips ADD COLUMN bill_id INTEGER REFERENCES bills (bill_id) ON DELETE CASCADE;
+
+-- A slip that paid several bills keeps the first
+UPDATE slips s SET bill_id = (SELECT MIN(sb.bill_id) FROM slip_bills sb WHERE sb.slip_id = s.slip_id);
+DELETE FROM slips WHERE bill_id IS NULL;
+
+ALTER TABLE slips ALTER COLUMN bill_id SET NOT NULL;
+
+DROP TABLE IF EXISTS slip_bills;
+
+ALTER TABLE slips DROP COLUMN IF EXISTS status;
+ALTER TABLE slips DROP COLUMN IF EXISTS group_id;
@@ -0,0 +1,40 @@
+-- A slip can wait for the member to pick which bills it pays and can settle
+-- several bills at once, so it belongs to a group and links to bills through
+-- slip_bills instead of a single bill_id
+
+ALTER TABLE slips ADD COLUMN IF NOT EXISTS group_id TEXT REFERENCES groups (group_id) ON DELETE CASCADE;
+ALTER TABLE slips ADD COLUMN IF NOT EXISTS status TEXT;
+
+CREATE TABLE IF NOT EXISTS slip_bills (
+    slip_id  INTEGER NOT NULL REFERENCES slips (slip_id) ON DELETE CASCADE,
+    bill_id  INTEGER NOT NULL REFERENCES bills (bill_id) ON DELETE CASCADE,
+    amount   NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    PRIMARY KEY (slip_id, bill_id)
+);
+
+CREATE INDEX IF NOT EXISTS slip_bills_bill_id_idx ON slip_bills (bill_id);
+
+-- Every slip stored so far settled the one bill it points at
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'slips' AND column_name = 'bill_id'
+    ) THEN
+        UPDATE slips s SET group_id = b.group_id FROM bills b WHERE b.bill_id = s.bill_id;
+
+        INSERT INTO slip_bills (slip_id, bill_id, amount)
+        SELECT slip_id, bill_id, amount FROM slips
+        ON CONFLICT DO NOTHING;
+
+        ALTER TABLE slips DROP COLUMN bill_id;
+    END IF;
+END $$;
+
+UPDATE slips SET status = 'applied' WHERE status IS NULL;
+
+ALTER TABLE slips ALTER COLUMN group_id SET NOT NULL;
+ALTER TABLE slips ALTER COLUMN status SET NOT NULL;
+
+ALTER TABLE slips DROP CONSTRAINT IF EXISTS slips_status_check;
+ALTER TABLE slips ADD CONSTRAINT slips_status_check CHECK (status IN ('pending', 'applied'));
@@ -0,0 +1,17 @@
+CREATE TABLE slip_bills (
+    slip_id  INTEGER NOT NULL REFERENCES slips (slip_id) ON DELETE CASCADE,
+    bill_id  INTEGER NOT NULL REFERENCES bills (bill_id) ON DELETE CASCADE,
+    amount   NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    PRIMARY KEY (slip_id, bill_id)
+);
+
+CREATE INDEX slip_bills_bill_id_idx ON slip_bills (bill_id);
+
+INSERT INTO slip_bills (slip_id, bill_id, amount)
+SELECT slip_id, bill_id, SUM(amount) FROM payments
+WHERE method = 'slip' AND slip_id IS NOT NULL
+GROUP BY slip_id, bill_id
+HAVING SUM(amount) > 0;
+
+DROP TABLE IF EXISTS member_credits;
+DROP TABLE IF EXISTS payments;
@@ -0,0 +1,51 @@
+-- Ledger of everything paid toward a share, so a member can pay in parts.
+-- Overpayments are kept as credit toward the member's next bill.
+
+CREATE TABLE IF NOT EXISTS payments (
+    payment_id  SERIAL PRIMARY KEY,
+    bill_id     INTEGER NOT NULL REFERENCES bills (bill_id) ON DELETE CASCADE,
+    user_id     TEXT NOT NULL REFERENCES users (user_id),
+    amount      NUMERIC(12, 2) NOT NULL,
+    method      TEXT NOT NULL CONSTRAINT payments_method_check CHECK (method IN ('slip', 'credit', 'fronted')),
+    slip_id     INTEGER REFERENCES slips (slip_id) ON DELETE SET NULL,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS payments_bill_id_user_id_idx ON payments (bill_id, user_id);
+CREATE INDEX IF NOT EXISTS payments_slip_id_idx ON payments (slip_id);
+
+-- Spending credit adds a negative row
+CREATE TABLE IF NOT EXISTS member_credits (
+    credit_id   SERIAL PRIMARY KEY,
+    group_id    TEXT NOT NULL REFERENCES groups (group_id) ON DELETE CASCADE,
+    user_id     TEXT NOT NULL REFERENCES users (user_id),
+    amount      NUMERIC(12, 2) NOT NULL,
+    slip_id     INTEGER REFERENCES slips (slip_id) ON DELETE SET NULL,
+    bill_id     INTEGER REFERENCES bills (bill_id) ON DELETE SET NULL,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS member_credits_group_id_user_id_idx ON member_credits (group_id, user_id);
+
+-- Slips already applied become slip payments
+DO $$
+BEGIN
+    IF to_regclass('slip_bills') IS NOT NULL THEN
+        INSERT INTO payments (bill_id, user_id, amount, method, slip_id, created_at)
+        SELECT sb.bill_id, s.user_id, sb.amount, 'slip', s.slip_id, s.created_at
+        FROM slip_bills sb
+        JOIN slips s ON s.slip_id = sb.slip_id;
+
+        DROP TABLE slip_bills;
+    END IF;
+END $$;
+
+-- What payers fronted toward their own share on existing bills
+INSERT INTO payments (bill_id, user_id, amount, method)
+SELECT py.bill_id, py.user_id, LEAST(py.paid_amount, bp.pay_amount), 'fronted'
+FROM bill_payers py
+JOIN bill_participants bp ON bp.bill_id = py.bill_id AND bp.user_id = py.user_id
+WHERE bp.pay_amount > 0 AND NOT EXISTS (
+    SELECT 1 FROM payments p
+    WHERE p.bill_id = py.bill_id AND p.user_id = py.user_id AND p.method = 'fronted'
+);
@@ -0,0 +1,8 @@
+DELETE FROM slips WHERE status IN ('review', 'rejected');
+
+ALTER TABLE slips DROP CONSTRAINT IF EXISTS slips_status_check;
+ALTER TABLE slips ADD CONSTRAINT slips_status_check CHECK (status IN ('pending', 'applied'));
+
+ALTER TABLE slips DROP COLUMN IF EXISTS receiver;
+
+DROP TABLE IF EXISTS payment_accounts;
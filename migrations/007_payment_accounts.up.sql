@@ -0,0 +1,18 @@
+-- Where members can be paid, used to verify a slip's receiver. Slips whose
+-- receiver does not match wait in 'review' for the creditor.
+
+CREATE TABLE IF NOT EXISTS payment_accounts (
+    account_id      SERIAL PRIMARY KEY,
+    user_id         TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+    account_type    TEXT NOT NULL CHECK (account_type IN ('promptpay', 'bank')),
+    account_number  TEXT NOT NULL,
+    account_name    TEXT,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, account_type, account_number)
+);
+
+ALTER TABLE slips ADD COLUMN IF NOT EXISTS receiver TEXT;
+
+ALTER TABLE slips DROP CONSTRAINT IF EXISTS slips_status_check;
+ALTER TABLE slips ADD CONSTRAINT slips_status_check
+    CHECK (status IN ('pending', 'review', 'applied', 'rejected'));
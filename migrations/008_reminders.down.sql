@@ -0,0 +1,3 @@
+ALTER TABLE bills DROP COLUMN IF EXISTS last_reminded_at;
+
+DROP TABLE IF EXISTS reminder_settings;
@@ -0,0 +1,12 @@
+-- Per-group reminder schedule; groups without a row use the defaults in lib/reminders.js
+
+CREATE TABLE IF NOT EXISTS reminder_settings (
+    group_id        TEXT PRIMARY KEY REFERENCES groups (group_id) ON DELETE CASCADE,
+    enabled         BOOLEAN NOT NULL DEFAULT TRUE,
+    interval_hours  INTEGER NOT NULL DEFAULT 24 CHECK (interval_hours >= 1),
+    quiet_start     SMALLINT NOT NULL DEFAULT 22 CHECK (quiet_start BETWEEN 0 AND 23),
+    quiet_end       SMALLINT NOT NULL DEFAULT 8 CHECK (quiet_end BETWEEN 0 AND 23),
+    timezone        TEXT NOT NULL DEFAULT 'Asia/Bangkok'
+);
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS last_reminded_at TIMESTAMPTZ;
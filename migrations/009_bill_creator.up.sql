@@ -0,0 +1,3 @@
+-- Who created a bill through the LIFF form; NULL for bills created before this
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS created_by TEXT REFERENCES users (user_id) ON DELETE SET NULL;
@@ -0,0 +1,10 @@
+DELETE FROM payments WHERE method = 'adjustment';
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_method_check;
+ALTER TABLE payments ADD CONSTRAINT payments_method_check CHECK (method IN ('slip', 'credit', 'fronted'));
+
+DROP TABLE IF EXISTS bill_audit_log;
+
+DROP INDEX IF EXISTS bills_open_idx;
+ALTER TABLE bills DROP COLUMN IF EXISTS closed_at;
+ALTER TABLE bills DROP COLUMN IF EXISTS status;
@@ -0,0 +1,36 @@
+-- Bills can be edited, cancelled and closed, with an audit trail of each change
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open';
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+
+ALTER TABLE bills DROP CONSTRAINT IF EXISTS bills_status_check;
+ALTER TABLE bills ADD CONSTRAINT bills_status_check CHECK (status IN ('open', 'cancelled', 'closed'));
+
+CREATE INDEX IF NOT EXISTS bills_open_idx ON bills (group_id) WHERE status = 'open';
+
+CREATE TABLE IF NOT EXISTS bill_audit_log (
+    audit_id    SERIAL PRIMARY KEY,
+    bill_id     INTEGER NOT NULL REFERENCES bills (bill_id) ON DELETE CASCADE,
+    user_id     TEXT REFERENCES users (user_id) ON DELETE SET NULL,
+    action      TEXT NOT NULL,
+    changes     JSONB,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS bill_audit_log_bill_id_idx ON bill_audit_log (bill_id);
+
+-- Shrinking a share moves what was overpaid to credit with a negative adjustment
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_method_check;
+ALTER TABLE payments ADD CONSTRAINT payments_method_check
+    CHECK (method IN ('slip', 'credit', 'fronted', 'adjustment'));
+
+-- Re-splitting a bill upserts shares, which needs one row per member and bill
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'bill_participants'::regclass AND contype = 'p'
+    ) THEN
+        ALTER TABLE bill_participants ADD PRIMARY KEY (bill_id, user_id);
+    END IF;
+END $$;
@@ -0,0 +1,9 @@
+DELETE FROM payments WHERE method = 'cash';
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_method_check;
+ALTER TABLE payments ADD CONSTRAINT payments_method_check
+    CHECK (method IN ('slip', 'credit', 'fronted', 'adjustment'));
+
+ALTER TABLE payments DROP COLUMN IF EXISTS approved_by;
+
+DROP TABLE IF EXISTS cash_claims;
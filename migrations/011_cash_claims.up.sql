@@ -0,0 +1,21 @@
+-- Cash payments claimed by a member, waiting for the bill creator to confirm
+
+CREATE TABLE IF NOT EXISTS cash_claims (
+    claim_id     SERIAL PRIMARY KEY,
+    bill_id      INTEGER NOT NULL REFERENCES bills (bill_id) ON DELETE CASCADE,
+    user_id      TEXT NOT NULL REFERENCES users (user_id),
+    amount       NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    status       TEXT NOT NULL DEFAULT 'pending'
+                 CHECK (status IN ('pending', 'approved', 'rejected', 'void')),
+    reviewed_by  TEXT REFERENCES users (user_id) ON DELETE SET NULL,
+    reviewed_at  TIMESTAMPTZ,
+    created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS cash_claims_pending_idx ON cash_claims (bill_id, user_id) WHERE status = 'pending';
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS approved_by TEXT REFERENCES users (user_id) ON DELETE SET NULL;
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_method_check;
+ALTER TABLE payments ADD CONSTRAINT payments_method_check
+    CHECK (method IN ('slip', 'credit', 'fronted', 'adjustment', 'cash'));
@@ -0,0 +1,16 @@
+-- Webhook events, so LINE redeliveries are only handled once
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+    webhook_event_id  TEXT PRIMARY KEY,
+    event_type        TEXT NOT NULL,
+    source_id         TEXT,
+    payload           JSONB NOT NULL,
+    status            TEXT NOT NULL CHECK (status IN ('processing', 'processed', 'failed')),
+    attempts          INTEGER NOT NULL DEFAULT 0,
+    error             TEXT,
+    received_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    processed_at      TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS webhook_events_failed_idx ON webhook_events (received_at DESC) WHERE status = 'failed';
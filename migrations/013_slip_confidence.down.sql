@@ -0,0 +1 @@
+ALTER TABLE slips DROP COLUMN IF EXISTS confidence;
@@ -0,0 +1,3 @@
+-- Overall confidence (0-1) in the fields read from a slip
+
+ALTER TABLE slips ADD COLUMN IF NOT EXISTS confidence NUMERIC(3, 2);
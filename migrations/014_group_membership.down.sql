@@ -0,0 +1,7 @@
+ALTER TABLE users DROP COLUMN IF EXISTS profile_updated_at;
+
+ALTER TABLE group_members DROP COLUMN IF EXISTS left_at;
+ALTER TABLE group_members DROP COLUMN IF EXISTS active;
+
+ALTER TABLE groups DROP COLUMN IF EXISTS left_at;
+ALTER TABLE groups DROP COLUMN IF EXISTS active;
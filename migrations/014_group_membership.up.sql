@@ -0,0 +1,22 @@
+-- Members and groups are deactivated when they leave instead of deleted, so
+-- their bills and payments keep their names
+
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS left_at TIMESTAMPTZ;
+
+ALTER TABLE group_members ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE group_members ADD COLUMN IF NOT EXISTS left_at TIMESTAMPTZ;
+
+-- When a display name was last fetched from LINE
+ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_updated_at TIMESTAMPTZ;
+
+-- Re-joining upserts the membership, which needs one row per member and group
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'group_members'::regclass AND contype = 'p'
+    ) THEN
+        ALTER TABLE group_members ADD PRIMARY KEY (group_id, user_id);
+    END IF;
+END $$;
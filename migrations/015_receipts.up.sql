@@ -0,0 +1,16 @@
+-- Receipts read from photos, waiting for the group to assign items in the bill form.
+-- Sending the same photo again in a group reuses its receipt.
+
+CREATE TABLE IF NOT EXISTS receipts (
+    receipt_id              SERIAL PRIMARY KEY,
+    group_id                TEXT NOT NULL REFERENCES groups (group_id) ON DELETE CASCADE,
+    user_id                 TEXT NOT NULL REFERENCES users (user_id),
+    image_hash              TEXT NOT NULL,
+    merchant                TEXT,
+    items                   JSONB NOT NULL,
+    service_charge_percent  NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    vat_percent             NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    total                   NUMERIC(12, 2),
+    created_at              TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (group_id, image_hash)
+);
@@ -0,0 +1,55 @@
+// Apply or roll back database migrations in migrations/.
+//
+//   node scripts/migrate.js up                 apply every pending migration; safe on a fresh
+//                                              database and on one deployed before migrations existed
+//   node scripts/migrate.js down [steps]       roll back the last migration(s)
+//   node scripts/migrate.js status             list migrations and whether they ran
+//   node scripts/migrate.js baseline <version> mark migrations up to <version> as applied
+//                                              where their changes were already made by hand
+
+import pool from "../lib/db.js";
+import { migrateUp, migrateDown, migrationStatus, baselineMigrations } from "../lib/migrations.js";
+
+const USAGE = "Usage: node scripts/migrate.js up | down [steps] | status | baseline <version>";
+
+async function main(command, arg) {
+    if (command === "up") {
+        const applied = await migrateUp();
+        console.log(applied.length ? `Applied:\n  ${applied.join("\n  ")}` : "Database is up to date.");
+        return;
+    }
+
+    if (command === "down") {
+        const steps = arg === undefined ? 1 : Number(arg);
+        if (!Number.isInteger(steps) || steps < 1) throw new Error(USAGE);
+
+        const rolledBack = await migrateDown(steps);
+        console.log(rolledBack.length ? `Rolled back:\n  ${rolledBack.join("\n  ")}` : "Nothing to roll back.");
+        return;
+    }
+
+    if (command === "status") {
+        for (const m of await migrationStatus()) {
+            const state = m.appliedAt ? `applied ${new Date(m.appliedAt).toISOString()}` : "pending";
+            console.log(`${m.version}_${m.name}  ${state}`);
+        }
+        return;
+    }
+
+    if (command === "baseline" && /^\d+$/.test(arg || "")) {
+        const recorded = await baselineMigrations(arg);
+        console.log(recorded.length ? `Marked as applied:\n  ${recorded.join("\n  ")}` : "Nothing to mark.");
+        return;
+    }
+
+    throw new Error(USAGE);
+}
+
+try {
+    await main(process.argv[2], process.argv[3]);
+} catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+} finally {
+    await pool.end();
+}
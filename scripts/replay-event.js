@@ -0,0 +1,69 @@
+// Re-run a stored webhook event against the webhook handlers.
+//
+//   node scripts/replay-event.js --failed          list recent failed events
+//   node scripts/replay-event.js <webhookEventId>  replay one event
+//
+// Reply tokens expire within a minute, so replies are sent as push messages
+// to the chat the event came from.
+
+import pool from "../lib/db.js";
+import { client } from "../lib/line.js";
+import { handleEvent } from "../api/webhook.js";
+import { getStoredEvent, listFailedEvents, markEventProcessed, markEventFailed } from "../lib/eventLog.js";
+
+async function listFailed() {
+    const events = await listFailedEvents();
+
+    if (events.length === 0) {
+        console.log("No failed events.");
+        return;
+    }
+
+    for (const event of events) {
+        const firstLine = (event.error || "").split("\n")[0];
+        console.log(`${event.webhook_event_id}  ${event.event_type}  attempts=${event.attempts}  ${firstLine}`);
+    }
+}
+
+async function replay(webhookEventId) {
+    const stored = await getStoredEvent(webhookEventId);
+
+    if (!stored) {
+        console.error(`Event ${webhookEventId} not found`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const event = stored.payload;
+
+    if (stored.source_id) {
+        client.replyMessage = ({ messages }) => client.pushMessage({ to: stored.source_id, messages });
+    }
+
+    console.log(`Replaying ${event.type} event ${webhookEventId} (previous status: ${stored.status})`);
+
+    try {
+        await handleEvent(event);
+        await markEventProcessed(event);
+        console.log("Replayed successfully");
+    } catch (err) {
+        await markEventFailed(event, err);
+        console.error("Replay failed:", err);
+        process.exitCode = 1;
+    }
+}
+
+const arg = process.argv[2];
+
+try {
+    if (arg === "--failed") {
+        await listFailed();
+    } else if (arg) {
+        await replay(arg);
+    } else {
+        console.log("Usage: node scripts/replay-event.js <webhookEventId> | --failed");
+        process.exitCode = 1;
+    }
+} finally {
+    await pool.end();
+}
@@ -0,0 +1,196 @@
+// Drive the webhook handler locally with signed fixture payloads.
+//
+//   node scripts/webhook-harness.js                     run every fixture in scripts/fixtures/webhook
+//   node scripts/webhook-harness.js 04-text-status ...  run only the named fixtures, in order
+//   node scripts/webhook-harness.js --image slip.jpg    serve slip.jpg as the content of image messages
+//
+// Fixtures are sent byte-for-byte as LINE would send them, signed with a test channel secret.
+// {{webhookEventId}} and {{replyToken}} placeholders are filled with fresh values on every run.
+// LINE API calls go to a stub that prints them instead; the database is the one in DATABASE_URL,
+// which should be a local Postgres with migrations applied (append ?sslmode=disable if it has no SSL).
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { Readable } from "stream";
+import { fileURLToPath } from "url";
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "webhook");
+const TEST_CHANNEL_SECRET = "webhook-harness-secret";
+
+// 1x1 transparent PNG, used for image messages when no --image is given
+const BLANK_PNG = Buffer.from(
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==",
+    "base64"
+);
+
+// lib/line.js reads the channel secret when it is first imported
+process.env.CHANNEL_SECRET = TEST_CHANNEL_SECRET;
+process.env.CHANNEL_ACCESS_TOKEN ||= "webhook-harness-token";
+
+const { default: pool } = await import("../lib/db.js");
+const { client, blobClient } = await import("../lib/line.js");
+const { getStoredEvent } = await import("../lib/eventLog.js");
+const { default: webhookHandler } = await import("../api/webhook.js");
+
+function parseArgs(argv) {
+    const options = { names: [], image: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--image") {
+            options.image = argv[++i];
+        } else {
+            options.names.push(argv[i].replace(/\.json$/, ""));
+        }
+    }
+
+    return options;
+}
+
+async function loadFixtures(names) {
+    const files = (await fs.readdir(FIXTURE_DIR)).filter(f => f.endsWith(".json")).sort();
+    const selected = names.length > 0 ? names.map(name => `${name}.json`) : files;
+
+    const missing = selected.filter(f => !files.includes(f));
+    if (missing.length > 0) throw new Error(`Unknown fixture(s): ${missing.join(", ")}`);
+
+    return Promise.all(selected.map(async file => ({
+        name: file.replace(/\.json$/, ""),
+        template: await fs.readFile(path.join(FIXTURE_DIR, file), "utf8")
+    })));
+}
+
+// Replace LINE API calls with stubs that log what the bot would have sent
+function stubLineClient(imageContent) {
+    const log = message => console.log(`  LINE ${message}`);
+
+    client.replyMessage = async ({ messages }) => {
+        log(`reply: ${describeMessages(messages)}`);
+        return {};
+    };
+
+    client.pushMessage = async ({ to, messages }) => {
+        log(`push to ${to}: ${describeMessages(messages)}`);
+        return {};
+    };
+
+    client.getGroupSummary = async groupId => ({ groupId, groupName: "Harness Group" });
+
+    client.getGroupMemberProfile = async (groupId, userId) => ({
+        userId,
+        displayName: `Member ${userId.slice(-4)}`
+    });
+
+    // Like an unverified account, which may not list group members
+    client.getGroupMembersIds = async () => {
+        throw Object.assign(new Error("Forbidden"), { status: 403 });
+    };
+
+    blobClient.getMessageContent = async messageId => {
+        log(`download content of message ${messageId}`);
+        return Readable.from([imageContent]);
+    };
+}
+
+function describeMessages(messages) {
+    return messages
+        .map(m => m.type === "text" ? JSON.stringify(m.text) : `[${m.type}] ${m.altText || ""}`.trim())
+        .join(" | ");
+}
+
+function sign(body, secret) {
+    return crypto.createHmac("SHA256", secret).update(body).digest("base64");
+}
+
+// Call the handler the way Vercel would, with an unparsed body stream
+async function send(rawBody, signature) {
+    const req = Readable.from([rawBody]);
+    req.method = "POST";
+    req.headers = {
+        "content-type": "application/json",
+        "x-line-signature": signature
+    };
+
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+
+    await webhookHandler(req, res);
+    return res;
+}
+
+async function runFixture(fixture) {
+    const rawBody = Buffer.from(fixture.template
+        .replaceAll("{{webhookEventId}}", () => `harness-${crypto.randomUUID()}`)
+        .replaceAll("{{replyToken}}", () => crypto.randomBytes(16).toString("hex")), "utf8");
+
+    console.log(`\n${fixture.name}`);
+
+    const res = await send(rawBody, sign(rawBody, TEST_CHANNEL_SECRET));
+    console.log(`  HTTP ${res.statusCode} ${JSON.stringify(res.body)}`);
+
+    if (res.statusCode !== 200) return false;
+
+    // The handler always answers 200; per-event failures are only visible in the event log
+    let ok = true;
+    for (const event of JSON.parse(rawBody.toString("utf8")).events) {
+        const stored = await getStoredEvent(event.webhookEventId);
+        console.log(`  event ${event.type}: ${stored?.status ?? "not logged"}`);
+
+        if (stored?.status !== "processed") {
+            if (stored?.error) console.log(`  ${stored.error.split("\n")[0]}`);
+            ok = false;
+        }
+    }
+
+    return ok;
+}
+
+// A body signed with the wrong secret must be turned away before anything runs
+async function checkRejectsBadSignature(fixture) {
+    const rawBody = Buffer.from(fixture.template, "utf8");
+    const res = await send(rawBody, sign(rawBody, "not-the-channel-secret"));
+
+    console.log(`bad signature on ${fixture.name}: HTTP ${res.statusCode}`);
+    return res.statusCode === 401;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!process.env.DATABASE_URL) {
+        throw new Error("Set DATABASE_URL to a local Postgres database with migrations applied");
+    }
+
+    const fixtures = await loadFixtures(options.names);
+    stubLineClient(options.image ? await fs.readFile(options.image) : BLANK_PNG);
+
+    const failures = [];
+
+    if (!(await checkRejectsBadSignature(fixtures[0]))) failures.push("signature check");
+
+    for (const fixture of fixtures) {
+        if (!(await runFixture(fixture))) failures.push(fixture.name);
+    }
+
+    console.log(failures.length > 0 ? `\nFailed: ${failures.join(", ")}` : `\nAll ${fixtures.length} fixture(s) handled.`);
+    if (failures.length > 0) process.exitCode = 1;
+}
+
+try {
+    await main();
+} catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+} finally {
+    await pool.end();
+}
@@ -0,0 +1,59 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { verifyReceiver, maskedNumberMatches, maskAccountNumber } from "../lib/accounts.js";
+
+const bank = { account_type: "bank", account_number: "1234567890", account_name: "Alice Wong" };
+const promptPay = { account_type: "promptpay", account_number: "0812345678", account_name: null };
+
+describe("maskedNumberMatches", () => {
+    it("lines up a masked number with the end of the full one", () => {
+        assert.ok(maskedNumberMatches("xxx-x-x5678-x", "1234556789"));
+        assert.ok(maskedNumberMatches("XXX-XXX-7890", "1234567890"));
+        assert.ok(maskedNumberMatches("***-***-7890", "1234567890"));
+        assert.ok(maskedNumberMatches("081-xxx-5678", "0812345678"));
+    });
+
+    it("rejects numbers whose visible digits disagree", () => {
+        assert.ok(!maskedNumberMatches("xxx-x-x5679-x", "1234556789"));
+        assert.ok(!maskedNumberMatches("082-xxx-5678", "0812345678"));
+    });
+
+    it("does not trust a number showing fewer than three digits", () => {
+        assert.ok(!maskedNumberMatches("xxx-xxx-xx90", "1234567890"));
+        assert.ok(!maskedNumberMatches("xxxxxxxxxx", "1234567890"));
+    });
+
+    it("rejects a masked number longer than the account", () => {
+        assert.ok(!maskedNumberMatches("xx-123-4567890", "1234567890"));
+        assert.ok(!maskedNumberMatches("", "1234567890"));
+    });
+});
+
+describe("verifyReceiver", () => {
+    it("verifies by masked account number", () => {
+        assert.equal(verifyReceiver("xxx-x-x7890 ธ.กสิกรไทย", [promptPay, bank]), "verified");
+        assert.equal(verifyReceiver("081-xxx-5678", [promptPay]), "verified");
+    });
+
+    it("verifies by name when the surname is cut short", () => {
+        assert.equal(verifyReceiver("MS. ALICE W.", [bank]), "verified");
+        assert.equal(verifyReceiver("Mr. Bob Wong", [bank]), "mismatch");
+    });
+
+    it("reports a mismatch when nothing agrees", () => {
+        assert.equal(verifyReceiver("xxx-x-x1111-x Carol Lee", [bank, promptPay]), "mismatch");
+        assert.equal(verifyReceiver(null, [bank]), "mismatch");
+    });
+
+    it("cannot verify against a creditor with no accounts", () => {
+        assert.equal(verifyReceiver("xxx-x-x7890", []), "unverifiable");
+        assert.equal(verifyReceiver("xxx-x-x7890", undefined), "unverifiable");
+    });
+});
+
+describe("maskAccountNumber", () => {
+    it("shows only the last four digits", () => {
+        assert.equal(maskAccountNumber("1234567890"), "xxxxxx7890");
+        assert.equal(maskAccountNumber("123"), "123");
+    });
+});
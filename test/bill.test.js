@@ -0,0 +1,188 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeDb, installFakeDb } from "./fakes/db.js";
+import { installFakeLine } from "./fakes/line.js";
+import billHandler from "../api/bill.js";
+
+const GROUP_ID = "Cgroup";
+const ALICE = "Ualice";
+const BOB = "Ubob";
+const LIFF_CHANNEL_ID = "1234567890";
+
+function request(body, { token = "header.payload.signature" } = {}) {
+    return {
+        method: "POST",
+        headers: { host: "khunpai.test", ...(token ? { authorization: `Bearer ${token}` } : {}) },
+        body
+    };
+}
+
+async function call(req) {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+
+    await billHandler(req, res);
+    return res;
+}
+
+describe("POST /api/bill", () => {
+    let db, line, restoreDb, originalFetch, originalChannelId;
+
+    beforeEach(() => {
+        db = createFakeDb();
+        restoreDb = installFakeDb(db);
+        line = installFakeLine();
+
+        // LINE's ID token verification says the caller is Alice
+        originalFetch = globalThis.fetch;
+        originalChannelId = process.env.LIFF_CHANNEL_ID;
+        process.env.LIFF_CHANNEL_ID = LIFF_CHANNEL_ID;
+        globalThis.fetch = async () => ({
+            ok: true,
+            json: async () => ({ aud: LIFF_CHANNEL_ID, sub: ALICE, name: "Alice" })
+        });
+
+        // Alice and Bob are current members of the group
+        db.on(/SELECT 1 FROM group_members WHERE group_id = \$1 AND user_id = \$2 AND active/, () => [{}]);
+        db.on(/SELECT gm.user_id FROM group_members gm/, ([, userIds]) =>
+            userIds.filter(id => [ALICE, BOB].includes(id)).map(user_id => ({ user_id })));
+    });
+
+    afterEach(() => {
+        restoreDb();
+        line.restore();
+        globalThis.fetch = originalFetch;
+        process.env.LIFF_CHANNEL_ID = originalChannelId;
+    });
+
+    it("only accepts POST", async () => {
+        const res = await call({ method: "GET", headers: {}, body: {} });
+        assert.equal(res.statusCode, 405);
+    });
+
+    it("requires groupId, title and payType", async () => {
+        const res = await call(request({ groupId: GROUP_ID, title: "Dinner" }));
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, "Missing required fields: groupId, title, payType");
+    });
+
+    it("requires a LIFF ID token", async () => {
+        const res = await call(request({ groupId: GROUP_ID, title: "Dinner", payType: "equal" }, { token: null }));
+
+        assert.equal(res.statusCode, 401);
+    });
+
+    it("rejects an invalid split before touching the bill tables", async () => {
+        const res = await call(request({ groupId: GROUP_ID, title: "Dinner", payType: "equal", amount: 0, memberIds: [ALICE] }));
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, "Missing required field: amount");
+        assert.equal(db.ran(/INSERT INTO bills/).length, 0);
+    });
+
+    it("rejects payers that do not add up to the total", async () => {
+        const res = await call(request({
+            groupId: GROUP_ID, title: "Dinner", payType: "equal", amount: 300, memberIds: [ALICE, BOB],
+            payers: [{ userId: ALICE, amount: 100 }, { userId: BOB, amount: 100 }]
+        }));
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /^Payer amounts add up to 200/);
+    });
+
+    it("rolls back when someone is not in the group", async () => {
+        const res = await call(request({ groupId: GROUP_ID, title: "Dinner", payType: "equal", amount: 300, memberIds: [ALICE, "Ustranger"] }));
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, "One or more selected members do not exist in this group");
+        assert.equal(db.ran(/^ROLLBACK$/).length, 1);
+        assert.equal(db.ran(/INSERT INTO bills/).length, 0);
+    });
+
+    it("stores the bill with everyone's share and announces it in the group", async () => {
+        db.on(/INSERT INTO bills/, () => [{ bill_id: 42 }]);
+        db.on(/FROM bills\s+WHERE group_id = \$1 AND bill_id = \$2/,
+            () => [{ bill_id: 42, title: "Dinner", total_pay_amount: "100.00", status: "open" }]);
+
+        const res = await call(request({
+            groupId: GROUP_ID, title: "Dinner", payType: "equal", amount: 100, memberIds: [ALICE, BOB],
+            payers: [{ userId: ALICE }]
+        }));
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body, {
+            success: true,
+            billId: 42,
+            participants: 2,
+            totalAmount: 100,
+            shares: { [ALICE]: 50, [BOB]: 50 }
+        });
+
+        assert.deepEqual(db.ran(/INSERT INTO bills/)[0].params, [GROUP_ID, "Dinner", "equal", 100, 0, 0, ALICE]);
+        assert.deepEqual(db.ran(/INSERT INTO bill_payers/)[0].params, [42, ALICE, 100]);
+        assert.deepEqual(db.ran(/INSERT INTO bill_participants/).map(q => q.params), [[42, ALICE, 50], [42, BOB, 50]]);
+        assert.equal(db.ran(/^COMMIT$/).length, 1);
+
+        // Alice fronted the whole bill, so her own share is paid and only Bob owes
+        assert.deepEqual(db.ran(/INSERT INTO payments/)[0].params, [42, ALICE, 50, "fronted", null, null]);
+        assert.deepEqual(db.ran(/UPDATE bill_participants SET pay_at = NOW\(\)/)[0].params, [42, ALICE]);
+
+        assert.equal(line.pushes.length, 1);
+        assert.equal(line.pushes[0].to, GROUP_ID);
+        assert.equal(line.pushes[0].messages[0].altText, "New Bill Created!");
+    });
+
+    it("counts what each payer fronted toward their own share", async () => {
+        db.on(/INSERT INTO bills/, () => [{ bill_id: 44 }]);
+
+        const res = await call(request({
+            groupId: GROUP_ID, title: "Dinner", payType: "equal", amount: 100, memberIds: [ALICE, BOB],
+            payers: [{ userId: ALICE, amount: 30 }, { userId: BOB, amount: 70 }]
+        }));
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(db.ran(/INSERT INTO payments/).map(q => q.params), [
+            [44, ALICE, 30, "fronted", null, null],
+            [44, BOB, 50, "fronted", null, null]
+        ]);
+
+        // Bob's share is covered; Alice still owes the 20 she did not front
+        assert.deepEqual(db.ran(/UPDATE bill_participants SET pay_at = NOW\(\)/).map(q => q.params), [[44, BOB]]);
+    });
+
+    it("only uses credit for what a payer's fronting did not cover", async () => {
+        db.on(/INSERT INTO bills/, () => [{ bill_id: 45 }]);
+        db.on(/FROM member_credits/, () => [{ user_id: ALICE, balance: "80.00" }]);
+
+        await call(request({
+            groupId: GROUP_ID, title: "Dinner", payType: "equal", amount: 100, memberIds: [ALICE, BOB],
+            payers: [{ userId: ALICE, amount: 30 }, { userId: BOB, amount: 70 }]
+        }));
+
+        assert.deepEqual(db.ran(/INSERT INTO payments/)[2].params, [45, ALICE, 20, "credit", null, null]);
+        assert.deepEqual(db.ran(/INSERT INTO member_credits/)[0].params, [GROUP_ID, ALICE, -20, 45, null]);
+    });
+
+    it("uses credit left over from earlier overpayments", async () => {
+        db.on(/INSERT INTO bills/, () => [{ bill_id: 43 }]);
+        db.on(/FROM member_credits/, () => [{ user_id: BOB, balance: "80.00" }]);
+
+        const res = await call(request({ groupId: GROUP_ID, title: "Taxi", payType: "equal", amount: 100, memberIds: [ALICE, BOB] }));
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(db.ran(/INSERT INTO payments/)[0].params, [43, BOB, 50, "credit", null, null]);
+        assert.deepEqual(db.ran(/INSERT INTO member_credits/)[0].params, [GROUP_ID, BOB, -50, 43, null]);
+        assert.deepEqual(db.ran(/UPDATE bill_participants SET pay_at = NOW\(\)/)[0].params, [43, BOB]);
+    });
+});
@@ -0,0 +1,196 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeDb, installFakeDb } from "./fakes/db.js";
+import { updateBill, cancelBill, closeBill } from "../lib/billActions.js";
+import { getGroupBalances } from "../lib/settlement.js";
+
+const GROUP_ID = "Cgroup";
+const ALICE = "Ualice";
+const BOB = "Ubob";
+const CAROL = "Ucarol";
+const BILL_ID = 5;
+
+describe("cancelBill", () => {
+    let db, restoreDb;
+
+    beforeEach(() => {
+        db = createFakeDb();
+        restoreDb = installFakeDb(db);
+
+        db.on(/FROM bills\s+WHERE bill_id = \$1/, () => [{ bill_id: BILL_ID, group_id: GROUP_ID, status: "open", created_by: ALICE }]);
+        db.on(/UPDATE bills SET status/, ([, status]) => [{ bill_id: BILL_ID, status }]);
+        // Alice fronted the bill, which covered her own share
+        db.on(/SELECT bp.user_id, u.display_name,\s+COALESCE/, () => [
+            { user_id: ALICE, display_name: "Alice", paid: "120.50", fronted: "120.50" },
+            { user_id: BOB, display_name: "Bob", paid: "120.50", fronted: "0" }
+        ]);
+    });
+
+    afterEach(() => {
+        restoreDb();
+    });
+
+    it("turns what members already paid into credit", async () => {
+        const result = await cancelBill(BILL_ID, ALICE);
+
+        assert.equal(result.bill.status, "cancelled");
+        assert.deepEqual(db.ran(/INSERT INTO payments/).map(q => q.params), [[BILL_ID, BOB, -120.5, "adjustment", null, null]]);
+        assert.deepEqual(db.ran(/INSERT INTO member_credits/).map(q => q.params), [[GROUP_ID, BOB, 120.5, BILL_ID, null]]);
+
+        const [audit] = db.ran(/INSERT INTO bill_audit_log/);
+        assert.match(audit.params.join(" "), /"refunded":\{"Ubob":120\.5\}/);
+    });
+
+    it("leaves payments alone when a bill is closed", async () => {
+        await closeBill(BILL_ID, ALICE);
+
+        assert.equal(db.ran(/INSERT INTO payments/).length, 0);
+        assert.equal(db.ran(/INSERT INTO member_credits/).length, 0);
+    });
+});
+
+describe("updateBill", () => {
+    let db, restoreDb, bill, participants, payers, items, payments;
+
+    const paidBy = (userId, method) => payments
+        .filter(p => p.user_id === userId && (!method || p.method === method))
+        .reduce((sum, p) => Math.round((sum + p.amount) * 100) / 100, 0);
+
+    beforeEach(() => {
+        // Alice fronted a 600 dinner split equally between the three of them
+        bill = {
+            bill_id: BILL_ID, group_id: GROUP_ID, title: "Dinner", pay_type: "equal", total_pay_amount: "600.00",
+            service_charge_percent: "0", vat_percent: "0", status: "open", created_by: ALICE
+        };
+        participants = { [ALICE]: 200, [BOB]: 200, [CAROL]: 200 };
+        payers = [{ user_id: ALICE, paid_amount: "600.00" }];
+        items = [];
+        payments = [{ user_id: ALICE, amount: 200, method: "fronted" }];
+
+        db = createFakeDb();
+        restoreDb = installFakeDb(db);
+
+        // A small stateful stand-in for the tables updateBill and getGroupBalances touch
+        db.on(/FROM bills\s+WHERE bill_id = \$1/, () => [bill]);
+        db.on(/UPDATE bills\s+SET pay_type/, ([, payType, total, serviceChargePercent, vatPercent]) => {
+            Object.assign(bill, {
+                pay_type: payType,
+                total_pay_amount: String(total),
+                service_charge_percent: String(serviceChargePercent),
+                vat_percent: String(vatPercent)
+            });
+        });
+        db.on(/SELECT gm.user_id FROM group_members gm/, ([, userIds]) => userIds.map(user_id => ({ user_id })));
+        db.on(/FROM bill_participants\s+WHERE bill_id = \$1\s+ORDER BY user_id/, () =>
+            Object.entries(participants).map(([user_id, share]) => ({ user_id, pay_amount: String(share), pay_at: null })));
+        db.on(/SELECT bp.user_id, u.display_name,\s+COALESCE/, () => Object.keys(participants).map(user_id =>
+            ({ user_id, display_name: null, paid: String(paidBy(user_id)), fronted: String(paidBy(user_id, "fronted")) })));
+        db.on(/INSERT INTO payments/, ([, user_id, amount, method]) => {
+            payments.push({ user_id, amount, method });
+        });
+        db.on(/INSERT INTO bill_participants/, ([, userId, share]) => {
+            participants[userId] = share;
+        });
+        db.on(/SELECT user_id, paid_amount\s+FROM bill_payers/, () => payers);
+        db.on(/DELETE FROM bill_payers/, () => {
+            payers = [];
+        });
+        db.on(/INSERT INTO bill_payers/, ([, user_id, amount]) => {
+            payers.push({ user_id, paid_amount: String(amount) });
+        });
+        db.on(/DELETE FROM bill_items/, () => {
+            items = [];
+        });
+        db.on(/INSERT INTO bill_items/, ([, name, price]) => {
+            items.push({ name, price });
+            return [{ item_id: items.length }];
+        });
+
+        // Settlement: what is left of each share, and what payers fronted for the others
+        db.on(/FROM bill_participants bp\s+JOIN bills b ON b.bill_id = bp.bill_id\s+WHERE b.group_id = \$1 AND b.status = 'open'/, () =>
+            Object.entries(participants)
+                .map(([user_id, share]) => ({ bill_id: BILL_ID, user_id, pay_amount: String(share - paidBy(user_id)) }))
+                .filter(share => Number(share.pay_amount) > 0));
+        db.on(/FROM bill_payers py\s+JOIN bills b/, () => payers.map(p =>
+            ({ bill_id: BILL_ID, user_id: p.user_id, paid_amount: String(Number(p.paid_amount) - paidBy(p.user_id, "fronted")) })));
+    });
+
+    afterEach(() => {
+        restoreDb();
+    });
+
+    it("scales what the payer fronted to a new amount so balances follow it", async () => {
+        const result = await updateBill(BILL_ID, ALICE, { amount: 900 });
+
+        assert.equal(result.error, undefined);
+        assert.deepEqual(participants, { [ALICE]: 300, [BOB]: 300, [CAROL]: 300 });
+        assert.deepEqual(payers, [{ user_id: ALICE, paid_amount: "900" }]);
+        assert.equal(bill.total_pay_amount, "900");
+
+        const { balances } = await getGroupBalances(GROUP_ID);
+        assert.deepEqual(balances.map(b => [b.user_id, b.balance]), [[ALICE, 600], [BOB, -300], [CAROL, -300]]);
+    });
+
+    it("keeps several payers in proportion", async () => {
+        payers = [{ user_id: ALICE, paid_amount: "400.00" }, { user_id: BOB, paid_amount: "200.00" }];
+
+        await updateBill(BILL_ID, ALICE, { amount: 900 });
+
+        assert.deepEqual(payers, [{ user_id: ALICE, paid_amount: "600" }, { user_id: BOB, paid_amount: "300" }]);
+    });
+
+    it("replaces the payers when new ones are given", async () => {
+        await updateBill(BILL_ID, ALICE, { amount: 900, payers: [{ userId: BOB }] });
+
+        const { balances } = await getGroupBalances(GROUP_ID);
+        assert.deepEqual(balances.map(b => [b.user_id, b.balance]), [[BOB, 600], [ALICE, -300], [CAROL, -300]]);
+        assert.deepEqual([paidBy(ALICE, "fronted"), paidBy(BOB, "fronted")], [0, 300]);
+    });
+
+    it("keeps each payer's own share covered by what they fronted", async () => {
+        payers = [{ user_id: ALICE, paid_amount: "400.00" }, { user_id: BOB, paid_amount: "200.00" }];
+        payments.push({ user_id: BOB, amount: 200, method: "fronted" });
+
+        await updateBill(BILL_ID, ALICE, { amount: 300 });
+
+        // Alice now fronted 200 and Bob 100 toward shares of 100 each
+        assert.deepEqual([paidBy(ALICE, "fronted"), paidBy(BOB, "fronted")], [100, 100]);
+
+        const { balances } = await getGroupBalances(GROUP_ID);
+        assert.deepEqual(balances.map(b => [b.user_id, b.balance]), [[ALICE, 100], [CAROL, -100]]);
+    });
+
+    it("rejects payers that do not add up to the new amount", async () => {
+        const result = await updateBill(BILL_ID, ALICE, { amount: 900, payers: [{ userId: ALICE, amount: 600 }] });
+
+        assert.equal(result.status, 400);
+        assert.match(result.error, /^Payer amounts add up to 600/);
+        assert.equal(db.ran(/^ROLLBACK$/).length, 1);
+    });
+
+    it("replaces the items and percentages of an itemized bill", async () => {
+        Object.assign(bill, { pay_type: "itemized", service_charge_percent: "10.00", vat_percent: "7.00" });
+        items = [{ name: "Old item", price: 600 }];
+
+        await updateBill(BILL_ID, ALICE, {
+            items: [{ name: "Pizza", price: 500, memberIds: [ALICE, BOB] }],
+            vatPercent: 0
+        });
+
+        assert.deepEqual(items, [{ name: "Pizza", price: 500 }]);
+        assert.equal(bill.service_charge_percent, "10");
+        assert.equal(bill.vat_percent, "0");
+        assert.equal(bill.total_pay_amount, "550");
+        assert.deepEqual(payers, [{ user_id: ALICE, paid_amount: "550" }]);
+    });
+
+    it("drops the items when a bill stops being itemized", async () => {
+        Object.assign(bill, { pay_type: "itemized", service_charge_percent: "10.00" });
+        items = [{ name: "Pizza", price: 500 }];
+
+        await updateBill(BILL_ID, ALICE, { payType: "equal", amount: 300 });
+
+        assert.deepEqual(items, []);
+        assert.equal(bill.service_charge_percent, "0");
+    });
+});
@@ -0,0 +1,183 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeDb, installFakeDb } from "./fakes/db.js";
+import { installFakeLine } from "./fakes/line.js";
+import { client } from "../lib/line.js";
+import { handlePaidCommand, handleCashReview } from "../lib/cashPayments.js";
+
+const GROUP_ID = "Cgroup";
+const ALICE = "Ualice";
+const BOB = "Ubob";
+
+const message = userId => ({ replyToken: "reply-token", source: { type: "group", groupId: GROUP_ID, userId } });
+
+const share = (billId, amountDue, createdBy = ALICE) => ({
+    bill_id: billId,
+    user_id: BOB,
+    group_id: GROUP_ID,
+    bill_title: `Bill ${billId}`,
+    created_by: createdBy,
+    amount_due: amountDue
+});
+
+describe("/paid", () => {
+    let db, line, restoreDb, shares, pendingClaim, due;
+
+    beforeEach(() => {
+        shares = [];
+        pendingClaim = false;
+        due = 0;
+        db = createFakeDb()
+            .on(/FROM bill_participants bp\s+JOIN bills b[\s\S]*ORDER BY b.created_at DESC/, () => shares)
+            .on(/INSERT INTO cash_claims/, ([billId, userId, amount]) =>
+                pendingClaim ? [] : [{ claim_id: 42, bill_id: billId, user_id: userId, amount: String(amount) }])
+            .on(/FOR UPDATE OF bp/, () => [{ amount_due: String(due) }])
+            .on(/FROM users/, () => [{ user_id: ALICE, display_name: "Alice" }, { user_id: BOB, display_name: "Bob" }]);
+        restoreDb = installFakeDb(db);
+        line = installFakeLine();
+    });
+
+    afterEach(() => {
+        restoreDb();
+        line.restore();
+    });
+
+    it("explains the usage when the bill ID is not a number", async () => {
+        await handlePaidCommand(message(BOB), client, "lunch");
+
+        assert.deepEqual(line.repliedTexts(), ["Usage: /paid [bill ID]"]);
+        assert.equal(db.queries.length, 0);
+    });
+
+    it("has nothing to claim when every bill is paid", async () => {
+        shares = [share(7, "0.00")];
+        await handlePaidCommand(message(BOB), client, "");
+
+        assert.deepEqual(line.repliedTexts(), ["You have no unpaid bills 🎉"]);
+        assert.equal(db.ran(/INSERT INTO cash_claims/).length, 0);
+    });
+
+    it("asks which bill when several are unpaid", async () => {
+        shares = [share(7, "100.00"), share(8, "50.00")];
+        await handlePaidCommand(message(BOB), client, "");
+
+        const [reply] = line.replies[0].messages;
+        assert.equal(reply.text, "Which bill did you pay in cash?");
+        assert.deepEqual(reply.quickReply.items.map(i => i.action.data), [
+            "action=claim-cash&billId=7",
+            "action=claim-cash&billId=8"
+        ]);
+    });
+
+    it("asks the bill creator to confirm a claim for what is still due", async () => {
+        shares = [share(7, "100.00"), share(8, "50.00")];
+        await handlePaidCommand(message(BOB), client, "8");
+
+        assert.deepEqual(db.ran(/INSERT INTO cash_claims/)[0].params, [8, BOB, "50.00"]);
+        assert.equal(db.ran(/INSERT INTO payments/).length, 0);
+
+        const [flex] = line.replies[0].messages;
+        assert.equal(flex.type, "bubble");
+        assert.ok(JSON.stringify(flex).includes("action=review-cash&claimId=42&decision=approve"));
+    });
+
+    it("does not file a second claim while one is waiting", async () => {
+        shares = [share(7, "100.00")];
+        pendingClaim = true;
+        await handlePaidCommand(message(BOB), client, "");
+
+        assert.deepEqual(line.repliedTexts(), ["Your cash payment for Bill 7 is already waiting for confirmation."]);
+    });
+
+    it("records the creator's own cash payment without asking anyone", async () => {
+        shares = [share(7, "100.00", BOB)];
+        due = 100;
+        await handlePaidCommand(message(BOB), client, "");
+
+        assert.deepEqual(db.ran(/INSERT INTO payments/)[0].params, [7, BOB, 100, "cash", null, BOB]);
+        assert.equal(db.ran(/UPDATE bill_participants SET pay_at/).length, 1);
+        assert.deepEqual(line.repliedTexts(), ["✅ Cash payment recorded: 100.00 for Bill 7"]);
+    });
+});
+
+describe("cash claim review", () => {
+    let db, line, restoreDb, claim, due;
+
+    const review = (userId, decision) =>
+        handleCashReview(message(userId), client, new URLSearchParams({ claimId: "42", decision }));
+
+    beforeEach(() => {
+        claim = {
+            claim_id: 42, bill_id: 7, user_id: BOB, amount: "100.00", status: "pending",
+            bill_title: "Dinner", created_by: ALICE, display_name: "Bob"
+        };
+        due = 100;
+        db = createFakeDb()
+            .on(/FROM cash_claims c/, () => [claim])
+            .on(/FOR UPDATE OF bp/, () => [{ amount_due: String(due) }]);
+        restoreDb = installFakeDb(db);
+        line = installFakeLine();
+    });
+
+    afterEach(() => {
+        restoreDb();
+        line.restore();
+    });
+
+    it("records the payment and settles the share when the creator confirms", async () => {
+        await review(ALICE, "approve");
+
+        assert.deepEqual(db.ran(/INSERT INTO payments/)[0].params, [7, BOB, 100, "cash", null, ALICE]);
+        assert.equal(db.ran(/UPDATE bill_participants SET pay_at/).length, 1);
+        assert.deepEqual(db.ran(/UPDATE cash_claims/)[0].params, [42, "approved", ALICE]);
+        assert.deepEqual(line.repliedTexts(), ["✅ Cash payment confirmed: Bob paid 100.00 for Dinner"]);
+    });
+
+    it("only records what is still due if a slip arrived meanwhile", async () => {
+        due = 40;
+        await review(ALICE, "approve");
+
+        assert.equal(db.ran(/INSERT INTO payments/)[0].params[2], 40);
+        assert.deepEqual(line.repliedTexts(), ["✅ Cash payment confirmed: Bob paid 40.00 for Dinner"]);
+    });
+
+    it("leaves the share open after a partial cash payment", async () => {
+        due = 150;
+        await review(ALICE, "approve");
+
+        assert.equal(db.ran(/UPDATE bill_participants SET pay_at/).length, 0);
+        assert.deepEqual(line.repliedTexts(), ["✅ Cash payment confirmed: Bob paid 100.00 for Dinner (50.00 still due)"]);
+    });
+
+    it("voids the claim when nothing is left to pay", async () => {
+        due = 0;
+        await review(ALICE, "approve");
+
+        assert.equal(db.ran(/INSERT INTO payments/).length, 0);
+        assert.deepEqual(db.ran(/UPDATE cash_claims/)[0].params, [42, "void", ALICE]);
+        assert.deepEqual(line.repliedTexts(), ["Bob has nothing left to pay on Dinner."]);
+    });
+
+    it("leaves the bill unpaid when the creator rejects", async () => {
+        await review(ALICE, "reject");
+
+        assert.equal(db.ran(/INSERT INTO payments/).length, 0);
+        assert.deepEqual(db.ran(/UPDATE cash_claims/)[0].params, [42, "rejected", ALICE]);
+    });
+
+    it("only lets the bill creator review", async () => {
+        await review(BOB, "approve");
+
+        assert.equal(db.ran(/INSERT INTO payments/).length, 0);
+        assert.equal(db.ran(/UPDATE cash_claims/).length, 0);
+        assert.deepEqual(line.repliedTexts(), ["Only the bill creator can confirm cash payments."]);
+    });
+
+    it("does not review a claim twice", async () => {
+        claim.status = "approved";
+        await review(ALICE, "approve");
+
+        assert.equal(db.ran(/INSERT INTO payments/).length, 0);
+        assert.deepEqual(line.repliedTexts(), ["This cash payment has already been reviewed."]);
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { COMMANDS, parseCommand, helpText, mentionedUserIds } from "../lib/commands.js";
+
+describe("parseCommand", () => {
+    it("splits the command from its arguments", () => {
+        assert.deepEqual(parseCommand("/status 12"), { name: "status", word: "/status", args: "12" });
+        assert.deepEqual(parseCommand("/account add bank 1234567890  My bank"),
+            { name: "account", word: "/account", args: "add bank 1234567890  My bank" });
+    });
+
+    it("tolerates case and surrounding whitespace", () => {
+        assert.deepEqual(parseCommand("  /STATUS   12 \n"), { name: "status", word: "/STATUS", args: "12" });
+        assert.equal(parseCommand("/Member-List").name, "member-list");
+    });
+
+    it("resolves aliases", () => {
+        assert.equal(parseCommand("/members").name, "member-list");
+        assert.equal(parseCommand("/new").name, "create-bill");
+    });
+
+    it("accepts Thai keywords with or without a slash for read-only commands", () => {
+        assert.deepEqual(parseCommand("สถานะ"), { name: "status", word: "สถานะ", args: "" });
+        assert.equal(parseCommand("/สถานะ").name, "status");
+        assert.equal(parseCommand("ยอดค้าง").name, "balance");
+        assert.deepEqual(parseCommand("สถานะ 12"), { name: "status", word: "สถานะ", args: "12" });
+        assert.deepEqual(parseCommand("ประวัติ 2"), { name: "history", word: "ประวัติ", args: "2" });
+    });
+
+    it("needs a slash before Thai keywords that change something", () => {
+        assert.equal(parseCommand("จ่ายแล้ว"), null);
+        assert.equal(parseCommand("ทวง"), null);
+        assert.equal(parseCommand("เตือน"), null);
+        assert.equal(parseCommand("บิล 90 ชานม ทุกคน"), null);
+        assert.equal(parseCommand("/จ่ายแล้ว").name, "paid");
+        assert.deepEqual(parseCommand("/บิล 7"), { name: "bill", word: "/บิล", args: "7" });
+    });
+
+    it("leaves ordinary chat alone", () => {
+        assert.equal(parseCommand("status looks fine"), null);
+        assert.equal(parseCommand("สถานะเป็นไงบ้าง"), null);
+        assert.equal(parseCommand("สมาชิก ใหม่มาแล้ว"), null);
+        assert.equal(parseCommand("สถานะ ยังไม่จ่ายเลย"), null);
+        assert.equal(parseCommand("ประวัติ ศาสตร์"), null);
+        assert.equal(parseCommand("ยอดค้าง 500 นะ"), null);
+        assert.equal(parseCommand("/"), null);
+        assert.equal(parseCommand(""), null);
+    });
+
+    it("flags unknown slash commands", () => {
+        assert.deepEqual(parseCommand("/pay 100"), { name: null, word: "/pay", args: "100" });
+    });
+});
+
+describe("helpText", () => {
+    it("lists every command with its Thai keywords", () => {
+        const text = helpText();
+
+        for (const command of COMMANDS) {
+            assert.ok(text.includes(command.usage), command.usage);
+        }
+        assert.match(text, /^\/status \[bill ID\] - Show open bills, or one bill \(สถานะ\)$/m);
+        assert.match(text, /^\/paid \[bill ID\] - Tell the payer you paid in cash \(\/จ่ายแล้ว\)$/m);
+    });
+});
+
+describe("mentionedUserIds", () => {
+    it("returns each mentioned user once, without the bot", () => {
+        const message = {
+            text: "/remind @Bob @Bob @bot @All",
+            mention: {
+                mentionees: [
+                    { index: 8, length: 4, type: "user", userId: "Ubob" },
+                    { index: 13, length: 4, type: "user", userId: "Ubob" },
+                    { index: 18, length: 4, type: "user", userId: "Ubot", isSelf: true },
+                    { index: 23, length: 4, type: "all" }
+                ]
+            }
+        };
+
+        assert.deepEqual(mentionedUserIds(message), ["Ubob"]);
+        assert.deepEqual(mentionedUserIds({ text: "/remind" }), []);
+    });
+});
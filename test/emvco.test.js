@@ -0,0 +1,99 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseTLV, formatTLV, crc16, bankNameFromCode, parseSlipQR, buildPromptPayPayload } from "../lib/emvco.js";
+
+// A slip verification QR as printed by a Thai banking app, with a correct checksum
+function slipPayload({ bank = "004", ref = "015342143536ATF05678" } = {}) {
+    const body = formatTLV("00", formatTLV("00", "000001") + formatTLV("01", bank) + formatTLV("02", ref)) +
+        formatTLV("51", "TH") + "9104";
+    return body + crc16(body);
+}
+
+describe("TLV", () => {
+    it("reads fields in order", () => {
+        assert.deepEqual(parseTLV("000201" + "0103abc"), [
+            { tag: "00", length: 2, value: "01" },
+            { tag: "01", length: 3, value: "abc" }
+        ]);
+    });
+
+    it("round-trips what formatTLV writes", () => {
+        const data = formatTLV("29", formatTLV("00", "A000000677010111")) + formatTLV("58", "TH");
+        assert.deepEqual(parseTLV(data).map(f => [f.tag, f.value]), [["29", "0016A000000677010111"], ["58", "TH"]]);
+    });
+
+    it("rejects malformed input", () => {
+        assert.throws(() => parseTLV("000"), /Truncated TLV header/);
+        assert.throws(() => parseTLV("0A02xx"), /Invalid TLV header/);
+        assert.throws(() => parseTLV("0005abc"), /truncated/);
+        assert.throws(() => formatTLV("00", "x".repeat(100)), /exceeds 99 characters/);
+    });
+});
+
+describe("crc16", () => {
+    it("is CRC-16/CCITT-FALSE", () => {
+        assert.equal(crc16("123456789"), "29B1");
+        assert.equal(crc16(""), "FFFF");
+    });
+});
+
+describe("parseSlipQR", () => {
+    it("decodes the bank and transaction reference", () => {
+        assert.deepEqual(parseSlipQR(slipPayload()), {
+            api_id: "000001",
+            sending_bank_code: "004",
+            sending_bank_name: "ธนาคารกสิกรไทย",
+            transaction_ref: "015342143536ATF05678",
+            country_code: "TH",
+            crc_valid: true
+        });
+    });
+
+    it("flags a payload whose checksum does not match", () => {
+        const payload = slipPayload();
+        const tampered = payload.replace("ATF05678", "ATF05679");
+
+        assert.equal(parseSlipQR(tampered).crc_valid, false);
+        assert.equal(parseSlipQR(payload.slice(0, -4) + "0000").crc_valid, false);
+    });
+
+    it("ignores QR codes that are not slips", () => {
+        assert.equal(parseSlipQR(buildPromptPayPayload("0812345678", 100)), null);
+        assert.equal(parseSlipQR("https://example.com/receipt/123"), null);
+        assert.equal(parseSlipQR(""), null);
+        assert.equal(parseSlipQR(null), null);
+    });
+
+    it("leaves the bank name empty for an unknown bank code", () => {
+        assert.equal(parseSlipQR(slipPayload({ bank: "999" })).sending_bank_name, null);
+        assert.equal(bankNameFromCode("014"), "ธนาคารไทยพาณิชย์");
+    });
+});
+
+describe("buildPromptPayPayload", () => {
+    it("encodes a phone number with a fixed amount", () => {
+        const payload = buildPromptPayPayload("081-234-5678", 120.5);
+        const fields = Object.fromEntries(parseTLV(payload).map(f => [f.tag, f.value]));
+
+        assert.equal(fields["01"], "12");
+        assert.equal(fields["29"], formatTLV("00", "A000000677010111") + formatTLV("01", "0066812345678"));
+        assert.equal(fields["53"], "764");
+        assert.equal(fields["54"], "120.50");
+        assert.equal(fields["63"], crc16(payload.slice(0, -4)));
+    });
+
+    it("encodes national IDs and e-wallets, open amount when none is given", () => {
+        const national = Object.fromEntries(parseTLV(buildPromptPayPayload("1234567890123")).map(f => [f.tag, f.value]));
+        assert.equal(national["01"], "11");
+        assert.ok(national["29"].endsWith(formatTLV("02", "1234567890123")));
+        assert.equal(national["54"], undefined);
+
+        assert.ok(buildPromptPayPayload("123456789012345").includes(formatTLV("03", "123456789012345")));
+    });
+
+    it("refuses IDs and amounts it cannot encode", () => {
+        assert.throws(() => buildPromptPayPayload("12345"), /Invalid PromptPay ID/);
+        assert.throws(() => buildPromptPayPayload("0812345678", 0), /positive number/);
+        assert.throws(() => buildPromptPayPayload("0812345678", "abc"), /positive number/);
+    });
+});
@@ -0,0 +1,59 @@
+// In-memory stand-in for the pg pool in lib/db.js.
+//
+// Queries are answered by handlers registered with `on(pattern, handler)`, matched in
+// registration order against the SQL text. A handler returns rows (or a full
+// { rows, rowCount } result) or throws. Unmatched queries return no rows.
+// Every query, including BEGIN/COMMIT/ROLLBACK, is recorded in `queries`.
+
+import pool from "../../lib/db.js";
+
+export function createFakeDb() {
+    const handlers = [];
+    const queries = [];
+
+    async function query(text, params = []) {
+        const sql = typeof text === "string" ? text : text.text;
+        queries.push({ sql, params });
+
+        const match = handlers.find(h => h.pattern.test(sql));
+        if (!match) return { rows: [], rowCount: 0 };
+
+        const result = await match.handler(params, sql);
+        if (Array.isArray(result)) return { rows: result, rowCount: result.length };
+        return result ?? { rows: [], rowCount: 0 };
+    }
+
+    return {
+        queries,
+
+        on(pattern, handler) {
+            handlers.push({ pattern, handler });
+            return this;
+        },
+
+        query,
+
+        async connect() {
+            return { query, release() {} };
+        },
+
+        // SQL of every query that matched `pattern`
+        ran(pattern) {
+            return queries.filter(q => pattern.test(q.sql));
+        }
+    };
+}
+
+/**
+ * Route the shared pool's queries to a fake database until `restore` is called
+ * @param {ReturnType<typeof createFakeDb>} fakeDb
+ * @returns {Function} restore
+ */
+export function installFakeDb(fakeDb) {
+    const original = { query: pool.query, connect: pool.connect };
+
+    pool.query = fakeDb.query;
+    pool.connect = fakeDb.connect;
+
+    return () => Object.assign(pool, original);
+}
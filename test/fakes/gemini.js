@@ -0,0 +1,20 @@
+// Stand-in for a Gemini GenerativeModel: answers generateContent with canned text.
+
+/**
+ * @param {string|Error} reply - Response text, or an error to throw
+ * @returns {{generateContent: Function, requests: Array<Array<*>>}}
+ */
+export function createFakeGeminiModel(reply) {
+    const requests = [];
+
+    return {
+        requests,
+
+        async generateContent(request) {
+            requests.push(request);
+            if (reply instanceof Error) throw reply;
+
+            return { response: { text: () => reply } };
+        }
+    };
+}
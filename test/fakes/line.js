@@ -0,0 +1,69 @@
+// Stand-in for the LINE Messaging API clients in lib/line.js.
+// Outgoing messages are recorded instead of sent; profile lookups answer from `profiles`.
+
+import { Readable } from "stream";
+import { client, blobClient } from "../../lib/line.js";
+
+const CLIENT_METHODS = ["replyMessage", "pushMessage", "getGroupSummary", "getGroupMemberProfile", "getGroupMembersIds"];
+
+/**
+ * Replace the shared LINE clients' API calls until `restore` is called
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.profiles] - Display name per user ID; others are "not in group"
+ * @param {Array<string>|null} [options.memberIds] - Group member list, or null to answer 403
+ * @param {Object<string, Buffer>} [options.content] - Message content per message ID
+ */
+export function installFakeLine({ profiles = {}, memberIds = null, content = {} } = {}) {
+    const original = {
+        ...Object.fromEntries(CLIENT_METHODS.map(name => [name, client[name]])),
+        getMessageContent: blobClient.getMessageContent
+    };
+
+    const line = {
+        replies: [],
+        pushes: [],
+
+        // Text of every message replied so far
+        repliedTexts() {
+            return line.replies.flatMap(r => r.messages).map(m => m.text ?? m.altText);
+        },
+
+        restore() {
+            for (const name of CLIENT_METHODS) client[name] = original[name];
+            blobClient.getMessageContent = original.getMessageContent;
+        }
+    };
+
+    client.replyMessage = async request => {
+        line.replies.push(request);
+        return {};
+    };
+
+    client.pushMessage = async request => {
+        line.pushes.push(request);
+        return {};
+    };
+
+    client.getGroupSummary = async groupId => ({ groupId, groupName: "Test Group" });
+
+    client.getGroupMemberProfile = async (groupId, userId) => {
+        if (!(userId in profiles)) throw httpError(404);
+        return { userId, displayName: profiles[userId] };
+    };
+
+    client.getGroupMembersIds = async () => {
+        if (!memberIds) throw httpError(403);
+        return { memberIds };
+    };
+
+    blobClient.getMessageContent = async messageId => {
+        if (!content[messageId]) throw httpError(404);
+        return Readable.from([content[messageId]]);
+    };
+
+    return line;
+}
+
+function httpError(status) {
+    return Object.assign(new Error(`Request failed with status ${status}`), { status });
+}
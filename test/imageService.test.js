@@ -0,0 +1,196 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeDb, installFakeDb } from "./fakes/db.js";
+import { installFakeLine } from "./fakes/line.js";
+import { client } from "../lib/line.js";
+import { matchSlipToBills, isAmountAcceptable, allocateSlipPayment } from "../lib/billMatcher.js";
+import { listUnpaidShares } from "../lib/repositories/participants.js";
+import { handleSlipSelection, handleSlipReview } from "../lib/imageService.js";
+
+const GROUP_ID = "Cgroup";
+const BOB = "Ubob";
+
+const bill = (billId, amountDue) => ({
+    bill_id: billId,
+    user_id: BOB,
+    group_id: GROUP_ID,
+    bill_title: `Bill ${billId}`,
+    created_at: new Date("2026-01-01T00:00:00Z"),
+    amount_due: amountDue
+});
+
+describe("matchSlipToBills", () => {
+    it("prefers a bill with the exact amount", () => {
+        const bills = [bill(1, "120.00"), bill(2, "80.00")];
+        assert.deepEqual(matchSlipToBills(80, bills), { bills: [bills[1]] });
+    });
+
+    it("finds a unique combination of bills adding up to the slip", () => {
+        const bills = [bill(1, "120.00"), bill(2, "80.00"), bill(3, "55.00")];
+        assert.deepEqual(matchSlipToBills(175, bills), { bills: [bills[0], bills[2]] });
+    });
+
+    it("accepts a single bill within tolerance", () => {
+        const bills = [bill(1, "100.00"), bill(2, "300.00")];
+        assert.deepEqual(matchSlipToBills(96, bills), { bills: [bills[0]] });
+    });
+
+    it("asks the member to choose when several bills fit", () => {
+        const bills = [bill(1, "50.00"), bill(2, "50.00")];
+        assert.deepEqual(matchSlipToBills(50, bills), { candidates: [[bills[0]], [bills[1]]] });
+    });
+
+    it("gives up when nothing is close", () => {
+        assert.equal(matchSlipToBills(10, [bill(1, "100.00")]), null);
+    });
+});
+
+describe("isAmountAcceptable", () => {
+    it("allows underpaying by up to 5% and any overpayment", () => {
+        assert.equal(isAmountAcceptable(95, 100), true);
+        assert.equal(isAmountAcceptable(94.99, 100), false);
+        assert.equal(isAmountAcceptable(250, 100), true);
+    });
+});
+
+describe("allocateSlipPayment", () => {
+    it("fills bills in order and keeps the rest as excess", () => {
+        const bills = [bill(1, "60.00"), bill(2, "40.00")];
+        const { allocations, excess } = allocateSlipPayment(110, bills);
+
+        assert.deepEqual(allocations.map(a => [a.amount, a.settled]), [[60, true], [40, true]]);
+        assert.equal(excess, 10);
+    });
+
+    it("settles the last bill when the shortfall is within tolerance", () => {
+        const { allocations } = allocateSlipPayment(97, [bill(1, "100.00")]);
+        assert.deepEqual(allocations.map(a => [a.amount, a.settled]), [[97, true]]);
+    });
+
+    it("leaves a bill open when paid well short", () => {
+        const { allocations } = allocateSlipPayment(50, [bill(1, "100.00")]);
+        assert.deepEqual(allocations.map(a => [a.amount, a.settled]), [[50, false]]);
+    });
+});
+
+describe("slip bill selection", () => {
+    let db, line, restoreDb;
+
+    const event = { type: "postback", replyToken: "reply-token", source: { type: "group", groupId: GROUP_ID, userId: BOB } };
+
+    function pendingSlip(amount, fields = {}) {
+        db.on(/FROM slips s\s+LEFT JOIN users u/, () => [{
+            slip_id: 9,
+            group_id: GROUP_ID,
+            user_id: BOB,
+            reference_id: "REF123",
+            image_hash: "hash",
+            amount,
+            bank_name: "KBank",
+            receiver: "Alice",
+            transaction_date: null,
+            transaction_time: null,
+            confidence: null,
+            status: "pending",
+            ...fields
+        }]);
+    }
+
+    beforeEach(() => {
+        db = createFakeDb();
+        restoreDb = installFakeDb(db);
+        line = installFakeLine();
+
+        db.on(/FROM bill_participants bp\s+JOIN bills b/, () => [bill(5, "100.00"), bill(6, "40.00")]);
+        db.on(/UPDATE slips SET status/, () => ({ rows: [], rowCount: 1 }));
+    });
+
+    afterEach(() => {
+        restoreDb();
+        line.restore();
+    });
+
+    const select = bills => handleSlipSelection(event, client, new URLSearchParams({ slipId: "9", bills }));
+
+    it("looks up unpaid shares on open bills for the member", async () => {
+        const shares = await listUnpaidShares(GROUP_ID, BOB);
+
+        assert.equal(shares.length, 2);
+        assert.deepEqual(db.queries[0].params, [GROUP_ID, BOB]);
+        assert.match(db.queries[0].sql, /b.status = 'open'/);
+    });
+
+    it("refuses a slip that belongs to someone else", async () => {
+        pendingSlip("100.00", { user_id: "Ualice" });
+        await select("5");
+
+        assert.match(line.repliedTexts()[0], /^This slip selection is no longer valid/);
+        assert.equal(db.ran(/INSERT INTO payments/).length, 0);
+    });
+
+    it("settles a bill paid within tolerance", async () => {
+        pendingSlip("98.00");
+        await select("5");
+
+        assert.deepEqual(db.ran(/UPDATE slips SET status/)[0].params, [9, "applied", ["pending", "review"]]);
+        assert.deepEqual(db.ran(/INSERT INTO payments/)[0].params, [5, BOB, 98, "slip", 9, null]);
+        assert.deepEqual(db.ran(/UPDATE bill_participants SET pay_at = NOW\(\)/)[0].params, [5, BOB]);
+        assert.deepEqual(line.repliedTexts(), ["Payment Confirmed!"]);
+    });
+
+    it("records a partial payment without settling the bill", async () => {
+        pendingSlip("50.00");
+        await select("5");
+
+        assert.equal(db.ran(/INSERT INTO payments/).length, 1);
+        assert.equal(db.ran(/UPDATE bill_participants SET pay_at/).length, 0);
+        assert.deepEqual(line.repliedTexts(), ["Partial Payment Recorded"]);
+    });
+
+    it("holds the slip for review when the receiver is not the payer's account", async () => {
+        pendingSlip("100.00", { receiver: "xxx-x-x9999-x Somchai" });
+        db.on(/FROM bill_payers py\s+JOIN payment_accounts pa/, () => [{
+            bill_id: 5, user_id: "Ualice", account_type: "bank", account_number: "1234567890", account_name: "Alice"
+        }]);
+
+        await select("5");
+
+        assert.deepEqual(db.ran(/UPDATE slips SET status/)[0].params, [9, "review", ["pending"]]);
+        assert.equal(db.ran(/INSERT INTO payments/).length, 0);
+        assert.deepEqual(line.repliedTexts(), ["Payment Needs Review"]);
+    });
+
+    it("turns away a slip for a bill that is already paid", async () => {
+        pendingSlip("100.00");
+        await select("7");
+
+        assert.match(line.repliedTexts()[0], /^One or more of those bills is already paid/);
+    });
+});
+
+describe("slip review", () => {
+    let db, line, restoreDb;
+
+    const event = { type: "postback", replyToken: "reply-token", source: { type: "group", groupId: GROUP_ID, userId: "Ualice" } };
+
+    beforeEach(() => {
+        db = createFakeDb();
+        restoreDb = installFakeDb(db);
+        line = installFakeLine();
+    });
+
+    afterEach(() => {
+        restoreDb();
+        line.restore();
+    });
+
+    it("only approves a slip when asked to approve", async () => {
+        for (const decision of ["", "approved", "yes"]) {
+            await handleSlipReview(event, client, new URLSearchParams({ slipId: "9", bills: "5", decision }));
+        }
+        await handleSlipReview(event, client, new URLSearchParams({ slipId: "9", bills: "5" }));
+
+        assert.equal(db.queries.length, 0);
+        assert.equal(line.replies.length, 0);
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createFakeDb, installFakeDb } from "./fakes/db.js";
+import { listMigrations, migrateUp, migrateDown, baselineMigrations } from "../lib/migrations.js";
+
+describe("listMigrations", () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), "migrations-"));
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const touch = (...files) => Promise.all(files.map(file => fs.writeFile(path.join(dir, file), "")));
+
+    it("pairs up and down files and sorts them by version", async () => {
+        await touch("010_ten.up.sql", "002_two.up.sql", "002_two.down.sql", "README.md");
+
+        assert.deepEqual(await listMigrations(dir), [
+            { version: "002", name: "two", up: path.join(dir, "002_two.up.sql"), down: path.join(dir, "002_two.down.sql") },
+            { version: "010", name: "ten", up: path.join(dir, "010_ten.up.sql"), down: null }
+        ]);
+    });
+
+    it("refuses a migration that can only be rolled back", async () => {
+        await touch("001_one.up.sql", "002_two.down.sql");
+
+        await assert.rejects(listMigrations(dir), /Migration 002 has no \.up\.sql file/);
+    });
+
+    it("finds every shipped migration with both directions", async () => {
+        const migrations = await listMigrations();
+
+        assert.equal(migrations[0].version, "001");
+        assert.ok(migrations.every(m => m.down));
+    });
+});
+
+describe("running migrations", () => {
+    let db, restoreDb, applied, shipped;
+
+    beforeEach(async () => {
+        shipped = await listMigrations();
+        applied = [];
+        db = createFakeDb()
+            .on(/SELECT version, applied_at FROM schema_migrations/, () =>
+                applied.map(version => ({ version, applied_at: new Date("2026-01-01T00:00:00Z") })));
+        restoreDb = installFakeDb(db);
+    });
+
+    afterEach(() => {
+        restoreDb();
+    });
+
+    const recorded = () => db.ran(/INSERT INTO schema_migrations/).map(q => q.params[0]);
+
+    it("applies every pending migration in order, each in its own transaction", async () => {
+        const done = await migrateUp();
+
+        assert.deepEqual(done, shipped.map(m => `${m.version}_${m.name}`));
+        assert.deepEqual(recorded(), shipped.map(m => m.version));
+        assert.equal(db.ran(/^BEGIN$/).length, shipped.length);
+        assert.equal(db.ran(/^COMMIT$/).length, shipped.length);
+        assert.match(db.queries[0].sql, /pg_advisory_lock/);
+        assert.match(db.queries.at(-1).sql, /pg_advisory_unlock/);
+    });
+
+    it("skips migrations that were already applied", async () => {
+        applied = shipped.slice(0, -1).map(m => m.version);
+
+        assert.deepEqual(await migrateUp(), [`${shipped.at(-1).version}_${shipped.at(-1).name}`]);
+        assert.deepEqual(recorded(), [shipped.at(-1).version]);
+    });
+
+    it("rolls back a failing migration and names its file", async () => {
+        db = createFakeDb()
+            .on(/CREATE TABLE IF NOT EXISTS schema_migrations/, () => [])
+            .on(/SELECT version, applied_at/, () => [])
+            .on(/CREATE TABLE/, () => {
+                throw new Error("permission denied");
+            });
+        restoreDb();
+        restoreDb = installFakeDb(db);
+
+        await assert.rejects(migrateUp(), new RegExp(`^Error: ${shipped[0].version}_${shipped[0].name}\\.up\\.sql: permission denied`));
+        assert.equal(db.ran(/^ROLLBACK$/).length, 1);
+        assert.equal(db.ran(/^COMMIT$/).length, 0);
+        assert.deepEqual(recorded(), []);
+        assert.match(db.queries.at(-1).sql, /pg_advisory_unlock/);
+    });
+
+    it("rolls back the most recent migrations", async () => {
+        applied = shipped.map(m => m.version);
+
+        const done = await migrateDown(1);
+
+        assert.deepEqual(done, [`${shipped.at(-1).version}_${shipped.at(-1).name}`]);
+        assert.deepEqual(db.ran(/DELETE FROM schema_migrations/).map(q => q.params[0]), [shipped.at(-1).version]);
+    });
+
+    it("records a baseline without running it", async () => {
+        const done = await baselineMigrations(shipped[0].version);
+
+        assert.deepEqual(done, [`${shipped[0].version}_${shipped[0].name}`]);
+        assert.deepEqual(recorded(), [shipped[0].version]);
+        assert.equal(db.ran(/^BEGIN$/).length, 0);
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeDb, installFakeDb } from "./fakes/db.js";
+import { signQRRequest, verifyQRRequest, promptPayQRUrl } from "../lib/promptPayQr.js";
+import promptPayQrHandler from "../api/promptpay-qr.js";
+
+async function call(query) {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+
+    await promptPayQrHandler({ method: "GET", query }, res);
+    return res;
+}
+
+describe("PromptPay QR URLs", () => {
+    let db, restoreDb, originalSecret;
+
+    beforeEach(() => {
+        db = createFakeDb();
+        restoreDb = installFakeDb(db);
+        originalSecret = process.env.CHANNEL_SECRET;
+        process.env.CHANNEL_SECRET = "channel-secret";
+    });
+
+    afterEach(() => {
+        restoreDb();
+        if (originalSecret === undefined) delete process.env.CHANNEL_SECRET;
+        else process.env.CHANNEL_SECRET = originalSecret;
+    });
+
+    it("signs each bill and member separately", () => {
+        const sig = signQRRequest(7, "Ubob");
+
+        assert.ok(verifyQRRequest(7, "Ubob", sig));
+        assert.ok(!verifyQRRequest(7, "Ucarol", sig));
+        assert.ok(!verifyQRRequest(8, "Ubob", sig));
+        assert.ok(!verifyQRRequest(7, "Ubob", undefined));
+        assert.match(promptPayQRUrl("https://khunpai.test", 7, "Ubob", 120.5), new RegExp(`amount=120\\.50&sig=${sig}$`));
+    });
+
+    it("will not sign without a channel secret", () => {
+        delete process.env.CHANNEL_SECRET;
+
+        assert.throws(() => signQRRequest(7, "Ubob"), /CHANNEL_SECRET is not set/);
+        assert.throws(() => verifyQRRequest(7, "Ubob", "0".repeat(32)), /CHANNEL_SECRET is not set/);
+    });
+
+    it("refuses to serve QR codes without a channel secret", async () => {
+        delete process.env.CHANNEL_SECRET;
+        const res = await call({ billId: "7", userId: "Ubob", sig: "0".repeat(32) });
+
+        assert.equal(res.statusCode, 500);
+        assert.equal(db.queries.length, 0);
+    });
+
+    it("rejects a forged signature", async () => {
+        const res = await call({ billId: "7", userId: "Ubob", sig: signQRRequest(7, "Ucarol") });
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(db.queries.length, 0);
+    });
+});
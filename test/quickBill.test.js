@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseQuickBill } from "../lib/quickBill.js";
+
+// Build a text message with LINE-style mentions for each "@Name" in the text
+function message(text, userIds = {}) {
+    const mentionees = [...text.matchAll(/@(\S+)/g)].map(match => ({
+        index: match.index,
+        length: match[0].length,
+        ...(match[1] === "All"
+            ? { type: "all" }
+            : { type: "user", userId: userIds[match[1]] })
+    }));
+
+    return { type: "text", text, ...(mentionees.length > 0 ? { mention: { mentionees } } : {}) };
+}
+
+describe("parseQuickBill", () => {
+    it("splits between the members mentioned", () => {
+        assert.deepEqual(parseQuickBill(message("/bill 600 Dinner @Ann @Ben", { Ann: "Uann", Ben: "Uben" })), {
+            amount: 600, title: "Dinner", everyone: false, memberIds: ["Uann", "Uben"]
+        });
+    });
+
+    it("keeps words between mentions in the title", () => {
+        const parsed = parseQuickBill(message("/bill 1,250.50 Mookata @Ann at Siam", { Ann: "Uann" }));
+
+        assert.equal(parsed.amount, 1250.5);
+        assert.equal(parsed.title, "Mookata at Siam");
+    });
+
+    it("splits with everyone for 'all', 'ทุกคน' or @All", () => {
+        assert.deepEqual(parseQuickBill(message("/bill 600 Dinner all")),
+            { amount: 600, title: "Dinner", everyone: true, memberIds: [] });
+        assert.equal(parseQuickBill(message("/บิล 90฿ ชานม ทุกคน")).everyone, true);
+        assert.equal(parseQuickBill(message("/bill 300บาท Taxi @All")).title, "Taxi");
+    });
+
+    it("needs an amount, a title and someone to split with", () => {
+        assert.match(parseQuickBill(message("/bill Dinner 600 all")).error, /^Start with the amount/);
+        assert.match(parseQuickBill(message("/bill 0 Dinner all")).error, /^Start with the amount/);
+        assert.match(parseQuickBill(message("/bill 600 @Ann", { Ann: "Uann" })).error, /^Give the bill a title/);
+        assert.match(parseQuickBill(message("/bill 600 Dinner")).error, /^Mention who shared the bill/);
+    });
+
+    it("says so when LINE didn't tell us who was mentioned", () => {
+        assert.match(parseQuickBill(message("/bill 600 Dinner @Ann")).error, /^I couldn't tell who you mentioned/);
+    });
+});
@@ -0,0 +1,195 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeDb, installFakeDb } from "./fakes/db.js";
+import { installFakeLine } from "./fakes/line.js";
+import { createFakeGeminiModel } from "./fakes/gemini.js";
+import { client } from "../lib/line.js";
+import { parseReceiptImage, normalizeReceipt, receiptTotalMatches } from "../lib/receiptParser.js";
+import { createGeminiReceiptProvider, geminiReceiptProvider } from "../lib/receiptProviders/gemini.js";
+import { handleReceiptImage } from "../lib/receipts.js";
+import { routeImage } from "../lib/imageService.js";
+import { buildPromptPayPayload, formatTLV, crc16 } from "../lib/emvco.js";
+
+const JPEG = Buffer.from("ffd8ffe000104a464946", "hex");
+const GROUP_ID = "Cgroup";
+
+const RECEIPT = {
+    document_type: "receipt",
+    merchant: "ร้านส้มตำ",
+    items: [
+        { name: "ส้มตำไทย", quantity: 1, amount: 60 },
+        { name: "ไก่ย่าง", quantity: 2, amount: "180.00" },
+        { name: "Beer", quantity: 3, amount: 240 }
+    ],
+    subtotal: 480,
+    service_charge: 48,
+    vat: 36.96,
+    discount: null,
+    total: 564.96
+};
+
+describe("normalizeReceipt", () => {
+    it("turns charges into the percentages the bill form uses", () => {
+        const receipt = normalizeReceipt(RECEIPT);
+
+        assert.equal(receipt.type, "receipt");
+        assert.deepEqual(receipt.items, [
+            { name: "ส้มตำไทย", price: 60 },
+            { name: "ไก่ย่าง x2", price: 180 },
+            { name: "Beer x3", price: 240 }
+        ]);
+        assert.equal(receipt.serviceChargePercent, 10);
+        assert.equal(receipt.vatPercent, 7);
+        assert.equal(receipt.total, 564.96);
+        assert.ok(receiptTotalMatches(receipt));
+    });
+
+    it("spreads a discount over the items", () => {
+        const receipt = normalizeReceipt({
+            document_type: "receipt",
+            items: [{ name: "A", amount: 300 }, { name: "B", amount: 100 }],
+            discount: 40
+        });
+
+        assert.deepEqual(receipt.items.map(i => i.price), [270, 90]);
+        assert.equal(receipt.total, 360);
+    });
+
+    it("drops lines it cannot use", () => {
+        const receipt = normalizeReceipt({
+            document_type: "receipt",
+            items: [{ name: "", amount: 10 }, { name: "Free water", amount: 0 }, { name: "Tea", amount: "35 บาท" }, null]
+        });
+
+        assert.deepEqual(receipt.items, [{ name: "Tea", price: 35 }]);
+        assert.equal(receipt.serviceChargePercent, 0);
+    });
+
+    it("notices when the items don't add up to the printed total", () => {
+        const receipt = normalizeReceipt({ ...RECEIPT, total: 700 });
+        assert.equal(receiptTotalMatches(receipt), false);
+    });
+
+    it("treats anything unexpected as not a receipt", () => {
+        assert.equal(normalizeReceipt({ document_type: "menu" }).type, "other");
+        assert.equal(normalizeReceipt(null).total, null);
+    });
+});
+
+describe("parseReceiptImage", () => {
+    it("reads Gemini's fenced JSON", async () => {
+        const model = createFakeGeminiModel("```json\n" + JSON.stringify(RECEIPT) + "\n```");
+        const receipt = await parseReceiptImage(JPEG, { providers: [createGeminiReceiptProvider(model)] });
+
+        assert.equal(receipt.provider, "gemini");
+        assert.equal(receipt.merchant, "ร้านส้มตำ");
+        assert.equal(receipt.items.length, 3);
+        assert.equal(model.requests[0][1].inlineData.mimeType, "image/jpeg");
+    });
+
+    it("reports when the image could not be classified", async () => {
+        const model = createFakeGeminiModel(new Error("quota exceeded"));
+        const receipt = await parseReceiptImage(JPEG, { providers: [createGeminiReceiptProvider(model)] });
+
+        assert.equal(receipt.type, null);
+        assert.equal(receipt.error, "gemini: quota exceeded");
+    });
+
+    it("can be switched off", async () => {
+        const receipt = await parseReceiptImage(JPEG, { providers: [] });
+        assert.equal(receipt.type, null);
+    });
+});
+
+describe("receipt photos in a group", () => {
+    let db, line, restoreDb, originalParse, originalLiffId;
+
+    const event = { type: "message", replyToken: "reply-token", source: { type: "group", groupId: GROUP_ID, userId: "Ualice" } };
+
+    // Stand in for Gemini behind the configured provider
+    function geminiReplies(reply) {
+        geminiReceiptProvider.parse = createGeminiReceiptProvider(createFakeGeminiModel(reply)).parse;
+    }
+
+    beforeEach(() => {
+        db = createFakeDb();
+        restoreDb = installFakeDb(db);
+        line = installFakeLine();
+        originalParse = geminiReceiptProvider.parse;
+        originalLiffId = process.env.LIFF_ID;
+        process.env.LIFF_ID = "liff-123";
+    });
+
+    afterEach(() => {
+        restoreDb();
+        line.restore();
+        geminiReceiptProvider.parse = originalParse;
+        process.env.LIFF_ID = originalLiffId;
+    });
+
+    const send = () => handleReceiptImage({ event, client, buffer: JPEG, imageHash: "hash" });
+
+    it("stores the receipt and links to the pre-filled form", async () => {
+        geminiReplies(JSON.stringify(RECEIPT));
+        db.on(/INSERT INTO receipts/, () => [{ receipt_id: 31 }]);
+
+        await send();
+
+        const [insert] = db.ran(/INSERT INTO receipts/);
+        assert.deepEqual(insert.params.slice(0, 4), [GROUP_ID, "Ualice", "hash", "ร้านส้มตำ"]);
+        assert.equal(JSON.parse(insert.params[4]).length, 3);
+        assert.deepEqual(insert.params.slice(5), [10, 7, 564.96]);
+
+        const [message] = line.replies[0].messages;
+        assert.equal(message.altText, "Receipt from ร้านส้มตำ: 564.96 THB");
+        assert.equal(message.contents.footer.contents[0].action.uri, `line://app/liff-123?groupId=${GROUP_ID}&receiptId=31`);
+    });
+
+    it("reads a receipt that carries a QR code other than a slip's", async () => {
+        geminiReplies(JSON.stringify(RECEIPT));
+        db.on(/INSERT INTO receipts/, () => [{ receipt_id: 32 }]);
+
+        // Shops print a PromptPay QR on the receipt to be paid with
+        await routeImage({ event, client, buffer: JPEG, qrPayload: buildPromptPayPayload("0812345678", 564.96) });
+
+        assert.equal(db.ran(/INSERT INTO receipts/).length, 1);
+        assert.equal(db.ran(/slips/).length, 0);
+        assert.equal(line.replies[0].messages[0].altText, "Receipt from ร้านส้มตำ: 564.96 THB");
+    });
+
+    it("does not take a slip QR with a bad checksum as a slip", async () => {
+        geminiReplies(JSON.stringify({ document_type: "slip", items: [] }));
+
+        const body = formatTLV("00", formatTLV("00", "000001") + formatTLV("01", "004") + formatTLV("02", "REF123")) +
+            formatTLV("51", "TH") + "9104";
+        const damaged = body + (crc16(body) === "0000" ? "0001" : "0000");
+
+        await routeImage({ event, client, buffer: JPEG, qrPayload: damaged });
+
+        assert.equal(db.ran(/slips/).length, 0);
+        assert.match(line.repliedTexts()[0], /^No QR code detected/);
+    });
+
+    it("stays quiet about ordinary photos", async () => {
+        geminiReplies(JSON.stringify({ document_type: "other", items: [] }));
+        await send();
+
+        assert.equal(line.replies.length, 0);
+        assert.equal(db.queries.length, 0);
+    });
+
+    it("asks for a slip QR code when a slip can't be scanned", async () => {
+        geminiReplies(JSON.stringify({ document_type: "slip", items: [] }));
+        await send();
+
+        assert.match(line.repliedTexts()[0], /^No QR code detected/);
+    });
+
+    it("offers the manual form when no items could be read", async () => {
+        geminiReplies(JSON.stringify({ document_type: "receipt", items: [] }));
+        await send();
+
+        assert.match(line.repliedTexts()[0], /^I couldn't read any items/);
+        assert.equal(db.queries.length, 0);
+    });
+});
@@ -0,0 +1,190 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeDb, installFakeDb } from "./fakes/db.js";
+import { installFakeLine } from "./fakes/line.js";
+import { client } from "../lib/line.js";
+import { reminderIntervalHours, isQuietHour, runScheduledReminders } from "../lib/reminders.js";
+import remindersHandler from "../api/reminders.js";
+
+async function call(authorization) {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+
+    await remindersHandler({ method: "GET", headers: authorization ? { authorization } : {} }, res);
+    return res;
+}
+
+describe("GET /api/reminders", () => {
+    let db, line, restoreDb, originalSecret;
+
+    beforeEach(() => {
+        db = createFakeDb();
+        restoreDb = installFakeDb(db);
+        line = installFakeLine();
+        originalSecret = process.env.CRON_SECRET;
+    });
+
+    afterEach(() => {
+        restoreDb();
+        line.restore();
+        if (originalSecret === undefined) delete process.env.CRON_SECRET;
+        else process.env.CRON_SECRET = originalSecret;
+    });
+
+    it("refuses to run without a configured secret", async () => {
+        delete process.env.CRON_SECRET;
+        const res = await call("Bearer undefined");
+
+        assert.equal(res.statusCode, 500);
+        assert.equal(db.queries.length, 0);
+    });
+
+    it("rejects the wrong secret", async () => {
+        process.env.CRON_SECRET = "cron-secret";
+
+        assert.equal((await call("Bearer not-the-secret")).statusCode, 401);
+        assert.equal((await call()).statusCode, 401);
+        assert.equal(db.queries.length, 0);
+    });
+
+    it("sends reminders for Vercel Cron", async () => {
+        process.env.CRON_SECRET = "cron-secret";
+        const res = await call("Bearer cron-secret");
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.success, true);
+    });
+});
+
+describe("reminderIntervalHours", () => {
+    it("reminds more often as a bill ages", () => {
+        assert.equal(reminderIntervalHours(24, 0), 24);
+        assert.equal(reminderIntervalHours(24, 2.9), 24);
+        assert.equal(reminderIntervalHours(24, 3), 12);
+        assert.equal(reminderIntervalHours(24, 7), 6);
+        assert.equal(reminderIntervalHours(24, 30), 6);
+    });
+
+    it("never reminds more often than every four hours", () => {
+        assert.equal(reminderIntervalHours(8, 7), 4);
+        assert.equal(reminderIntervalHours(4, 10), 4);
+    });
+});
+
+describe("isQuietHour", () => {
+    // 23:30 and 09:00 in Bangkok
+    const lateNight = new Date("2024-01-12T16:30:00Z");
+    const morning = new Date("2024-01-12T02:00:00Z");
+
+    it("handles quiet hours that run past midnight", () => {
+        assert.ok(isQuietHour(lateNight, 22, 8, "Asia/Bangkok"));
+        assert.ok(isQuietHour(new Date("2024-01-12T00:59:00Z"), 22, 8, "Asia/Bangkok"));
+        assert.ok(!isQuietHour(morning, 22, 8, "Asia/Bangkok"));
+    });
+
+    it("handles quiet hours within one day", () => {
+        assert.ok(isQuietHour(morning, 9, 12, "Asia/Bangkok"));
+        assert.ok(!isQuietHour(lateNight, 9, 12, "Asia/Bangkok"));
+    });
+
+    it("reads the hour in the group's time zone", () => {
+        // 23:30 in Bangkok is 16:30 in London
+        assert.ok(!isQuietHour(lateNight, 22, 8, "Europe/London"));
+    });
+
+    it("is never quiet when start and end are the same", () => {
+        assert.ok(!isQuietHour(lateNight, 0, 0, "Asia/Bangkok"));
+    });
+});
+
+describe("runScheduledReminders", () => {
+    let db, line, restoreDb, bills, settings;
+
+    // 12 Jan 2024 15:00 in Bangkok
+    const now = new Date("2024-01-12T08:00:00Z");
+    const hoursAgo = hours => new Date(now - hours * 3600000).toISOString();
+
+    beforeEach(() => {
+        bills = [];
+        settings = {};
+        db = createFakeDb()
+            .on(/FROM bills b\s+JOIN groups/, () => bills)
+            .on(/FROM reminder_settings/, ([groupId]) => settings[groupId] ? [settings[groupId]] : [])
+            .on(/FROM bills b\s+JOIN bill_participants/, ([groupId, billIds]) => bills
+                .filter(b => b.group_id === groupId && billIds.includes(b.bill_id))
+                .map(b => ({ bill_id: b.bill_id, title: `Bill ${b.bill_id}`, user_id: "Ubob", display_name: "Bob", active: true, amount_due: "100.00" })));
+        restoreDb = installFakeDb(db);
+        line = installFakeLine();
+    });
+
+    afterEach(() => {
+        restoreDb();
+        line.restore();
+    });
+
+    const remindedBills = () => db.ran(/SET last_reminded_at/).flatMap(q => q.params[0]);
+
+    it("reminds about bills whose interval has passed", async () => {
+        bills = [
+            { bill_id: 1, group_id: "Cgroup", created_at: hoursAgo(25), last_reminded_at: null },
+            { bill_id: 2, group_id: "Cgroup", created_at: hoursAgo(30), last_reminded_at: hoursAgo(2) }
+        ];
+
+        assert.deepEqual(await runScheduledReminders(client, now), { groups: 1, bills: 1 });
+        assert.equal(line.pushes.length, 1);
+        assert.equal(line.pushes[0].to, "Cgroup");
+        assert.deepEqual(remindedBills(), [1]);
+    });
+
+    it("escalates reminders for older bills", async () => {
+        bills = [{ bill_id: 1, group_id: "Cgroup", created_at: hoursAgo(8 * 24), last_reminded_at: hoursAgo(7) }];
+
+        assert.deepEqual(await runScheduledReminders(client, now), { groups: 1, bills: 1 });
+    });
+
+    it("holds reminders during quiet hours and for groups that turned them off", async () => {
+        bills = [
+            { bill_id: 1, group_id: "Cquiet", created_at: hoursAgo(48), last_reminded_at: null },
+            { bill_id: 2, group_id: "Coff", created_at: hoursAgo(48), last_reminded_at: null }
+        ];
+        settings = {
+            Cquiet: { enabled: true, interval_hours: 24, quiet_start: 14, quiet_end: 16, timezone: "Asia/Bangkok" },
+            Coff: { enabled: false, interval_hours: 24, quiet_start: 22, quiet_end: 8, timezone: "Asia/Bangkok" }
+        };
+
+        assert.deepEqual(await runScheduledReminders(client, now), { groups: 0, bills: 0 });
+        assert.equal(line.pushes.length, 0);
+        assert.equal(db.ran(/SET last_reminded_at/).length, 0);
+    });
+
+    it("keeps reminding other groups when one push fails", async () => {
+        bills = [
+            { bill_id: 1, group_id: "Cgone", created_at: hoursAgo(48), last_reminded_at: null },
+            { bill_id: 2, group_id: "Cgroup", created_at: hoursAgo(48), last_reminded_at: null }
+        ];
+        const push = client.pushMessage;
+        client.pushMessage = async request => {
+            if (request.to === "Cgone") throw new Error("Request failed with status 403");
+            return push(request);
+        };
+        const error = console.error;
+        console.error = () => {};
+
+        try {
+            assert.deepEqual(await runScheduledReminders(client, now), { groups: 1, bills: 1 });
+        } finally {
+            console.error = error;
+        }
+        assert.deepEqual(remindedBills(), [2]);
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeDb, installFakeDb } from "./fakes/db.js";
+import {
+    AMOUNT_DUE_SQL, PAID_SQL, listOutstandingShares, listUnpaidParticipants, listAmountsDue, listUnpaidShares,
+    lockAmountDue, getParticipantPayments
+} from "../lib/repositories/participants.js";
+import { getBillParticipants, replaceBillPayers, replaceBillItems, updateBillSplit } from "../lib/repositories/bills.js";
+import { findPromptPayCreditor, upsertPaymentAccount } from "../lib/repositories/accounts.js";
+import { findReminderSettings } from "../lib/repositories/reminderSettings.js";
+import { claimWebhookEvent } from "../lib/repositories/webhookEvents.js";
+import { getReminderSettings, DEFAULT_REMINDER_SETTINGS } from "../lib/reminders.js";
+
+const GROUP_ID = "Cgroup";
+const ALICE = "Ualice";
+
+describe("repositories", () => {
+    let db, restoreDb;
+
+    beforeEach(() => {
+        db = createFakeDb();
+        restoreDb = installFakeDb(db);
+    });
+
+    afterEach(() => {
+        restoreDb();
+    });
+
+    describe("amount due", () => {
+        it("is what the share costs minus every payment, adjustments included", () => {
+            assert.match(AMOUNT_DUE_SQL, /^bp\.pay_amount - COALESCE\(\(SELECT SUM\(p\.amount\) FROM payments p/);
+            assert.ok(AMOUNT_DUE_SQL.endsWith(PAID_SQL));
+        });
+
+        it("is computed the same way by every query that reports it", async () => {
+            await listOutstandingShares(GROUP_ID);
+            await listUnpaidParticipants(GROUP_ID, null, null);
+            await listAmountsDue(7, ALICE);
+            await listUnpaidShares(GROUP_ID, ALICE);
+            await lockAmountDue(7, ALICE, db);
+
+            assert.equal(db.queries.length, 5);
+            for (const { sql } of db.queries) {
+                assert.ok(sql.includes(AMOUNT_DUE_SQL), sql);
+            }
+        });
+
+        it("reports payments with the same rule", async () => {
+            await getParticipantPayments(7);
+            await getBillParticipants(7);
+
+            for (const { sql } of db.queries) {
+                assert.ok(sql.includes(PAID_SQL), sql);
+            }
+        });
+
+        it("treats a share nobody owes on as nothing due", async () => {
+            db.on(/AS amount_due/, () => [{ amount_due: "120.50" }]);
+            assert.equal(await lockAmountDue(7, ALICE, db), 120.5);
+
+            const empty = createFakeDb();
+            assert.equal(await lockAmountDue(7, ALICE, empty), 0);
+        });
+
+        it("filters reminders by bill and member only when asked", async () => {
+            await listUnpaidParticipants(GROUP_ID, [7], [ALICE]);
+            await listUnpaidParticipants(GROUP_ID, null, null);
+
+            assert.deepEqual(db.queries.map(q => q.params), [[GROUP_ID, [7], [ALICE]], [GROUP_ID, null, null]]);
+        });
+    });
+
+    describe("bills", () => {
+        it("clears the old payers and items before inserting the new ones", async () => {
+            db.on(/INSERT INTO bill_items/, () => [{ item_id: 1 }]);
+
+            await replaceBillPayers(7, [{ userId: ALICE, amount: 900 }]);
+            await replaceBillItems(7, [{ name: " Pizza ", price: "500", memberIds: [ALICE, ALICE] }]);
+
+            assert.deepEqual(db.queries.map(q => [q.sql.split(/\s+/).slice(0, 3).join(" "), q.params]), [
+                ["DELETE FROM bill_payers", [7]],
+                ["INSERT INTO bill_payers", [7, ALICE, 900]],
+                ["DELETE FROM bill_items", [7]],
+                ["INSERT INTO bill_items", [7, "Pizza", 500]],
+                ["INSERT INTO bill_item_members", [1, ALICE]]
+            ]);
+        });
+
+        it("stores the split together with its percentages", async () => {
+            await updateBillSplit(7, { payType: "itemized", total: 550, serviceChargePercent: 10, vatPercent: 0 });
+
+            assert.deepEqual(db.queries[0].params, [7, "itemized", 550, 10, 0]);
+        });
+    });
+
+    describe("accounts", () => {
+        it("returns the stored account", async () => {
+            db.on(/INSERT INTO payment_accounts/, ([, type, number, name]) =>
+                [{ account_id: 3, account_type: type, account_number: number, account_name: name }]);
+
+            const account = await upsertPaymentAccount(ALICE, "promptpay", "0812345678", null);
+
+            assert.deepEqual(account, { account_id: 3, account_type: "promptpay", account_number: "0812345678", account_name: null });
+        });
+
+        it("has no PromptPay creditor when no payer registered one", async () => {
+            assert.equal(await findPromptPayCreditor(7), null);
+        });
+    });
+
+    describe("reminder settings", () => {
+        it("fall back to the defaults for a group that never changed them", async () => {
+            assert.equal(await findReminderSettings(GROUP_ID), null);
+            assert.deepEqual(await getReminderSettings(GROUP_ID), DEFAULT_REMINDER_SETTINGS);
+        });
+
+        it("override the defaults once stored", async () => {
+            db.on(/FROM reminder_settings/, () => [{ ...DEFAULT_REMINDER_SETTINGS, enabled: false }]);
+
+            assert.equal((await getReminderSettings(GROUP_ID)).enabled, false);
+        });
+    });
+
+    describe("webhook events", () => {
+        it("stores the event as JSON and reports whether it was claimed", async () => {
+            db.on(/INSERT INTO webhook_events/, ([eventId]) => eventId === "e1" ? [{ webhook_event_id: "e1" }] : []);
+            const event = { webhookEventId: "e1", eventType: "message", sourceId: GROUP_ID, payload: { type: "message" } };
+
+            assert.equal(await claimWebhookEvent(event, 5), true);
+            assert.equal(await claimWebhookEvent({ ...event, webhookEventId: "e2" }, 5), false);
+            assert.deepEqual(db.queries[0].params, ["e1", "message", GROUP_ID, "{\"type\":\"message\"}", 5]);
+        });
+    });
+});
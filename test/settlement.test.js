@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { computeNetBalances, simplifyDebts } from "../lib/settlement.js";
+
+const total = transfers => transfers.reduce((sum, t) => Math.round((sum + t.amount) * 100) / 100, 0);
+
+describe("computeNetBalances", () => {
+    it("credits what is still owed to whoever fronted the bill", () => {
+        const owed = [{ bill_id: 1, user_id: "Ubob", pay_amount: "200.00" }, { bill_id: 1, user_id: "Ucarol", pay_amount: "200.00" }];
+        const payers = [{ bill_id: 1, user_id: "Ualice", paid_amount: "400.00" }];
+
+        assert.deepEqual(computeNetBalances(owed, payers), { Ubob: -200, Ucarol: -200, Ualice: 400 });
+    });
+
+    it("splits the credit between payers by what each fronted for the others", () => {
+        const owed = [{ bill_id: 1, user_id: "Ucarol", pay_amount: "300" }];
+        const payers = [{ bill_id: 1, user_id: "Ualice", paid_amount: "200" }, { bill_id: 1, user_id: "Ubob", paid_amount: "100" }];
+
+        assert.deepEqual(computeNetBalances(owed, payers), { Ucarol: -300, Ualice: 200, Ubob: 100 });
+    });
+
+    it("skips bills nobody fronted for the others", () => {
+        const owed = [{ bill_id: 1, user_id: "Ubob", pay_amount: "50" }, { bill_id: 2, user_id: "Ubob", pay_amount: "80" }];
+        const payers = [{ bill_id: 2, user_id: "Ualice", paid_amount: "0" }];
+
+        assert.deepEqual(computeNetBalances(owed, payers), {});
+    });
+});
+
+describe("simplifyDebts", () => {
+    it("settles everyone in at most one transfer fewer than there are members", () => {
+        const balances = { Ualice: 300, Ubob: -100, Ucarol: -150, Udave: -50 };
+        const transfers = simplifyDebts(balances);
+
+        assert.ok(transfers.length <= Object.keys(balances).length - 1);
+        assert.deepEqual(transfers, [
+            { from: "Ucarol", to: "Ualice", amount: 150 },
+            { from: "Ubob", to: "Ualice", amount: 100 },
+            { from: "Udave", to: "Ualice", amount: 50 }
+        ]);
+    });
+
+    it("never routes money through someone who is already even", () => {
+        const transfers = simplifyDebts({ Ualice: 100, Ubob: 0, Ucarol: -60, Udave: -40 });
+
+        assert.ok(transfers.every(t => t.from !== "Ubob" && t.to !== "Ubob"));
+        assert.equal(total(transfers), 100);
+    });
+
+    it("works in satang so amounts add up exactly", () => {
+        const transfers = simplifyDebts({ Ualice: 0.3, Ubob: -0.1, Ucarol: -0.2 });
+
+        assert.deepEqual(transfers, [{ from: "Ucarol", to: "Ualice", amount: 0.2 }, { from: "Ubob", to: "Ualice", amount: 0.1 }]);
+    });
+
+    it("breaks ties by user ID so the order is stable", () => {
+        const transfers = simplifyDebts({ Ub: 50, Ua: 50, Ud: -50, Uc: -50 });
+
+        assert.deepEqual(transfers, [{ from: "Uc", to: "Ua", amount: 50 }, { from: "Ud", to: "Ub", amount: 50 }]);
+    });
+
+    it("has nothing to do when everyone is even", () => {
+        assert.deepEqual(simplifyDebts({}), []);
+        assert.deepEqual(simplifyDebts({ Ualice: 0, Ubob: 0 }), []);
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeGeminiModel } from "./fakes/gemini.js";
+import { parseSlipImage, detectImageMimeType, configuredProviders } from "../lib/slipParser.js";
+import { createGeminiProvider } from "../lib/slipProviders/gemini.js";
+import { createFixtureProvider } from "../lib/slipProviders/fixture.js";
+
+const PNG = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+const JPEG = Buffer.from("ffd8ffe000104a464946", "hex");
+
+const SLIP_JSON = JSON.stringify({
+    bank_name: "กสิกรไทย",
+    amount: 1250.5,
+    transaction_date: "2026-03-14",
+    transaction_time: "19:05",
+    sender: "นาย สมชาย ใจดี",
+    receiver: "xxx-x-x5678-x",
+    reference_id: "015073190512ABC01234",
+    channel: "K PLUS"
+});
+
+describe("parseSlipImage with Gemini", () => {
+    it("strips markdown code fences around the JSON", async () => {
+        const model = createFakeGeminiModel("```json\n" + SLIP_JSON + "\n```");
+        const slip = await parseSlipImage(JPEG, { providers: [createGeminiProvider(model)] });
+
+        assert.equal(slip.error, null);
+        assert.equal(slip.provider, "gemini");
+        assert.equal(slip.amount, 1250.5);
+        assert.equal(slip.transaction_date, "2026-03-14");
+        assert.equal(slip.reference_id, "015073190512ABC01234");
+    });
+
+    it("sends the image with its detected MIME type", async () => {
+        const model = createFakeGeminiModel(SLIP_JSON);
+        await parseSlipImage(PNG, { providers: [createGeminiProvider(model)] });
+
+        const [, image] = model.requests[0];
+        assert.equal(image.inlineData.mimeType, "image/png");
+        assert.equal(image.inlineData.data, PNG.toString("base64"));
+    });
+
+    it("normalizes loosely formatted fields", async () => {
+        const model = createFakeGeminiModel(JSON.stringify({ amount: "1,250.50 บาท", transaction_date: "14 มี.ค. 2569" }));
+        const slip = await parseSlipImage(JPEG, { providers: [createGeminiProvider(model)] });
+
+        assert.equal(slip.amount, 1250.5);
+        assert.equal(slip.transaction_date, "2026-03-14");
+        assert.ok(slip.confidence.amount < 1);
+    });
+
+    it("falls back to the next provider when the reply is not JSON", async () => {
+        const model = createFakeGeminiModel("Sorry, I cannot read this slip.");
+        const slip = await parseSlipImage(JPEG, {
+            providers: [createGeminiProvider(model), createFixtureProvider({ default: { amount: 99 } })]
+        });
+
+        assert.equal(slip.provider, "fixture");
+        assert.equal(slip.amount, 99);
+    });
+
+    it("reports every provider's failure when none can read the slip", async () => {
+        const slip = await parseSlipImage(JPEG, {
+            providers: [createGeminiProvider(createFakeGeminiModel(new Error("quota exceeded")))]
+        });
+
+        assert.equal(slip.amount, null);
+        assert.equal(slip.provider, null);
+        assert.equal(slip.error, "gemini: quota exceeded");
+    });
+
+    it("gives up on a provider that takes too long", async () => {
+        const slow = { name: "slow", parse: () => new Promise(() => {}) };
+        const slip = await parseSlipImage(JPEG, {
+            providers: [slow, createFixtureProvider({ default: { amount: 10 } })],
+            timeoutMs: 20
+        });
+
+        assert.equal(slip.provider, "fixture");
+    });
+
+    it("aborts a provider that takes too long so it can stop working", async () => {
+        let signal;
+        const slow = {
+            name: "slow",
+            parse: (_, options) => {
+                signal = options.signal;
+                return new Promise(() => {});
+            }
+        };
+        await parseSlipImage(JPEG, { providers: [slow], timeoutMs: 20 });
+
+        assert.equal(signal.aborted, true);
+        assert.match(signal.reason.message, /^slow timed out after 20ms/);
+    });
+
+    it("keeps a result without an amount only if no provider finds one", async () => {
+        const slip = await parseSlipImage(JPEG, {
+            providers: [createFixtureProvider({ default: { bank_name: "SCB" } })]
+        });
+
+        assert.equal(slip.provider, "fixture");
+        assert.equal(slip.amount, null);
+        assert.equal(slip.error, null);
+    });
+});
+
+describe("detectImageMimeType", () => {
+    it("recognises common formats and defaults to JPEG", () => {
+        assert.equal(detectImageMimeType(PNG), "image/png");
+        assert.equal(detectImageMimeType(JPEG), "image/jpeg");
+        assert.equal(detectImageMimeType(Buffer.from("RIFF0000WEBPVP8 ", "ascii")), "image/webp");
+        assert.equal(detectImageMimeType(Buffer.from("hello")), "image/jpeg");
+    });
+});
+
+describe("configuredProviders", () => {
+    const originalProviders = process.env.SLIP_OCR_PROVIDERS;
+    const originalLangPath = process.env.TESSERACT_LANG_PATH;
+
+    afterEach(() => {
+        restoreEnv("SLIP_OCR_PROVIDERS", originalProviders);
+        restoreEnv("TESSERACT_LANG_PATH", originalLangPath);
+    });
+
+    function restoreEnv(name, value) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    }
+
+    it("uses only Gemini when no Tesseract traineddata is available", () => {
+        delete process.env.SLIP_OCR_PROVIDERS;
+        delete process.env.TESSERACT_LANG_PATH;
+
+        assert.deepEqual(configuredProviders().map(provider => provider.name), ["gemini"]);
+    });
+
+    it("falls back to Tesseract once TESSERACT_LANG_PATH is set", () => {
+        delete process.env.SLIP_OCR_PROVIDERS;
+        process.env.TESSERACT_LANG_PATH = "/var/task/tessdata";
+
+        assert.deepEqual(configuredProviders().map(provider => provider.name), ["gemini", "tesseract"]);
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { checkSlipDate } from "../lib/slipValidation.js";
+
+// 12 Jan 2024 15:00 in Bangkok
+const now = new Date("2024-01-12T08:00:00Z");
+
+describe("checkSlipDate", () => {
+    it("accepts a slip from after the bill was created", () => {
+        const slip = { transaction_date: "2024-01-12", transaction_time: "14:30" };
+
+        assert.equal(checkSlipDate(slip, { billCreatedAt: new Date("2024-01-12T06:00:00Z"), now }), null);
+    });
+
+    it("reads slip times as Bangkok time", () => {
+        // 15:30 Bangkok is only half an hour ahead of now
+        assert.equal(checkSlipDate({ transaction_date: "2024-01-12", transaction_time: "15:30" }, { now }), null);
+        assert.equal(checkSlipDate({ transaction_date: "2024-01-12", transaction_time: "16:30" }, { now }), "future");
+    });
+
+    it("rejects a slip dated after today", () => {
+        assert.equal(checkSlipDate({ transaction_date: "2024-01-14", transaction_time: null }, { now }), "future");
+    });
+
+    it("rejects a slip from well before the bill", () => {
+        const billCreatedAt = new Date("2024-01-12T06:00:00Z"); // 13:00 Bangkok
+
+        assert.equal(checkSlipDate({ transaction_date: "2024-01-12", transaction_time: "11:30" }, { billCreatedAt, now }), "before-bill");
+        assert.equal(checkSlipDate({ transaction_date: "2024-01-12", transaction_time: "12:30" }, { billCreatedAt, now }), null);
+    });
+
+    it("gives a slip without a time the whole day", () => {
+        const billCreatedAt = new Date("2024-01-12T06:00:00Z");
+
+        assert.equal(checkSlipDate({ transaction_date: "2024-01-12", transaction_time: null }, { billCreatedAt, now }), null);
+        assert.equal(checkSlipDate({ transaction_date: "2024-01-11", transaction_time: null }, { billCreatedAt, now }), "before-bill");
+    });
+
+    it("has nothing to check without a date", () => {
+        assert.equal(checkSlipDate({ transaction_date: null, transaction_time: "10:00" }, { now }), null);
+    });
+});
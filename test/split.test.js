@@ -0,0 +1,98 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { computeShares, computeItemizedShares, allocate, normalizePayers, roundMoney } from "../lib/split.js";
+
+const sum = shares => roundMoney(Object.values(shares).reduce((a, b) => a + b, 0));
+
+describe("computeShares", () => {
+    it("splits equally and gives leftover satang to the first members", () => {
+        const result = computeShares({ payType: "equal", amount: 100, memberIds: ["a", "b", "c"] });
+
+        assert.deepEqual(result.shares, { a: 33.34, b: 33.33, c: 33.33 });
+        assert.equal(sum(result.shares), 100);
+    });
+
+    it("charges everyone the full amount for 'each'", () => {
+        const result = computeShares({ payType: "each", amount: "59.5", memberIds: ["a", "b"] });
+
+        assert.equal(result.total, 59.5);
+        assert.deepEqual(result.shares, { a: 59.5, b: 59.5 });
+    });
+
+    it("splits by weight", () => {
+        const result = computeShares({ payType: "weighted", amount: 1000, memberIds: ["a", "b"], weights: { a: 3, b: 1 } });
+
+        assert.deepEqual(result.shares, { a: 750, b: 250 });
+    });
+
+    it("totals custom amounts and checks them against the amount given", () => {
+        const input = { payType: "custom", memberIds: ["a", "b"], amounts: { a: 120.5, b: 79.5 } };
+
+        assert.equal(computeShares(input).total, 200);
+        assert.match(computeShares({ ...input, amount: 250 }).error, /add up to 200, not 250/);
+    });
+
+    it("adds service charge then VAT to itemized bills", () => {
+        const result = computeShares({
+            payType: "itemized",
+            items: [
+                { name: "Pizza", price: 300, memberIds: ["a", "b"] },
+                { name: "Beer", price: 100, memberIds: ["b"] }
+            ],
+            serviceChargePercent: 10,
+            vatPercent: 7
+        });
+
+        // 400 * 1.10 * 1.07
+        assert.equal(result.total, 470.8);
+        assert.deepEqual(result.shares, { a: 176.55, b: 294.25 });
+        assert.equal(sum(result.shares), result.total);
+    });
+
+    it("rejects bad input", () => {
+        assert.match(computeShares({ payType: "split" }).error, /^Invalid pay type/);
+        assert.equal(computeShares({ payType: "equal", amount: 10, memberIds: [] }).error, "At least one member must be selected");
+        assert.equal(computeShares({ payType: "equal", amount: 10, memberIds: ["a", "a"] }).error, "Each member can only be selected once");
+        assert.equal(computeShares({ payType: "equal", amount: -5, memberIds: ["a"] }).error, "Amount must be a positive number");
+        assert.equal(computeShares({ payType: "itemized", items: [{ name: "Tea", price: 0, memberIds: ["a"] }] }).error,
+            'Item "Tea" must have a positive price');
+    });
+});
+
+describe("allocate", () => {
+    it("always sums exactly to the amount", () => {
+        for (const amount of [0.01, 1, 10, 99.99, 1234.57]) {
+            const shares = allocate(amount, [["a", 1], ["b", 1], ["c", 1], ["d", 2]]);
+            assert.equal(sum(shares), amount);
+        }
+    });
+
+    it("breaks ties in the order given", () => {
+        assert.deepEqual(allocate(0.02, [["a", 1], ["b", 1], ["c", 1]]), { a: 0.01, b: 0.01, c: 0 });
+    });
+});
+
+describe("computeItemizedShares", () => {
+    it("reports the subtotal before charges", () => {
+        const result = computeItemizedShares([{ name: "Rice", price: 50, memberIds: ["a"] }], { vatPercent: 7 });
+
+        assert.equal(result.subtotal, 50);
+        assert.equal(result.total, 53.5);
+    });
+});
+
+describe("normalizePayers", () => {
+    it("treats a lone payer without an amount as paying everything", () => {
+        assert.deepEqual(normalizePayers([{ userId: "a" }], 480), { payers: [{ userId: "a", amount: 480 }] });
+    });
+
+    it("requires payer amounts to add up to the total", () => {
+        assert.match(normalizePayers([{ userId: "a", amount: 100 }, { userId: "b", amount: 50 }], 200).error,
+            /add up to 150, but the bill total is 200/);
+    });
+
+    it("rejects a payer listed twice", () => {
+        assert.equal(normalizePayers([{ userId: "a", amount: 1 }, { userId: "a", amount: 1 }], 2).error,
+            "Each payer can only be listed once");
+    });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { toGregorianYear, monthFromName, parseThaiDate } from "../lib/thaiDate.js";
+
+describe("toGregorianYear", () => {
+    it("reads Buddhist Era years", () => {
+        assert.equal(toGregorianYear(2567), 2024);
+        assert.equal(toGregorianYear(67), 2024);
+    });
+
+    it("leaves Gregorian years alone", () => {
+        assert.equal(toGregorianYear(2024), 2024);
+    });
+});
+
+describe("monthFromName", () => {
+    it("knows Thai abbreviations with and without dots and full names", () => {
+        assert.equal(monthFromName("ม.ค."), 1);
+        assert.equal(monthFromName("มค"), 1);
+        assert.equal(monthFromName("ธันวาคม"), 12);
+    });
+
+    it("knows English names", () => {
+        assert.equal(monthFromName("Feb"), 2);
+        assert.equal(monthFromName("september"), 9);
+        assert.equal(monthFromName("Foo"), null);
+    });
+});
+
+describe("parseThaiDate", () => {
+    it("reads the formats banking apps print", () => {
+        assert.equal(parseThaiDate("12 ม.ค. 67 14:05 น."), "2024-01-12");
+        assert.equal(parseThaiDate("วันที่ 3 มีนาคม 2567"), "2024-03-03");
+        assert.equal(parseThaiDate("12 Jan 2024"), "2024-01-12");
+        assert.equal(parseThaiDate("05/02/2567"), "2024-02-05");
+        assert.equal(parseThaiDate("2567-02-05"), "2024-02-05");
+    });
+
+    it("rejects dates that do not exist", () => {
+        assert.equal(parseThaiDate("30 ก.พ. 67"), null);
+        assert.equal(parseThaiDate("31/04/2024"), null);
+    });
+
+    it("finds nothing in text without a date", () => {
+        assert.equal(parseThaiDate("โอนเงินสำเร็จ"), null);
+        assert.equal(parseThaiDate(""), null);
+        assert.equal(parseThaiDate(null), null);
+    });
+});
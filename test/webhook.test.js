@@ -0,0 +1,355 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { createFakeDb, installFakeDb } from "./fakes/db.js";
+import { installFakeLine } from "./fakes/line.js";
+import { client, config as lineConfig } from "../lib/line.js";
+import webhookHandler, { handleEvent } from "../api/webhook.js";
+
+const GROUP_ID = "Cgroup";
+const ALICE = "Ualice";
+const BOB = "Ubob";
+
+function textEvent(text, source = { type: "group", groupId: GROUP_ID, userId: ALICE }) {
+    return {
+        type: "message",
+        webhookEventId: crypto.randomUUID(),
+        replyToken: "reply-token",
+        source,
+        message: { type: "text", id: "1", text }
+    };
+}
+
+// Alice is already registered with a fresh profile, so no registration queries run
+function registeredMember(db) {
+    db.on(/FROM group_members gm\s+JOIN users u ON u.user_id = gm.user_id\s+WHERE gm.group_id = \$1 AND gm.user_id = \$2/,
+        () => [{ active: true, display_name: "Alice", profile_updated_at: new Date() }]);
+}
+
+describe("handleEvent command routing", () => {
+    let db, line, restoreDb;
+
+    beforeEach(() => {
+        db = createFakeDb();
+        restoreDb = installFakeDb(db);
+        line = installFakeLine({ profiles: { [ALICE]: "Alice", [BOB]: "Bob" } });
+    });
+
+    afterEach(() => {
+        restoreDb();
+        line.restore();
+    });
+
+    it("answers the health check", async () => {
+        registeredMember(db);
+        await handleEvent(textEvent("test"));
+
+        assert.deepEqual(line.repliedTexts(), ["Server is working!"]);
+    });
+
+    it("registers a member the first time they speak", async () => {
+        await handleEvent(textEvent("hello"));
+
+        assert.equal(db.ran(/INSERT INTO users/)[0].params[0], ALICE);
+        assert.deepEqual(db.ran(/INSERT INTO group_members/)[0].params, [GROUP_ID, ALICE]);
+    });
+
+    it("ignores text that is not a command", async () => {
+        registeredMember(db);
+        await handleEvent(textEvent("see you at lunch"));
+
+        assert.equal(line.replies.length, 0);
+    });
+
+    it("says when there are no open bills", async () => {
+        registeredMember(db);
+        await handleEvent(textEvent("/status"));
+
+        assert.match(line.repliedTexts()[0], /^No open bills in this group/);
+    });
+
+    it("shows open bills as a status card", async () => {
+        registeredMember(db);
+        db.on(/FROM bills b\s+WHERE b.group_id = \$1 AND b.status = 'open'/,
+            () => [{ bill_id: 3, title: "Dinner", total_pay_amount: "600.00", status: "open" }]);
+        db.on(/FROM bill_participants bp\s+JOIN users u/, () => [
+            { user_id: ALICE, display_name: "Alice", pay_amount: "300.00", pay_at: new Date(), paid_amount: "300.00" },
+            { user_id: BOB, display_name: "Bob", pay_amount: "300.00", pay_at: null, paid_amount: "0" }
+        ]);
+
+        await handleEvent(textEvent("/status"));
+
+        const [message] = line.replies[0].messages;
+        assert.equal(message.type, "flex");
+        assert.equal(message.altText, "Open Bills (1)");
+        assert.equal(message.contents.type, "bubble");
+    });
+
+    it("validates the bill ID for /bill", async () => {
+        registeredMember(db);
+        await handleEvent(textEvent("/bill abc"));
+
+        assert.match(line.repliedTexts()[0], /^Usage: \/bill <id>/);
+    });
+
+    it("reports a bill that is not in this group", async () => {
+        registeredMember(db);
+        await handleEvent(textEvent("/bill #7"));
+
+        assert.deepEqual(db.ran(/WHERE group_id = \$1 AND bill_id = \$2/)[0].params, [GROUP_ID, 7]);
+        assert.deepEqual(line.repliedTexts(), ["Bill #7 was not found in this group"]);
+    });
+
+    it("creates a bill from chat, paid by the sender", async () => {
+        registeredMember(db);
+        db.on(/SELECT gm.user_id FROM group_members gm/, ([, userIds]) => userIds.map(user_id => ({ user_id })));
+        db.on(/INSERT INTO bills/, () => [{ bill_id: 8 }]);
+        db.on(/FROM bills\s+WHERE group_id = \$1 AND bill_id = \$2/,
+            () => [{ bill_id: 8, title: "Dinner", total_pay_amount: "600.00", status: "open" }]);
+
+        const event = textEvent("/bill 600 Dinner @Alice @Bob");
+        event.message.mention = {
+            mentionees: [
+                { index: 17, length: 6, type: "user", userId: ALICE },
+                { index: 24, length: 4, type: "user", userId: BOB }
+            ]
+        };
+
+        await handleEvent(event);
+
+        assert.deepEqual(db.ran(/INSERT INTO bills/)[0].params, [GROUP_ID, "Dinner", "equal", 600, 0, 0, ALICE]);
+        assert.deepEqual(db.ran(/INSERT INTO bill_payers/)[0].params, [8, ALICE, 600]);
+        assert.deepEqual(db.ran(/INSERT INTO bill_participants/).map(q => q.params), [[8, ALICE, 300], [8, BOB, 300]]);
+        assert.equal(line.replies[0].messages[0].altText, "New Bill Created!");
+    });
+
+    it("does not bring back a mentioned member who left the group", async () => {
+        const CAROL = "Ucarol";
+        db.on(/FROM group_members gm\s+JOIN users u ON u.user_id = gm.user_id\s+WHERE gm.group_id = \$1 AND gm.user_id = \$2/,
+            ([, userId]) => [{ active: true, display_name: userId === ALICE ? "Alice" : "Carol", profile_updated_at: userId === ALICE ? new Date() : null }]);
+
+        const event = textEvent("/bill 600 Dinner @Carol");
+        event.message.mention = { mentionees: [{ index: 17, length: 6, type: "user", userId: CAROL }] };
+
+        await handleEvent(event);
+
+        assert.deepEqual(db.ran(/UPDATE group_members SET active = FALSE/)[0].params, [GROUP_ID, [CAROL]]);
+        assert.equal(db.ran(/INSERT INTO group_members/).length, 0);
+        assert.equal(db.ran(/INSERT INTO bills/).length, 0);
+    });
+
+    it("explains quick bill usage when the amount is missing", async () => {
+        registeredMember(db);
+        await handleEvent(textEvent("/bill Dinner all"));
+
+        assert.match(line.repliedTexts()[0], /^Start with the amount/);
+        assert.equal(db.ran(/INSERT INTO bills/).length, 0);
+    });
+
+    it("shows one bill for /status with an ID", async () => {
+        registeredMember(db);
+        await handleEvent(textEvent("/Status 7"));
+
+        assert.deepEqual(line.repliedTexts(), ["Bill #7 was not found in this group"]);
+    });
+
+    it("understands Thai keywords", async () => {
+        registeredMember(db);
+        await handleEvent(textEvent("สถานะ"));
+
+        assert.match(line.repliedTexts()[0], /^No open bills in this group/);
+    });
+
+    it("lists commands for /help", async () => {
+        registeredMember(db);
+        await handleEvent(textEvent("/help"));
+
+        assert.match(line.repliedTexts()[0], /^Commands\n/);
+    });
+
+    it("points unknown commands to /help", async () => {
+        registeredMember(db);
+        await handleEvent(textEvent("/pay 100"));
+
+        assert.deepEqual(line.repliedTexts(), ["I don't know /pay. Type /help to see what I can do."]);
+    });
+
+    it("reminds only the members mentioned", async () => {
+        registeredMember(db);
+        const event = textEvent("/remind @Bob");
+        event.message.mention = { mentionees: [{ index: 8, length: 4, type: "user", userId: BOB }] };
+
+        await handleEvent(event);
+
+        const [unpaid] = db.ran(/bp.user_id = ANY\(\$3::text\[\]\)/);
+        assert.deepEqual(unpaid.params, [GROUP_ID, null, [BOB]]);
+        assert.deepEqual(line.repliedTexts(), ["They have nothing left to pay."]);
+    });
+
+    it("validates the page for /history", async () => {
+        registeredMember(db);
+        await handleEvent(textEvent("/history 0"));
+
+        assert.match(line.repliedTexts()[0], /^Usage: \/history \[page\]/);
+    });
+
+    it("refuses group commands in a one-to-one chat", async () => {
+        await handleEvent(textEvent("/status", { type: "user", userId: ALICE }));
+
+        assert.deepEqual(line.repliedTexts(), ["This command only works in groups"]);
+    });
+
+    it("marks members who left the group", async () => {
+        await handleEvent({
+            type: "memberLeft",
+            source: { type: "group", groupId: GROUP_ID },
+            left: { members: [{ type: "user", userId: BOB }] }
+        });
+
+        const [update] = db.ran(/UPDATE group_members SET active = FALSE/);
+        assert.deepEqual(update.params, [GROUP_ID, [BOB]]);
+    });
+
+    it("leaves membership alone when LINE cannot be asked about a member", async () => {
+        db.on(/FROM group_members gm\s+JOIN users u ON u.user_id = gm.user_id\s+WHERE gm.group_id = \$1 AND gm.user_id = \$2/,
+            () => [{ active: false, display_name: "Alice", profile_updated_at: null }]);
+        client.getGroupMemberProfile = async () => {
+            throw Object.assign(new Error("Request failed with status 503"), { status: 503 });
+        };
+
+        await handleEvent(textEvent("/status"));
+
+        assert.equal(db.ran(/INSERT INTO group_members|UPDATE group_members/).length, 0);
+        assert.equal(db.ran(/INSERT INTO users/).length, 0);
+        assert.match(line.repliedTexts()[0], /^No open bills in this group/);
+    });
+
+    it("keeps group membership when someone blocks the bot", async () => {
+        await handleEvent({ type: "unfollow", source: { type: "user", userId: ALICE } });
+
+        assert.equal(db.queries.length, 0);
+        assert.equal(line.replies.length, 0);
+    });
+});
+
+describe("webhook handler", () => {
+    const SECRET = "test-channel-secret";
+    let db, line, restoreDb, originalSecret;
+
+    beforeEach(() => {
+        db = createFakeDb();
+        restoreDb = installFakeDb(db);
+        line = installFakeLine();
+        originalSecret = lineConfig.channelSecret;
+        lineConfig.channelSecret = SECRET;
+        registeredMember(db);
+    });
+
+    afterEach(() => {
+        restoreDb();
+        line.restore();
+        lineConfig.channelSecret = originalSecret;
+    });
+
+    function post(rawBody, signature) {
+        const req = Readable.from([Buffer.from(rawBody, "utf8")]);
+        req.method = "POST";
+        req.headers = { "x-line-signature": signature };
+
+        const res = {
+            statusCode: 200,
+            body: null,
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(body) {
+                this.body = body;
+                return this;
+            }
+        };
+
+        return webhookHandler(req, res).then(() => res);
+    }
+
+    function sign(rawBody, secret = SECRET) {
+        return crypto.createHmac("SHA256", secret).update(rawBody).digest("base64");
+    }
+
+    it("verifies the signature against the raw bytes", async () => {
+        db.on(/INSERT INTO webhook_events/, () => [{ webhook_event_id: "e1" }]);
+
+        // The text arrives escaped as te\u0073t ("test"); re-serializing the parsed body would change the signed bytes
+        const rawBody = `{"events":[{"type":"message","webhookEventId":"e1","replyToken":"t",` +
+            `"source":{"type":"group","groupId":"${GROUP_ID}","userId":"${ALICE}"},` +
+            `"message":{"type":"text","id":"1","text":"te\\u0073t"}}]}`;
+        const res = await post(rawBody, sign(rawBody));
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(line.repliedTexts(), ["Server is working!"]);
+    });
+
+    it("rejects a body signed with another secret", async () => {
+        const rawBody = JSON.stringify({ events: [textEvent("test")] });
+        const res = await post(rawBody, sign(rawBody, "wrong-secret"));
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(db.queries.length, 0);
+        assert.equal(line.replies.length, 0);
+    });
+
+    it("skips events that were already handled", async () => {
+        db.on(/INSERT INTO webhook_events/, () => []);
+
+        const rawBody = JSON.stringify({ events: [textEvent("test")] });
+        const res = await post(rawBody, sign(rawBody));
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(line.replies.length, 0);
+    });
+
+    it("answers 500 so LINE redelivers when events cannot be recorded", async () => {
+        db.on(/INSERT INTO webhook_events/, ([eventId]) => {
+            if (eventId === "e4") throw new Error("database unreachable");
+            return [{ webhook_event_id: eventId }];
+        });
+
+        const rawBody = JSON.stringify({
+            events: [{ ...textEvent("test"), webhookEventId: "e3" }, { ...textEvent("test"), webhookEventId: "e4" }]
+        });
+        const res = await post(rawBody, sign(rawBody));
+
+        assert.equal(res.statusCode, 500);
+        assert.equal(line.replies.length, 0);
+        assert.deepEqual(db.ran(/SET status = 'failed'/).map(q => q.params[0]), ["e3"]);
+    });
+
+    it("tells the sender and records the failure when a command fails", async () => {
+        db.on(/INSERT INTO webhook_events/, () => [{ webhook_event_id: "e4" }]);
+        db.on(/FROM bill_participants/, () => {
+            throw new Error("connection terminated");
+        });
+
+        const rawBody = JSON.stringify({ events: [{ ...textEvent("/balance"), webhookEventId: "e4" }] });
+        const res = await post(rawBody, sign(rawBody));
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(line.repliedTexts(), ["Failed to calculate balances"]);
+        assert.deepEqual(db.ran(/SET status = 'failed'/).map(q => q.params[0]), ["e4"]);
+        assert.equal(db.ran(/SET status = 'processed'/).length, 0);
+    });
+
+    it("answers 200 and records the failure when one event throws", async () => {
+        db.on(/INSERT INTO webhook_events/, () => [{ webhook_event_id: "e2" }]);
+        client.replyMessage = async () => {
+            throw new Error("LINE is down");
+        };
+
+        const rawBody = JSON.stringify({ events: [{ ...textEvent("test"), webhookEventId: "e2" }] });
+        const res = await post(rawBody, sign(rawBody));
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(db.ran(/SET status = 'failed'/).length, 1);
+    });
+});